@@ -2,15 +2,41 @@
 import chalk from 'chalk';
 import ora from 'ora';
 import inquirer from 'inquirer';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
 import { execSync } from 'child_process';
+import { join, relative, resolve, isAbsolute, sep } from 'path';
 import { analyzeProject } from './src/analyzer.js';
-import { generateReadme, updateReadme } from './src/generator.js';
+import { generateReadme, generateOfflineReadme, updateReadme, writeReadmeFile } from './src/generator.js';
 import { selectModel, chooseModel } from './src/models.js';
-import { config, getApiKey, selectLanguage, handleConfig } from './src/config.js';
-import { showHeader, showVersion, showHelp } from './src/utils.js';
-import { analyzeExistingReadme, detectOutdatedInfo, identifySectionsToUpdate } from './src/readmeUpdater.js';
+import { config, getApiKey, getEnvApiKey, getProvider, getBaseUrl, selectLanguage, selectProvider, handleConfig, getUserSettings, setProviderOverride } from './src/config.js';
+import { loadProjectConfig, resolveSettings } from './src/projectConfig.js';
+import { loadTemplates, handleTemplates } from './src/templates.js';
+import { listSections, adoptSections, hasRegions } from './src/regions.js';
+import {
+  showHeader,
+  showVersion,
+  showHelp,
+  getArgValue,
+  getArgValues,
+  setNonInteractive,
+  assertInteractive,
+  ReadmiError,
+  EXIT_CODES
+} from './src/utils.js';
+import { analyzeExistingReadme, detectOutdatedInfo, identifySectionsToUpdate, normalizeTitle, sectionMatches } from './src/readmeUpdater.js';
+import { runCheck, printIssues } from './src/check.js';
+import { runLinks } from './src/links.js';
+import { translateReadmes, syncTranslations } from './src/translate.js';
+import { getLanguageName, normalizeLanguage } from './src/languages.js';
+import { ModelError, setRequestOptions, cancelRequests } from './src/request.js';
+import { setCacheOptions } from './src/cache.js';
+import { PROVIDERS } from './src/providers.js';
+import { printSourceContext } from './src/context.js';
+import { detectWorkspaces, findWorkspacePackage, analyzeWorkspaceRoot } from './src/workspaces.js';
 
 const args = process.argv.slice(2);
+const UPDATE_MODES = ['full', 'selective', 'version'];
 
 class ReadmeGenerator {
   constructor() {
@@ -19,8 +45,26 @@ class ReadmeGenerator {
   }
 
   async init() {
+    // Ctrl+C aborts model requests so partial work can be saved, without any it exits.
+    // signal-exit (via ora) may raise the same SIGINT again right away, that one is ignored
+    let cancelledAt = 0;
+    process.on('SIGINT', () => {
+      if (Date.now() - cancelledAt < 1000) return;
+      if (cancelRequests()) {
+        cancelledAt = Date.now();
+        return;
+      }
+      this.spinner.stop();
+      process.exit(EXIT_CODES.CANCELLED);
+    });
     try {
-      showHeader();
+      const options = this.parseOptions();
+      // With --stdout only the README goes to stdout, progress stays on stderr
+      if (options.format !== 'json' && !options.stdout) {
+        console.clear();
+        showHeader();
+      }
+      setNonInteractive(options.yes || options.stdout);
 
       if (args.includes('-v') || args.includes('--version')) {
         showVersion();
@@ -35,10 +79,10 @@ class ReadmeGenerator {
         try {
           execSync('npm install -g @jayanithu/readmi@latest');
           spinner.succeed(chalk.green.bold('✓ Updated to latest version'));
-          process.exit(0);
+          process.exit(EXIT_CODES.SUCCESS);
         } catch (error) {
           spinner.fail(chalk.red('✗ Update failed: ') + error.message);
-          process.exit(1);
+          process.exit(EXIT_CODES.FAILURE);
         }
       }
 
@@ -47,16 +91,68 @@ class ReadmeGenerator {
         return;
       }
 
+      if (args[0] === 'templates') {
+        await handleTemplates(args, this.currentDir);
+        return;
+      }
+
+      const settings = await this.loadSettings(options);
+
       if (args[0] === 'config') {
-        const result = await handleConfig(args, this.spinner);
+        const result = await handleConfig(args, this.spinner, settings);
         if (result === 'select-language') {
-          await selectLanguage(this.spinner);
+          if (options.language) {
+            config.set('preferredLanguage', options.language);
+            this.spinner.succeed(chalk.green(`  Language saved: ${getLanguageName(options.language)}`));
+          } else {
+            await selectLanguage(this.spinner);
+          }
         } else if (result === 'select-model') {
-          await chooseModel(this.spinner);
+          if (options.model) {
+            config.set('preferredModel', options.model);
+            this.spinner.succeed(chalk.green(`  Model saved: ${options.model}`));
+          } else {
+            await chooseModel(this.spinner);
+          }
+        } else if (result === 'select-provider') {
+          await selectProvider(this.spinner);
         }
         return;
       }
       
+      if (args[0] === 'check') {
+        process.exitCode = await runCheck(this.currentDir, {
+          readmePath: settings.values.output,
+          format: options.format,
+          failOn: getArgValue(args, '--fail-on') || 'medium',
+          scan: options.scan,
+          fix: args.includes('--fix')
+        });
+        return;
+      }
+      
+      if (args[0] === 'links') {
+        process.exitCode = await runLinks(this.currentDir, {
+          readmePath: settings.values.output,
+          format: options.format,
+          fix: args.includes('--fix'),
+          external: args.includes('--external'),
+          concurrency: getArgValue(args, '--concurrency'),
+          timeout: getArgValue(args, '--link-timeout')
+        });
+        return;
+      }
+      
+      if (args[0] === 'translate') {
+        await this.handleTranslate(options, settings);
+        return;
+      }
+      
+      if (args[0] === 'adopt') {
+        await this.handleAdopt(options, settings);
+        return;
+      }
+      
       if (args[0] === 'language' || args[0] === 'lang') {
         await selectLanguage(this.spinner);
         return;
@@ -64,144 +160,378 @@ class ReadmeGenerator {
 
       // Check for update mode
       const isUpdateMode = args.includes('--update-readme') || args.includes('-u');
+      const isOfflineMode = args.includes('--offline') && !isUpdateMode;
 
       this.spinner = ora({
         text: chalk.gray('Initializing...'),
         spinner: 'dots'
       }).start();
-      const apiKey = await getApiKey(this.spinner);
+      // A replay answers from recordings, no key needed
+      const apiKey = isOfflineMode || options.replay ? null : await getApiKey(this.spinner);
       
       this.spinner.text = chalk.gray('Analyzing project...');
-      const projectInfo = await analyzeProject(this.currentDir);
-      
-      if (projectInfo.name) {
-        this.spinner.stopAndPersist({
-          symbol: chalk.cyan('→'),
-          text: chalk.white('Project: ') + chalk.cyan(projectInfo.name)
-        });
-        this.spinner.start();
-      }
+      const targets = await this.resolveTargets(options);
 
-      // Handle update mode
-      if (isUpdateMode) {
-        await this.handleUpdateMode(apiKey, projectInfo);
-        return;
+      let languages = settings.values.languages;
+      if (!isUpdateMode && !options.language && (args.includes('--select-language') || args.includes('-sl'))) {
+        languages = [await selectLanguage(this.spinner)];
       }
-      
-      let language = config.get('preferredLanguage') || 'en';
-      if (args.includes('--select-language') || args.includes('-sl')) {
-        language = await selectLanguage(this.spinner);
+      if (options.stdout && (isUpdateMode || targets.length > 1 || languages.length > 1)) {
+        throw new ReadmiError('--stdout prints a single README. Pick one language with --lang and one package with --package, and leave out -u', EXIT_CODES.USAGE);
+      }
+      const generateOptions = {
+        dryRun: options.dryRun,
+        verifyExamples: options.verifyExamples,
+        repair: options.repair,
+        stdout: options.stdout,
+        resume: options.resume,
+        settings: settings.values,
+        // Offline READMEs are built without a prompt
+        templates: isOfflineMode ? null : await loadTemplates(this.currentDir)
+      };
+
+      for (const { dir, projectInfo } of targets) {
+        if (projectInfo.name) {
+          this.spinner.stopAndPersist({
+            symbol: chalk.cyan('→'),
+            text: chalk.white('Project: ') + chalk.cyan(projectInfo.name)
+          });
+          this.spinner.start();
+        }
+        if (options.verbose) {
+          this.spinner.stop();
+          printSourceContext(projectInfo.sourceContext);
+          this.spinner.start();
+        }
+
+        // Handle update mode
+        if (isUpdateMode) {
+          await this.handleUpdateMode(apiKey, projectInfo, options, dir);
+          continue;
+        }
+
+        for (const language of languages) {
+          if (isOfflineMode) {
+            await generateOfflineReadme(projectInfo, language, this.spinner, { ...generateOptions, outputDir: dir });
+            continue;
+          }
+
+          const model = await this.getModel(apiKey);
+          // Translations follow the structure of the canonical README instead of being generated apart
+          const sourcePath = join(dir, settings.values.output);
+          if (language !== 'en' && existsSync(sourcePath) && !options.stdout) {
+            await translateReadmes(sourcePath, [language], model, this.spinner, { ...generateOptions, pattern: settings.values.translationPath });
+            continue;
+          }
+          await generateReadme(apiKey, projectInfo, language, model, this.spinner, {
+            ...generateOptions,
+            offlineFallback: args.includes('--offline-fallback'),
+            outputDir: dir,
+            projectDir: dir
+          });
+        }
       }
-      
-      const model = await selectModel(apiKey, this.spinner);
-      await generateReadme(apiKey, projectInfo, language, model, this.spinner);
     } catch (error) {
       this.handleError(error);
     }
   }
 
+  async getModel(apiKey) {
+    if (!this.model) {
+      // A saved user model is checked against the models list and replaced when it is gone
+      const model = this.settings.sources.model === 'user' ? null : this.settings.values.model;
+      this.model = await selectModel(apiKey, this.spinner, model, this.settings.values.generation);
+    }
+    return this.model;
+  }
+
+  // Effective settings: CLI flags > project config > user config > defaults
+  async loadSettings(options) {
+    const project = await loadProjectConfig(this.currentDir);
+    this.settings = resolveSettings({
+      cli: {
+        model: options.model,
+        languages: options.language ? [options.language] : undefined,
+        contextBudget: options.scan.contextBudget,
+        requestTimeout: options.requestTimeout,
+        retries: options.retries,
+        cache: options.cache
+      },
+      project,
+      user: getUserSettings()
+    });
+    if (this.settings.sources.provider === 'project') {
+      setProviderOverride(this.settings.values.provider);
+    }
+    options.scan = {
+      ...options.scan,
+      exclude: [...this.settings.values.ignore, ...options.scan.exclude],
+      contextBudget: this.settings.values.contextBudget
+    };
+    setRequestOptions({
+      timeout: this.settings.values.requestTimeout,
+      retries: this.settings.values.retries,
+      onRetry: ({ error, attempt, retries, delay }) => {
+        const text = this.spinner.text;
+        this.spinner.warn(chalk.yellow(`  ${error.message}`) + chalk.gray(` · retry ${attempt}/${retries} in ${(delay / 1000).toFixed(1)}s`));
+        this.spinner.start(text);
+      },
+      onTruncated: ({ round, max, usage, limit }) => {
+        const text = this.spinner.text;
+        const tokens = usage?.output || limit;
+        const reason = tokens ? `Output stopped at the ${tokens.toLocaleString()} token limit` : 'Output was cut short';
+        if (round > max) {
+          this.spinner.warn(chalk.yellow(`  ${reason} ${max} times, the rest is missing. Raise generation.maxOutputTokens in the readmi config`));
+        } else {
+          this.spinner.warn(chalk.yellow(`  ${reason}`) + chalk.gray(` · continuing ${round}/${max}`));
+        }
+        this.spinner.start(text);
+      }
+    });
+    setCacheOptions({
+      enabled: this.settings.values.cache,
+      record: options.record,
+      replay: options.replay,
+      onHit: ({ createdAt }) => {
+        const text = this.spinner.text;
+        this.spinner.info(chalk.gray(`  Reusing the response cached ${new Date(createdAt).toLocaleString()}, pass --no-cache for a new one`));
+        this.spinner.start(text);
+      }
+    });
+    return this.settings;
+  }
+
+  // Resolves which directories get a README: the project, one workspace package, or several
+  async resolveTargets(options) {
+    const workspace = await detectWorkspaces(this.currentDir);
+    if (!workspace) {
+      if (options.package) {
+        throw new ReadmiError('--package requires an npm, yarn, pnpm or lerna workspace', EXIT_CODES.USAGE);
+      }
+      return [{ dir: this.currentDir, projectInfo: await analyzeProject(this.currentDir, options.scan) }];
+    }
+
+    if (options.package) {
+      const pkg = findWorkspacePackage(workspace, options.package);
+      return [{ dir: pkg.dir, projectInfo: await analyzeProject(pkg.dir, options.scan) }];
+    }
+
+    this.spinner.stopAndPersist({
+      symbol: chalk.cyan('→'),
+      text: chalk.white('Workspace: ') + chalk.cyan(`${workspace.packages.length} packages`) + chalk.dim(` (${workspace.tool})`)
+    });
+
+    let selectedPackages = [];
+    if (options.allPackages) {
+      selectedPackages = workspace.packages;
+    } else if (!options.yes) {
+      selectedPackages = await this.promptWorkspacePackages(workspace);
+    }
+
+    this.spinner.start(chalk.gray('Analyzing packages...'));
+    const targets = [];
+    const packageInfos = {};
+    for (const pkg of selectedPackages) {
+      packageInfos[pkg.name] = await analyzeProject(pkg.dir, options.scan);
+      targets.push({ dir: pkg.dir, projectInfo: packageInfos[pkg.name] });
+    }
+    targets.push({ dir: this.currentDir, projectInfo: await analyzeWorkspaceRoot(this.currentDir, workspace, packageInfos, options.scan) });
+    return targets;
+  }
+
+  async promptWorkspacePackages(workspace) {
+    assertInteractive('Workspace package selection', 'Pass --all-packages or --package <name> instead.');
+    this.spinner.stop();
+    const { scope } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'scope',
+        message: 'Workspace detected. What should be documented?',
+        choices: [
+          { name: '📦 Root README with package summaries', value: 'root' },
+          { name: '📚 Every package README plus the root README', value: 'all' },
+          { name: '📝 Select packages (plus the root README)', value: 'select' }
+        ]
+      }
+    ]);
+    if (scope === 'root') return [];
+    if (scope === 'all') return workspace.packages;
+
+    const { selectedPackages } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selectedPackages',
+        message: 'Select packages:',
+        choices: workspace.packages.map(pkg => ({ name: `${pkg.name} ${chalk.dim(pkg.relativeDir)}`, value: pkg }))
+      }
+    ]);
+    return selectedPackages;
+  }
+
+  parseOptions() {
+    const mode = getArgValue(args, '--mode');
+    if (mode && !UPDATE_MODES.includes(mode)) {
+      throw new ReadmiError(`Invalid --mode "${mode}". Expected one of: ${UPDATE_MODES.join(', ')}`, EXIT_CODES.USAGE);
+    }
+    const sections = getArgValue(args, '--sections');
+    const language = getArgValue(args, '--lang', '--language');
+    const contextBudget = getArgValue(args, '--context-budget');
+    if (contextBudget !== null && !/^[1-9]\d*$/.test(contextBudget)) {
+      throw new ReadmiError(`Invalid --context-budget "${contextBudget}". Expected a positive number of tokens`, EXIT_CODES.USAGE);
+    }
+    const requestTimeout = getArgValue(args, '--request-timeout');
+    if (requestTimeout !== null && !/^[1-9]\d*$/.test(requestTimeout)) {
+      throw new ReadmiError(`Invalid --request-timeout "${requestTimeout}". Expected a positive number of milliseconds`, EXIT_CODES.USAGE);
+    }
+    const retries = getArgValue(args, '--retries');
+    if (retries !== null && !/^\d+$/.test(retries)) {
+      throw new ReadmiError(`Invalid --retries "${retries}". Expected 0 or more`, EXIT_CODES.USAGE);
+    }
+    const record = getArgValue(args, '--record');
+    const replay = getArgValue(args, '--replay');
+    if (record && replay) {
+      throw new ReadmiError('--record and --replay cannot be combined', EXIT_CODES.USAGE);
+    }
+    // Recordings inside the project must stay out of the prompt they were recorded for
+    const recordingExcludes = [record, replay].filter(Boolean)
+      .map(dir => relative(this.currentDir, resolve(this.currentDir, dir)))
+      .filter(path => path && !path.startsWith('..') && !isAbsolute(path))
+      .map(path => `/${path.split(sep).join('/')}/`);
+    return {
+      yes: args.includes('-y') || args.includes('--yes'),
+      dryRun: args.includes('--dry-run'),
+      verifyExamples: args.includes('--verify-examples'),
+      // Unset lets interactive runs ask before repairing
+      repair: args.includes('--repair') || undefined,
+      stdout: args.includes('--stdout'),
+      resume: args.includes('--resume'),
+      package: getArgValue(args, '--package', '-p'),
+      allPackages: args.includes('--all-packages'),
+      scan: {
+        include: getArgValues(args, '--include'),
+        exclude: [...getArgValues(args, '--exclude'), ...recordingExcludes],
+        contextBudget: contextBudget ? Number(contextBudget) : undefined
+      },
+      verbose: args.includes('--verbose'),
+      mode,
+      sections: sections ? sections.split(',').map(s => s.trim()).filter(Boolean) : [],
+      model: getArgValue(args, '--model'),
+      requestTimeout: requestTimeout ? Number(requestTimeout) : undefined,
+      retries: retries !== null ? Number(retries) : undefined,
+      cache: args.includes('--no-cache') ? false : undefined,
+      record: record ? resolve(this.currentDir, record) : null,
+      replay: replay ? resolve(this.currentDir, replay) : null,
+      language: language ? normalizeLanguage(language) : null,
+      format: getArgValue(args, '--format') || 'text'
+    };
+  }
+
   handleError(error) {
     this.spinner.fail(chalk.red.bold('✗ ') + error.message);
-    if (error.message.includes('API')) {
-      console.log(
-        '\n' +
-        chalk.yellow('💡 Tip') + '\n' +
-        chalk.gray('Run ') + chalk.cyan('readmi config') + chalk.gray(' to setup') + '\n'
-      );
+    const tip = error.exitCode === EXIT_CODES.INPUT_REQUIRED
+      ? [chalk.gray('Run ') + chalk.cyan('readmi --help') + chalk.gray(' to see the non-interactive flags')]
+      : error instanceof ModelError ? this.getErrorTip(error) : null;
+    if (tip) {
+      // stderr, so --stdout output stays clean
+      console.error('\n' + chalk.yellow('💡 Tip') + '\n' + tip.join('\n') + '\n');
+    }
+    process.exit(error.exitCode ?? EXIT_CODES.FAILURE);
+  }
+
+  // Remediation for each kind of model failure, see src/request.js
+  getErrorTip(error) {
+    const provider = getProvider();
+    const offline = chalk.gray('Or run ') + chalk.cyan('readmi --offline') + chalk.gray(' to generate without AI');
+    switch (error.kind) {
+      case 'invalid-key': {
+        // A key from the environment wins over the saved one, so that is the one to replace
+        const envApiKey = getEnvApiKey(provider);
+        const fix = envApiKey
+          ? [chalk.gray(`${PROVIDERS[provider].label} rejected the API key in `) + chalk.cyan(`$${envApiKey.name}`) + chalk.gray('. Set it to a valid key')]
+          : [
+            chalk.gray(`${PROVIDERS[provider].label} rejected the saved API key. Run `) + chalk.cyan('readmi config -r') + chalk.gray(' to remove it, the next ') + chalk.cyan('readmi') + chalk.gray(' run asks for a new one,'),
+            chalk.gray('or set ') + chalk.cyan(['READMI_API_KEY', ...PROVIDERS[provider].envKeys].join(' / '))
+          ];
+        return [...fix, chalk.gray('Switch providers with ') + chalk.cyan('readmi config provider')];
+      }
+      case 'quota':
+        return [
+          chalk.gray('The quota or rate limit is used up. Wait a minute and retry, check the plan and billing of your account,'),
+          chalk.gray('or try a smaller model with ') + chalk.cyan('--model <name>') + chalk.gray(' or lower ') + chalk.cyan('--context-budget'),
+          offline
+        ];
+      case 'safety':
+        return [
+          chalk.gray('The provider blocked the response with its safety filter. Retry, try another model with ') + chalk.cyan('--model <name>') + chalk.gray(','),
+          chalk.gray('or check the "instructions" in your readmi config for wording that could trigger it'),
+          offline
+        ];
+      case 'model-not-found':
+        return [
+          chalk.gray('The model does not exist for this provider or key. Pick one with ') + chalk.cyan('readmi config model') + chalk.gray(' or pass ') + chalk.cyan('--model <name>')
+        ];
+      case 'network':
+        return [
+          chalk.gray('Could not reach ') + chalk.cyan(getBaseUrl(provider) || PROVIDERS[provider].label) + chalk.gray('. Check your connection or the base URL in ') + chalk.cyan('readmi config provider') + chalk.gray(','),
+          chalk.gray('or allow more time with ') + chalk.cyan('--request-timeout <ms>') + chalk.gray(' and ') + chalk.cyan('--retries <n>'),
+          chalk.gray('Or run ') + chalk.cyan('readmi --offline-fallback') + chalk.gray(' to use templates when AI fails')
+        ];
+      default:
+        return null;
     }
-    process.exit(1);
   }
 
-  async handleUpdateMode(apiKey, projectInfo) {
+  async handleUpdateMode(apiKey, projectInfo, options, dir = this.currentDir) {
     try {
       this.spinner.text = chalk.gray('Analyzing existing README...');
       
-      const readmeAnalysis = await analyzeExistingReadme('README.md');
+      const readmePath = join(dir, this.settings.values.output);
+      const readmeAnalysis = await analyzeExistingReadme(readmePath);
       
       if (!readmeAnalysis || !readmeAnalysis.exists) {
         this.spinner.stopAndPersist({
           symbol: chalk.yellow('⚠'),
-          text: chalk.yellow('No existing README found')
+          text: chalk.yellow(`No existing README found${dir !== this.currentDir ? ` in ${relative(this.currentDir, dir)}` : ''}`)
         });
         console.log(
           '\n' +
           chalk.dim('  → ') + chalk.gray('Run ') + chalk.cyan('readmi') + chalk.gray(' to generate a new README\n')
         );
-        process.exit(0);
+        process.exitCode = EXIT_CODES.NO_README;
+        return;
       }
 
       this.spinner.succeed(chalk.green.bold('✓ README analyzed'));
+      if (!hasRegions(readmeAnalysis.content)) {
+        console.log(chalk.dim('  → ') + chalk.gray('No readmi regions found, sections are merged by heading. Run ') + chalk.cyan('readmi adopt') + chalk.gray(' to protect hand-written sections'));
+      }
       
       // Detect outdated information
       const issues = detectOutdatedInfo(readmeAnalysis, projectInfo);
-      
-      if (issues.length > 0) {
-        console.log(
-          '\n' +
-          chalk.yellow.bold('Detected Issues') + '\n'
-        );
-        for (const issue of issues) {
-          const icon = issue.severity === 'high' ? chalk.red('•') : issue.severity === 'medium' ? chalk.yellow('•') : chalk.green('•');
-          console.log('  ' + icon + ' ' + chalk.gray(issue.message));
-        }
-        console.log();
-      } else {
-        console.log(
-          '\n' +
-          chalk.green.bold('✓ No issues detected') + '\n'
-        );
-      }
+      printIssues(issues);
       
       // Get sections that could be updated
       const suggestedSections = identifySectionsToUpdate(readmeAnalysis, projectInfo);
       
-      // Ask user what they want to update
-      const { updateChoice } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'updateChoice',
-          message: 'What would you like to update?',
-          choices: [
-            { name: '🔄 Update entire README (preserve custom sections)', value: 'full' },
-            { name: '📝 Select specific sections to update', value: 'selective' },
-            { name: '🔢 Update version numbers only', value: 'version' },
-            { name: '❌ Cancel', value: 'cancel' }
-          ]
-        }
-      ]);
+      const updateChoice = options.mode || (options.yes ? 'full' : await this.promptUpdateChoice());
 
       if (updateChoice === 'cancel') {
         console.log(chalk.gray('\n  Update cancelled\n'));
-        process.exit(0);
+        process.exit(EXIT_CODES.CANCELLED);
       }
 
       let sectionsToUpdate = [];
       
       if (updateChoice === 'selective') {
-        const sectionChoices = readmeAnalysis.sections
-          .filter(s => s.level <= 2)
-          .map(s => ({ name: s.title, value: s.title }));
-        
-        const { selectedSections } = await inquirer.prompt([
-          {
-            type: 'checkbox',
-            name: 'selectedSections',
-            message: 'Select sections to update:',
-            choices: sectionChoices,
-            validate: (answer) => {
-              if (answer.length === 0) {
-                return 'Please select at least one section';
-              }
-              return true;
-            }
-          }
-        ]);
-        
-        sectionsToUpdate = selectedSections;
+        const availableSections = readmeAnalysis.sections.filter(s => s.level <= 2);
+        sectionsToUpdate = options.sections.length > 0
+          ? this.resolveSections(options.sections, availableSections)
+          : await this.promptSections(availableSections);
       }
 
-      const language = config.get('preferredLanguage') || 'en';
-      const model = await selectModel(apiKey, this.spinner);
+      const language = this.settings.values.languages[0];
+      const templates = await loadTemplates(this.currentDir);
+      const model = await this.getModel(apiKey);
       
       await updateReadme(
         apiKey,
@@ -211,16 +541,145 @@ class ReadmeGenerator {
         this.spinner,
         readmeAnalysis,
         updateChoice,
-        sectionsToUpdate
+        sectionsToUpdate,
+        {
+          dryRun: options.dryRun,
+          verifyExamples: options.verifyExamples,
+          repair: options.repair,
+          projectDir: dir,
+          readmePath,
+          settings: this.settings.values,
+          templates
+        }
       );
+      await syncTranslations(readmePath, model, this.spinner, { dryRun: options.dryRun, pattern: this.settings.values.translationPath });
       
     } catch (error) {
       this.handleError(error);
     }
   }
+
+  // Translate the canonical README section by section, code, links and badges stay verbatim
+  async handleTranslate(options, settings) {
+    const to = getArgValue(args, '--to');
+    const languages = to
+      ? to.split(',').map(code => code.trim()).filter(Boolean).map(code => normalizeLanguage(code, '--to'))
+      : settings.values.languages.filter(language => language !== 'en');
+    if (languages.length === 0) {
+      throw new ReadmiError('No target language. Pass --to es,fr or set "languages" in the project config', EXIT_CODES.USAGE);
+    }
+    const apiKey = options.replay ? null : await getApiKey(this.spinner);
+    const model = await this.getModel(apiKey);
+    await translateReadmes(join(this.currentDir, settings.values.output), languages, model, this.spinner, { dryRun: options.dryRun, pattern: settings.values.translationPath });
+    console.log();
+  }
+
+  // Wrap sections of an existing README in readmi regions so `-u` only rewrites those
+  async handleAdopt(options, settings) {
+    const readmePath = join(this.currentDir, settings.values.output);
+    const readmeAnalysis = await analyzeExistingReadme(readmePath);
+    if (!readmeAnalysis) {
+      console.log(chalk.yellow(`\n  ⚠ ${settings.values.output} not found\n`));
+      process.exitCode = EXIT_CODES.NO_README;
+      return;
+    }
+
+    const sections = listSections(readmeAnalysis.content);
+    if (sections.length === 0) {
+      console.log(chalk.gray('\n  Every section is already managed by readmi\n'));
+      return;
+    }
+
+    let selected = sections;
+    if (options.sections.length > 0) {
+      selected = options.sections.map(name => {
+        const match = sections.find(section => section.id === name || sectionMatches(name, section.title));
+        if (!match) {
+          throw new ReadmiError(
+            `Section "${name}" not found or already managed. Unmanaged: ${sections.map(section => section.title).join(', ')}`,
+            EXIT_CODES.USAGE
+          );
+        }
+        return match;
+      });
+    } else if (!options.yes) {
+      assertInteractive('Section selection', 'Pass --sections "Usage,Features" or --yes to adopt every section.');
+      const { chosen } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'chosen',
+          message: 'Select sections readmi should manage (unselected sections are never touched by -u):',
+          choices: sections.map(section => ({ name: `${section.title} ${chalk.dim(section.id)}`, value: section, checked: true }))
+        }
+      ]);
+      selected = chosen;
+    }
+    if (selected.length === 0) {
+      console.log(chalk.gray('\n  No sections selected\n'));
+      return;
+    }
+
+    const adopted = adoptSections(readmeAnalysis.content, selected);
+    if (options.dryRun) {
+      await writeReadmeFile(readmePath, adopted, this.spinner, { dryRun: true });
+      return;
+    }
+    await fs.writeFile(readmePath, adopted);
+    this.spinner.succeed(chalk.green(`  ${selected.length} section${selected.length === 1 ? '' : 's'} now managed by readmi`));
+    console.log(chalk.gray(`  ${selected.map(section => section.title).join(', ')}\n`));
+  }
+
+  async promptUpdateChoice() {
+    assertInteractive('Update mode selection', 'Pass --mode full|selective|version instead.');
+    const { updateChoice } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'updateChoice',
+        message: 'What would you like to update?',
+        choices: [
+          { name: '🔄 Update entire README (preserve custom sections)', value: 'full' },
+          { name: '📝 Select specific sections to update', value: 'selective' },
+          { name: '🔢 Update version numbers only', value: 'version' },
+          { name: '❌ Cancel', value: 'cancel' }
+        ]
+      }
+    ]);
+    return updateChoice;
+  }
+
+  async promptSections(availableSections) {
+    assertInteractive('Section selection', 'Pass --sections "Usage,Features" instead.');
+    const { selectedSections } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selectedSections',
+        message: 'Select sections to update:',
+        choices: availableSections.map(s => ({ name: s.title, value: s.title })),
+        validate: (answer) => {
+          if (answer.length === 0) {
+            return 'Please select at least one section';
+          }
+          return true;
+        }
+      }
+    ]);
+    return selectedSections;
+  }
+
+  resolveSections(requested, availableSections) {
+    return requested.map(name => {
+      const match = availableSections.find(s => normalizeTitle(s.title) === normalizeTitle(name));
+      if (!match) {
+        throw new ReadmiError(
+          `Section "${name}" not found in README. Available: ${availableSections.map(s => s.title).join(', ')}`,
+          EXIT_CODES.USAGE
+        );
+      }
+      return match.title;
+    });
+  }
 }
 
-console.clear();
 new ReadmeGenerator()
   .init()
   .catch(error => {
@@ -230,5 +689,5 @@ new ReadmeGenerator()
       chalk.red(error.message || error) +
       '\n'
     );
-    process.exit(1);
+    process.exit(error.exitCode ?? EXIT_CODES.FAILURE);
   });
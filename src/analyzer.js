@@ -1,23 +1,50 @@
 import fs from 'fs/promises';
 import { join } from 'path';
 import path from 'path';
+import { readManifest } from './manifests.js';
+import { compileIgnoreRule, loadIgnoreRules, isIgnored } from './ignore.js';
+import { selectSourceContext } from './context.js';
+import { extractPublicApi } from './api.js';
+import { extractCliCommands } from './cli.js';
+import { detectLicense, extractEnvReferences } from './facts.js';
 
-export async function getAllFiles(dir, fileList = []) {
+const IGNORE_DIRS = [
+  'node_modules', '.git', 'dist', 'build', '.next', 'coverage', '.vscode', '.idea',
+  '__pycache__', '.venv', 'venv', '.cache', '.turbo', '.yarn', '.pnpm-store', '.nuxt', '.svelte-kit'
+];
+const IGNORE_FILES = ['.DS_Store', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+/**
+ * Walk the project honoring .gitignore/.readmiignore files plus --include/--exclude globs
+ */
+export async function getAllFiles(dir, fileList = [], { include = [], exclude = [] } = {}) {
+  const excludeRules = exclude.map(pattern => compileIgnoreRule(pattern)).filter(Boolean);
+  const includeRules = include.map(pattern => compileIgnoreRule(pattern)).filter(Boolean);
+  await walkFiles(dir, '', [], { fileList, excludeRules, includeRules });
+  return fileList;
+}
+
+// `included` is set below a directory an include rule matched, as gitignore does for excludes
+async function walkFiles(dir, relativeDir, parentRules, context, included = false) {
   const files = await fs.readdir(dir, { withFileTypes: true });
-  const ignoreDirs = ['node_modules', '.git', 'dist', 'build', '.next', 'coverage', '.vscode', '.idea'];
-  const ignoreFiles = ['.DS_Store', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+  const rules = [...parentRules, ...await loadIgnoreRules(dir, relativeDir)];
   
   for (const file of files) {
     const filePath = join(dir, file.name);
+    const relativePath = relativeDir ? `${relativeDir}/${file.name}` : file.name;
+    const isDirectory = file.isDirectory();
     
-    if (file.isDirectory() && !ignoreDirs.includes(file.name) && !file.name.startsWith('.')) {
-      await getAllFiles(filePath, fileList);
-    } else if (file.isFile() && !ignoreFiles.includes(file.name)) {
-      fileList.push(filePath);
+    if (isIgnored(relativePath, isDirectory, rules) || isIgnored(relativePath, isDirectory, context.excludeRules)) {
+      continue;
+    }
+    if (isDirectory && !IGNORE_DIRS.includes(file.name)) {
+      await walkFiles(filePath, relativePath, rules, context, included || isIgnored(relativePath, true, context.includeRules));
+    } else if (file.isFile() && !IGNORE_FILES.includes(file.name)) {
+      if (context.includeRules.length === 0 || included || isIgnored(relativePath, false, context.includeRules)) {
+        context.fileList.push(filePath);
+      }
     }
   }
-  
-  return fileList;
 }
 
 export async function readSourceFile(filePath) {
@@ -31,7 +58,9 @@ export async function readSourceFile(filePath) {
 
 export async function extractProjectName(dir, packageJson) {
   if (packageJson.name) {
-    return packageJson.name.replace(/^@[^/]+\//, '').replace(/[-_]/g, ' ');
+    // Go modules and Composer packages use path-like names, keep the last segment
+    const baseName = packageJson.name.replace(/^@[^/]+\//, '').replace(/\/v\d+$/, '').split(/[/:]/).pop();
+    return baseName.replace(/[-_]/g, ' ');
   }
   
   const dirName = dir.split(path.sep).pop();
@@ -42,6 +71,18 @@ export async function extractProjectName(dir, packageJson) {
   return 'Project';
 }
 
+// Specific signals rather than bare substrings, so "api" in a comment doesn't tag every project
+const FEATURE_PATTERNS = [
+  ['API', /['"](?:express|fastify|koa|hono|@nestjs\/core)['"]|\b(?:app|router|server)\.(?:get|post|put|patch|delete)\(|\bfrom\s+(?:flask|fastapi|django)\b|github\.com\/gin-gonic|\bactix_web\b/],
+  ['CLI', /process\.argv|['"](?:commander|yargs|meow|cac|minimist|inquirer)['"]|^#!.*\b(?:node|python3?)\b|\bimport\s+(?:argparse|click|typer)\b|\bflag\.Parse\(|\bclap::/m],
+  ['Database', /['"](?:mongoose|sequelize|@prisma\/client|knex|typeorm|drizzle-orm|pg|mysql2?|sqlite3|better-sqlite3|mongodb|redis|ioredis)['"]|\bimport\s+(?:sqlalchemy|psycopg2?|pymongo|sqlite3)\b|database\/sql/],
+  ['Authentication', /['"](?:passport[\w-]*|jsonwebtoken|jose|bcryptj?s?|next-auth|@auth\/[\w-]+)['"]|\bauthenticate\s*\(/],
+  ['Middleware', /\(\s*req\s*,\s*res\s*,\s*next\s*\)|\bapp\.use\(|\bmiddleware\b/i],
+  ['Routing', /['"](?:react-router[\w-]*|vue-router|@tanstack\/react-router)['"]|\b(?:express\.)?Router\(\)|\buseRouter\(/],
+  ['Components', /['"](?:react|vue|svelte|preact|solid-js|lit)['"]|\bdefineComponent\(|\bextends\s+(?:React\.)?(?:Pure)?Component\b/],
+  ['Hooks', /\b(?:function\s+|const\s+)use[A-Z]\w*\s*[=(]/]
+];
+
 export async function extractFeaturesFromCode(sourceFiles) {
   const keywords = new Set();
   
@@ -49,24 +90,21 @@ export async function extractFeaturesFromCode(sourceFiles) {
     const content = await readSourceFile(filePath);
     if (!content) continue;
     
-    if (content.includes('API') || content.includes('api')) keywords.add('API');
-    if (content.includes('CLI') || content.includes('command')) keywords.add('CLI');
-    if (content.includes('database') || content.includes('db')) keywords.add('Database');
-    if (content.includes('authentication') || content.includes('auth')) keywords.add('Authentication');
-    if (content.includes('middleware')) keywords.add('Middleware');
-    if (content.includes('router') || content.includes('route')) keywords.add('Routing');
-    if (content.includes('component')) keywords.add('Components');
-    if (content.includes('hook')) keywords.add('Hooks');
-    if (content.includes('util') || content.includes('helper')) keywords.add('Utilities');
+    for (const [feature, pattern] of FEATURE_PATTERNS) {
+      if (pattern.test(content)) keywords.add(feature);
+    }
+    if (/(?:^|[\\/])(?:utils?|helpers?)(?:[\\/]|\.\w+$)/.test(filePath)) keywords.add('Utilities');
   }
   
   return Array.from(keywords);
 }
 
-export async function analyzeProject(dir) {
+export async function analyzeProject(dir, scanOptions = {}) {
   const info = {
     name: '',
     displayName: '',
+    ecosystem: '',
+    manifest: '',
     description: '',
     version: '',
     dependencies: {},
@@ -78,6 +116,8 @@ export async function analyzeProject(dir) {
     hasDocker: false,
     hasGithubActions: false,
     envVars: [],
+    envSource: '',
+    envReferences: [],
     mainFile: '',
     sourceFiles: [],
     hasEnvFile: false,
@@ -88,20 +128,31 @@ export async function analyzeProject(dir) {
     keywords: [],
     detectedFeatures: [],
     projectStructure: {},
-    entryPoints: []
+    entryPoints: [],
+    api: null,
+    cli: null
   };
   
   try {
     let packageJson = {};
+    let entryFiles = [];
     try {
       packageJson = JSON.parse(await fs.readFile(join(dir, 'package.json'), 'utf8'));
       Object.assign(info, packageJson);
-    } catch {}
+      info.ecosystem = 'node';
+      info.manifest = 'package.json';
+    } catch {
+      const manifest = await readManifest(dir);
+      if (manifest) {
+        ({ entryFiles = [], ...packageJson } = manifest);
+        Object.assign(info, packageJson);
+      }
+    }
     
     info.name = packageJson.name || '';
     info.displayName = await extractProjectName(dir, packageJson);
     
-    const allFiles = await getAllFiles(dir);
+    const allFiles = await getAllFiles(dir, [], scanOptions);
     info.files = allFiles.map(f => f.replace(dir + path.sep, ''));
     
     const sourceExtensions = ['.js', '.ts', '.jsx', '.tsx', '.py', '.go', '.rs', '.java', '.rb', '.php', '.cpp', '.c', '.cs'];
@@ -118,31 +169,22 @@ export async function analyzeProject(dir) {
     const keyFiles = [
       info.main || info.mainFile,
       ...Object.values(packageJson.bin || {}),
+      ...entryFiles,
       'index.js', 'index.ts', 'app.js', 'app.ts', 'main.js', 'main.ts',
       'src/index.js', 'src/index.ts', 'src/app.js', 'src/app.ts'
-    ].filter(Boolean).slice(0, 5);
-    
-    for (const keyFile of keyFiles) {
-      const filePath = join(dir, keyFile);
-      try {
-        const content = await readSourceFile(filePath);
-        if (content) {
-          info.sourceCode[keyFile] = content;
-        }
-      } catch {}
-    }
+    ].filter(Boolean).map(file => path.normalize(file));
     
-    for (const sourceFile of sourceFilePaths.slice(0, 10)) {
-      if (!info.sourceCode[sourceFile.replace(dir + path.sep, '')]) {
-        const content = await readSourceFile(sourceFile);
-        if (content) {
-          const relativePath = sourceFile.replace(dir + path.sep, '');
-          info.sourceCode[relativePath] = content;
-        }
-      }
-    }
+    // Key files obey the same ignore rules as everything else sent to the model
+    const entryPaths = keyFiles.filter(file => info.files.includes(file));
+    const { sourceCode, context } = await selectSourceContext(dir, info.sourceFiles, entryPaths, scanOptions.contextBudget);
+    info.sourceCode = sourceCode;
+    info.sourceContext = context;
     
     info.detectedFeatures = await extractFeaturesFromCode(sourceFilePaths);
+    if (info.ecosystem === 'node') {
+      info.api = await extractPublicApi(dir, packageJson);
+      info.cli = await extractCliCommands(dir, info);
+    }
     
     if (info.main) info.entryPoints.push(info.main);
     if (info.bin) {
@@ -179,6 +221,7 @@ export async function analyzeProject(dir) {
         .split('\n')
         .filter(line => line.trim() && !line.startsWith('#') && line.includes('='))
         .map(line => line.split('=')[0].trim());
+      info.envSource = '.env.example';
     } catch {
       try {
         const envFile = await fs.readFile(join(dir, '.env'), 'utf8');
@@ -186,11 +229,27 @@ export async function analyzeProject(dir) {
           .split('\n')
           .filter(line => line.trim() && !line.startsWith('#') && line.includes('='))
           .map(line => line.split('=')[0].trim());
+        info.envSource = '.env';
       } catch {
         info.envVars = [];
       }
     }
     
+    const envReferences = new Set();
+    for (const file of sourceFilePaths) {
+      const content = await fs.readFile(file, 'utf8').catch(() => '');
+      extractEnvReferences(content).forEach(name => envReferences.add(name));
+    }
+    info.envReferences = [...envReferences].sort();
+    
+    // Manifests without a license field often still ship a LICENSE file
+    if (!info.license) {
+      const licenseFile = info.files.find(file => /^(licen[cs]e|copying)(\.(md|txt))?$/i.test(file));
+      if (licenseFile) {
+        info.license = detectLicense(await fs.readFile(join(dir, licenseFile), 'utf8')) || '';
+      }
+    }
+    
     const dirs = new Set();
     for (const file of info.files) {
       const parts = file.split(path.sep);
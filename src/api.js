@@ -0,0 +1,534 @@
+import fs from 'fs/promises';
+import { join, dirname, normalize, relative, sep } from 'path';
+import { parse as parseJs } from '@babel/parser';
+import { upsertSection } from './readmeUpdater.js';
+
+const MAX_REEXPORT_DEPTH = 5;
+const MODULE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts', '.jsx', '.tsx'];
+const CONDITION_ORDER = ['import', 'node', 'require', 'module', 'default'];
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+async function fileExists(file) {
+  try {
+    return (await fs.stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Picks the runtime target from an export conditions object, recursing into nested conditions
+function pickCondition(target, conditions = CONDITION_ORDER) {
+  if (typeof target === 'string') return target;
+  if (Array.isArray(target)) return target.map(item => pickCondition(item, conditions)).find(Boolean) || null;
+  if (!target || typeof target !== 'object') return null;
+  for (const condition of conditions) {
+    if (target[condition] !== undefined) {
+      const picked = pickCondition(target[condition], conditions);
+      if (picked) return picked;
+    }
+  }
+  return null;
+}
+
+function getEntrySubpaths(packageJson) {
+  const { exports } = packageJson;
+  if (exports) {
+    const map = typeof exports === 'string' || Array.isArray(exports) || !Object.keys(exports).some(key => key.startsWith('.'))
+      ? { '.': exports }
+      : exports;
+    return Object.entries(map)
+      .filter(([subpath]) => !subpath.includes('*') && !subpath.endsWith('.json'))
+      .map(([subpath, target]) => ({
+        subpath,
+        file: pickCondition(target),
+        types: pickCondition(target, ['types', 'typings'])
+      }))
+      .filter(entry => entry.file || entry.types);
+  }
+  const file = packageJson.main || packageJson.module || 'index.js';
+  return [{ subpath: '.', file, types: packageJson.types || packageJson.typings || null }];
+}
+
+// Build output is often missing from a checkout, so fall back to the matching source file
+export async function resolveModuleFile(dir, file) {
+  if (!file) return null;
+  const base = normalize(file.replace(/^\.\//, ''));
+  const stripped = base.replace(/\.(?:[cm]?js|jsx)$/, '');
+  const sourceGuess = stripped.replace(/^(?:dist|lib|build|out)(?=[\\/])/, 'src');
+  const candidates = [
+    base,
+    ...[stripped, sourceGuess].flatMap(stem => MODULE_EXTENSIONS.map(ext => stem + ext)),
+    ...MODULE_EXTENSIONS.map(ext => join(base, 'index' + ext))
+  ];
+  for (const candidate of candidates) {
+    if (await fileExists(join(dir, candidate))) return candidate;
+  }
+  return null;
+}
+
+async function resolveTypesFile(dir, entry, moduleFile) {
+  const candidates = [entry.types, entry.file, moduleFile]
+    .filter(Boolean)
+    .map(file => normalize(file.replace(/^\.\//, '')).replace(/\.(?:d\.)?([cm]?)(?:js|ts)$/, '.d.$1ts'));
+  for (const candidate of candidates) {
+    if (await fileExists(join(dir, candidate))) return candidate;
+  }
+  return null;
+}
+
+function parseModule(content, file) {
+  const typescript = /\.[cm]?tsx?$/.test(file);
+  const plugins = typescript
+    ? [['typescript', { dts: /\.d\.[cm]?ts$/.test(file) }], 'decorators-legacy', ...(file.endsWith('.tsx') ? ['jsx'] : [])]
+    : ['jsx', 'decorators-legacy'];
+  try {
+    return parseJs(content, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowAwaitOutsideFunction: true,
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      plugins
+    }).program;
+  } catch {
+    return null;
+  }
+}
+
+// Text of a TS annotation without its leading colon
+function typeText(content, annotation) {
+  const type = annotation?.typeAnnotation;
+  return type ? content.slice(type.start, type.end) : '';
+}
+
+function parseParam(content, node) {
+  switch (node.type) {
+    case 'TSParameterProperty':
+      return parseParam(content, node.parameter);
+    case 'Identifier':
+      return { name: node.name, type: typeText(content, node.typeAnnotation), optional: Boolean(node.optional), defaultValue: '' };
+    case 'AssignmentPattern':
+      return { ...parseParam(content, node.left), optional: true, defaultValue: content.slice(node.right.start, node.right.end) };
+    case 'RestElement': {
+      const param = parseParam(content, node.argument);
+      return { ...param, name: `...${param.name}`, type: typeText(content, node.typeAnnotation) || param.type };
+    }
+    case 'ObjectPattern':
+      return { name: 'options', type: typeText(content, node.typeAnnotation), optional: Boolean(node.optional), defaultValue: '' };
+    case 'ArrayPattern':
+      return { name: 'values', type: typeText(content, node.typeAnnotation), optional: Boolean(node.optional), defaultValue: '' };
+    default:
+      return { name: '', type: '', optional: false, defaultValue: '' };
+  }
+}
+
+function parseParams(content, params = []) {
+  return params.map(param => parseParam(content, param)).filter(param => param.name && param.name !== 'this');
+}
+
+function parseDocComment(comments) {
+  const comment = comments?.[comments.length - 1];
+  if (comment?.type !== 'CommentBlock' || !comment.value.startsWith('*')) return null;
+  const lines = comment.value.slice(1).split('\n').map(line => line.replace(/^\s*\*\s?/, ''));
+  const doc = { description: '', params: {}, returns: null, deprecated: false };
+  const description = [];
+  let current = null;
+  for (const line of lines) {
+    const tag = line.match(/^@(\w+)\s*(.*)$/);
+    if (tag) {
+      const [, name, rest] = tag;
+      const typed = rest.match(/^\{([^}]*)\}\s*(.*)$/);
+      const type = typed ? typed[1] : '';
+      const text = typed ? typed[2] : rest;
+      if (name === 'param' || name === 'arg' || name === 'argument') {
+        const param = text.match(/^\[?([\w$.]+)(?:=[^\]]*)?\]?\s*(?:-\s*)?(.*)$/);
+        if (param) {
+          current = { type, description: param[2] };
+          doc.params[param[1]] = current;
+        }
+      } else if (name === 'returns' || name === 'return') {
+        current = { type, description: text.replace(/^-\s*/, '') };
+        doc.returns = current;
+      } else {
+        if (name === 'deprecated') doc.deprecated = true;
+        current = null;
+      }
+    } else if (current) {
+      current.description = `${current.description} ${line.trim()}`.trim();
+    } else {
+      description.push(line);
+    }
+  }
+  doc.description = description.join('\n').trim().replace(/\n{2,}/g, '\n\n').replace(/(?<!\n)\n(?!\n)/g, ' ');
+  return doc;
+}
+
+function applyDoc(declaration, doc) {
+  if (!doc) return declaration;
+  declaration.description = doc.description;
+  declaration.deprecated = doc.deprecated;
+  for (const param of declaration.params || []) {
+    const documented = doc.params[param.name.replace(/^\.\.\./, '')];
+    if (documented) {
+      param.type = param.type || documented.type;
+      param.description = documented.description;
+    }
+  }
+  if (doc.returns) {
+    declaration.returns = {
+      type: declaration.returns?.type || doc.returns.type,
+      description: doc.returns.description
+    };
+  }
+  return declaration;
+}
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'TSDeclareFunction', 'ObjectMethod'];
+const CLASS_TYPES = ['ClassDeclaration', 'ClassExpression'];
+
+// Public methods only: no #private, TS private/protected, accessors or _underscored names
+function parseClassMembers(content, node) {
+  const members = [];
+  for (const member of node.body.body) {
+    if (!['ClassMethod', 'TSDeclareMethod'].includes(member.type) || member.computed || member.key.type !== 'Identifier') continue;
+    if (member.accessibility === 'private' || member.accessibility === 'protected' || member.kind === 'get' || member.kind === 'set') continue;
+    members.push({ name: member.key.name, kind: member.kind, static: Boolean(member.static), params: parseParams(content, member.params) });
+  }
+  return members;
+}
+
+function describeNode(content, node, typeAnnotation) {
+  if (FUNCTION_TYPES.includes(node?.type)) {
+    return {
+      kind: 'function',
+      async: Boolean(node.async),
+      params: parseParams(content, node.params),
+      returns: { type: typeText(content, node.returnType), description: '' }
+    };
+  }
+  if (CLASS_TYPES.includes(node?.type)) {
+    const members = parseClassMembers(content, node);
+    const constructor = members.find(member => member.kind === 'constructor');
+    return {
+      kind: 'class',
+      params: constructor?.params || [],
+      methods: members.filter(member => member.kind !== 'constructor' && !member.name.startsWith('_'))
+    };
+  }
+  if (node?.type === 'TSInterfaceDeclaration') return { kind: 'interface' };
+  if (node?.type === 'TSTypeAliasDeclaration') return { kind: 'type' };
+  if (node?.type === 'TSEnumDeclaration') return { kind: 'enum' };
+  return { kind: 'constant', type: typeText(content, typeAnnotation) };
+}
+
+// Top-level declarations by name, documented by the comment above their statement
+function collectDeclarations(content, program) {
+  const declarations = new Map();
+  const add = (name, declaration, comments) => {
+    if (!name || declarations.has(name)) return;
+    declarations.set(name, applyDoc({ name, ...declaration }, parseDocComment(comments)));
+  };
+  for (const statement of program.body) {
+    const node = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+      ? statement.declaration
+      : statement;
+    if (!node) continue;
+    if (node.type === 'VariableDeclaration') {
+      node.declarations.forEach((declarator, index) => {
+        if (declarator.id.type !== 'Identifier') return;
+        const comments = declarator.leadingComments || (index === 0 ? statement.leadingComments : null);
+        add(declarator.id.name, describeNode(content, declarator.init, declarator.id.typeAnnotation), comments);
+      });
+    } else if (node.id?.type === 'Identifier') {
+      add(node.id.name, describeNode(content, node), statement.leadingComments);
+    } else if (statement.type === 'ExportDefaultDeclaration' && node.type !== 'Identifier') {
+      add('default', describeNode(content, node), statement.leadingComments);
+    }
+  }
+  return declarations;
+}
+
+const exportName = node => (node.type === 'StringLiteral' ? node.value : node.name);
+
+function isMember(node, object, property) {
+  return node?.type === 'MemberExpression' && !node.computed &&
+    (object === null || (node.object.type === 'Identifier' && node.object.name === object)) &&
+    node.property.name === property;
+}
+
+function requireSource(node) {
+  return node?.type === 'CallExpression' && node.callee.name === 'require' && node.arguments[0]?.type === 'StringLiteral'
+    ? node.arguments[0].value
+    : null;
+}
+
+// Lists the names a module exposes, including ESM, CommonJS and re-exports still to be followed
+function parseModuleExports(content, file) {
+  const program = parseModule(content, file);
+  if (!program) return { declarations: new Map(), exported: [], reexports: [] };
+  const declarations = collectDeclarations(content, program);
+  const exported = [];
+  const reexports = [];
+  const expose = (name, local = name) => exported.push({ name, local });
+  const define = (name, node, comments) => {
+    if (!declarations.has(name)) declarations.set(name, applyDoc({ name, ...describeNode(content, node) }, parseDocComment(comments)));
+  };
+
+  for (const statement of program.body) {
+    if (statement.type === 'ExportNamedDeclaration') {
+      const { declaration, specifiers, source } = statement;
+      if (declaration?.type === 'VariableDeclaration') {
+        declaration.declarations.filter(declarator => declarator.id.type === 'Identifier').forEach(declarator => expose(declarator.id.name));
+      } else if (declaration?.id) {
+        expose(declaration.id.name);
+      }
+      const names = [];
+      for (const specifier of specifiers) {
+        if (specifier.type === 'ExportNamespaceSpecifier') {
+          expose(exportName(specifier.exported), { namespace: source.value });
+        } else {
+          names.push({ local: exportName(specifier.local), exported: exportName(specifier.exported) });
+        }
+      }
+      if (source && names.length > 0) reexports.push({ from: source.value, names });
+      else names.forEach(({ local, exported: name }) => expose(name, local));
+    } else if (statement.type === 'ExportAllDeclaration') {
+      if (statement.exported) expose(exportName(statement.exported), { namespace: statement.source.value });
+      else reexports.push({ from: statement.source.value, names: null });
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      const { declaration } = statement;
+      expose('default', declaration.type === 'Identifier' ? declaration.name : declaration.id?.name || 'default');
+    } else if (statement.type === 'TSExportAssignment' && statement.expression.type === 'Identifier') {
+      expose('default', statement.expression.name);
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+      const { left, right } = statement.expression;
+      if (isMember(left, 'module', 'exports')) {
+        if (right.type === 'ObjectExpression') {
+          for (const property of right.properties) {
+            if (property.computed || !property.key || !['Identifier', 'StringLiteral'].includes(property.key.type)) continue;
+            const name = exportName(property.key);
+            const value = property.type === 'ObjectMethod' ? property : property.value;
+            if (value.type === 'Identifier') {
+              expose(name, value.name);
+            } else if (requireSource(value)) {
+              expose(name, { namespace: requireSource(value) });
+            } else {
+              if (FUNCTION_TYPES.includes(value.type) || CLASS_TYPES.includes(value.type)) define(name, value, property.leadingComments);
+              expose(name);
+            }
+          }
+        } else if (right.type === 'Identifier') {
+          expose('default', right.name);
+        } else if (FUNCTION_TYPES.includes(right.type) || CLASS_TYPES.includes(right.type)) {
+          // Function or class expression assigned straight to module.exports
+          const local = right.id?.name || 'default';
+          define(local, right, statement.leadingComments);
+          expose('default', local);
+        }
+      } else if (isMember(left, 'exports', left.property?.name) || (isMember(left, null, left.property?.name) && isMember(left.object, 'module', 'exports'))) {
+        const name = left.property.name;
+        if (right.type === 'Identifier') {
+          expose(name, right.name);
+        } else if (FUNCTION_TYPES.includes(right.type) || CLASS_TYPES.includes(right.type)) {
+          define(name, right, statement.leadingComments);
+          expose(name);
+        } else if (name !== 'default') {
+          expose(name);
+        }
+      }
+    }
+  }
+
+  return { declarations, exported, reexports };
+}
+
+function toApiItem(name, declaration) {
+  const item = { name, kind: declaration?.kind || 'constant', ...declaration, name };
+  if (item.kind === 'function' || item.kind === 'class') {
+    const paramList = (item.params || []).map(param => param.optional ? `${param.name}?` : param.name).join(', ');
+    const displayName = name === 'default' ? (declaration?.name && declaration.name !== 'default' ? declaration.name : 'default') : name;
+    item.signature = item.kind === 'class' ? `new ${displayName}(${paramList})` : `${displayName}(${paramList})`;
+  } else {
+    item.signature = name;
+  }
+  return item;
+}
+
+// `visiting` only guards against cycles, a module re-exported twice is read twice
+async function collectModuleApi(dir, file, visiting = new Set(), depth = 0) {
+  if (!file || visiting.has(file) || depth > MAX_REEXPORT_DEPTH) return [];
+  const content = await readText(join(dir, file));
+  if (content === null) return [];
+  visiting.add(file);
+  try {
+    return await collectItems(dir, file, content, visiting, depth);
+  } finally {
+    visiting.delete(file);
+  }
+}
+
+async function collectItems(dir, file, content, visiting, depth) {
+  const { declarations, exported, reexports } = parseModuleExports(content, file);
+  const items = [];
+  const seen = new Set();
+  for (const { name, local } of exported) {
+    if (seen.has(name)) continue;
+    // `export default greet` next to `export function greet` documents greet once
+    const aliased = name === 'default' && items.find(item => item.name === local);
+    if (aliased) {
+      aliased.isDefault = true;
+      continue;
+    }
+    seen.add(name);
+    if (local && typeof local === 'object') {
+      items.push({ name, kind: 'namespace', signature: name, from: local.namespace });
+    } else {
+      items.push(toApiItem(name, declarations.get(local) || declarations.get(name)));
+    }
+  }
+
+  for (const reexport of reexports) {
+    const target = reexport.from.startsWith('.') ? await resolveModuleFile(dir, join(dirname(file), reexport.from)) : null;
+    if (!target) continue;
+    const targetItems = await collectModuleApi(dir, target, visiting, depth + 1);
+    const selected = reexport.names
+      ? reexport.names.map(({ local, exported: name }) => {
+        const item = targetItems.find(candidate => candidate.name === local);
+        return item ? { ...item, name, signature: item.signature.replace(new RegExp(`^(new )?${local}\\(`), `$1${name}(`) } : null;
+      }).filter(Boolean)
+      : targetItems.filter(item => item.name !== 'default');
+    for (const item of selected) {
+      if (!seen.has(item.name)) {
+        seen.add(item.name);
+        items.push(item);
+      }
+    }
+  }
+  return items;
+}
+
+// Fills in parameter and return types from a .d.ts declaration of the same export
+function mergeTypes(items, typeItems) {
+  if (items.length === 0) return typeItems;
+  const byName = new Map(typeItems.map(item => [item.name, item]));
+  return items.map(item => {
+    const typed = byName.get(item.name);
+    if (!typed || typed.kind !== item.kind) return item;
+    const params = (item.params || []).map((param, index) => ({ ...param, type: param.type || typed.params?.[index]?.type || '' }));
+    return {
+      ...item,
+      description: item.description || typed.description,
+      params,
+      returns: item.returns || typed.returns ? { type: item.returns?.type || typed.returns?.type || '', description: item.returns?.description || typed.returns?.description || '' } : undefined,
+      methods: item.methods?.length ? item.methods : typed.methods
+    };
+  }).concat(typeItems.filter(item => ['interface', 'type', 'enum'].includes(item.kind) && !items.some(existing => existing.name === item.name)));
+}
+
+/**
+ * Statically extract the public exports reachable from package.json `exports`/`main`,
+ * with parameters, JSDoc/TSDoc descriptions and .d.ts types
+ */
+export async function extractPublicApi(dir, packageJson) {
+  const entries = [];
+  for (const entry of getEntrySubpaths(packageJson)) {
+    const moduleFile = await resolveModuleFile(dir, entry.file);
+    const typesFile = await resolveTypesFile(dir, entry, moduleFile);
+    const items = await collectModuleApi(dir, moduleFile && !moduleFile.endsWith('.d.ts') ? moduleFile : null);
+    const typeItems = typesFile ? await collectModuleApi(dir, typesFile) : [];
+    const merged = mergeTypes(items, typeItems);
+    if (merged.length > 0) {
+      entries.push({
+        subpath: entry.subpath,
+        importPath: entry.subpath === '.' ? packageJson.name || '' : `${packageJson.name || ''}${entry.subpath.slice(1)}`,
+        file: relative(dir, join(dir, moduleFile || typesFile)).split(sep).join('/'),
+        exports: merged
+      });
+    }
+  }
+  return entries.length > 0 ? { entries } : null;
+}
+
+function escapeCell(text) {
+  return (text || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function renderItem(item, level) {
+  const heading = '#'.repeat(level);
+  const lines = [`${heading} \`${item.signature}\``];
+  if (item.kind !== 'function' && item.kind !== 'class') {
+    lines[0] += ` (${item.kind})`;
+  }
+  if (item.isDefault || item.name === 'default') lines.push('', '*Default export.*');
+  if (item.deprecated) lines.push('', '**Deprecated.**');
+  if (item.description) lines.push('', item.description);
+  if (item.kind === 'namespace' && item.from) lines.push('', `Namespace re-exported from \`${item.from}\`.`);
+
+  const params = item.params || [];
+  if (params.length > 0 && params.some(param => param.type || param.description)) {
+    lines.push('', '| Parameter | Type | Description |', '|-----------|------|-------------|');
+    for (const param of params) {
+      const type = param.type ? `\`${escapeCell(param.type)}\`` : '-';
+      const detail = [param.description, param.defaultValue ? `(default: \`${escapeCell(param.defaultValue)}\`)` : ''].filter(Boolean).join(' ');
+      lines.push(`| \`${param.name}${param.optional ? '?' : ''}\` | ${type} | ${escapeCell(detail) || '-'} |`);
+    }
+  }
+  if (item.returns?.type || item.returns?.description) {
+    const type = item.returns.type ? `\`${item.returns.type}\`` : '';
+    lines.push('', `**Returns:** ${[type, item.returns.description].filter(Boolean).join(' - ')}`);
+  }
+  if (item.methods?.length > 0) {
+    lines.push('', '**Methods:**', '');
+    for (const method of item.methods) {
+      lines.push(`- \`${method.static ? `${item.name}.` : ''}${method.name}(${method.params.map(param => param.optional ? `${param.name}?` : param.name).join(', ')})\``);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a deterministic "API Reference" section from extracted exports
+ */
+export function renderApiReference(api) {
+  if (!api?.entries?.length) return null;
+  const multiple = api.entries.length > 1;
+  const lines = ['## API Reference'];
+  for (const entry of api.entries) {
+    if (multiple) lines.push('', `### \`${entry.importPath || entry.subpath}\``);
+    for (const item of entry.exports) {
+      lines.push('', renderItem(item, multiple ? 4 : 3));
+    }
+  }
+  return lines.join('\n');
+}
+
+// Compact listing for the prompt so examples use real export names
+export function formatApiForPrompt(api, limit = 40) {
+  if (!api?.entries?.length) return '';
+  const lines = [];
+  for (const entry of api.entries) {
+    const names = entry.exports.slice(0, limit).map(item => {
+      const summary = item.description ? `: ${item.description.split(/(?<=\.)\s/)[0]}` : '';
+      return `- ${item.signature}${item.kind === 'function' || item.kind === 'class' ? '' : ` (${item.kind})`}${summary}`;
+    });
+    lines.push(`Import from "${entry.importPath || entry.subpath}" (${entry.file}):`, ...names);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Replace the README's API section with the generated one, or insert it before Contributing/License
+ */
+export function applyApiReference(content, api) {
+  return upsertSection(content, renderApiReference(api), {
+    match: /^api(?: reference| documentation| docs)?$/,
+    before: /^(?:contributing|license)\b/
+  });
+}
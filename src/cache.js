@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { homedir } from 'os';
+import { join } from 'path';
+import { ReadmiError, EXIT_CODES } from './utils.js';
+
+export const DEFAULT_CACHE_DIR = join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'readmi', 'responses');
+// Cached responses older than this are ignored and pruned on the next write
+export const CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+let cacheOptions = { enabled: true, dir: DEFAULT_CACHE_DIR, record: null, replay: null, onHit: null };
+
+export function setCacheOptions(options) {
+  cacheOptions = { ...cacheOptions, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)) };
+}
+
+export function isReplaying() {
+  return Boolean(cacheOptions.replay);
+}
+
+// Objects with sorted keys, so the same settings always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content address of a model request: provider, model, generation settings and prompt.
+ * The endpoint and key are left out, a recording replays against any of them
+ */
+export function requestKey({ provider, model, settings = {}, prompt }) {
+  const promptHash = createHash('sha256').update(prompt).digest('hex');
+  return createHash('sha256').update(stableStringify({ provider, model, settings, promptHash })).digest('hex').slice(0, 32);
+}
+
+// Two endpoints serving the same model name may answer differently, so the cache keeps them apart
+function responseKey(request) {
+  return createHash('sha256').update(`${requestKey(request)}\n${request.baseUrl || ''}`).digest('hex').slice(0, 32);
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Written under a temporary name first, an interrupted run never leaves half a file behind
+async function writeJson(file, data) {
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  await fs.rename(temp, file);
+}
+
+function cacheable() {
+  return cacheOptions.enabled && !cacheOptions.record && !cacheOptions.replay;
+}
+
+/**
+ * Final text of an earlier identical request, or null. Recording and replaying bypass the cache
+ */
+export async function readCachedResponse(request) {
+  if (!cacheable()) return null;
+  const entry = await readJson(join(cacheOptions.dir, `${responseKey(request)}.json`));
+  if (!entry || typeof entry.text !== 'string' || Date.now() - entry.createdAt > CACHE_MAX_AGE) return null;
+  cacheOptions.onHit?.({ model: request.model, createdAt: entry.createdAt });
+  return entry.text;
+}
+
+// A cache that cannot be written only costs the next run a request
+export async function writeCachedResponse(request, text) {
+  if (!cacheable() || !text) return;
+  try {
+    await fs.mkdir(cacheOptions.dir, { recursive: true });
+    await writeJson(join(cacheOptions.dir, `${responseKey(request)}.json`), {
+      createdAt: Date.now(),
+      provider: request.provider,
+      model: request.model,
+      text
+    });
+    await pruneCache();
+  } catch {
+    // ignore
+  }
+}
+
+async function pruneCache() {
+  const now = Date.now();
+  for (const file of await fs.readdir(cacheOptions.dir)) {
+    if (!file.endsWith('.json')) continue;
+    const path = join(cacheOptions.dir, file);
+    const { mtimeMs } = await fs.stat(path);
+    if (now - mtimeMs > CACHE_MAX_AGE) await fs.rm(path, { force: true });
+  }
+}
+
+async function loadRecording(request) {
+  const file = join(cacheOptions.replay, `${requestKey(request)}.json`);
+  const recording = await readJson(file);
+  if (!recording) {
+    throw new ReadmiError(
+      `No recorded response in ${cacheOptions.replay} for this ${request.provider} request to ${request.model}. ` +
+      'The prompt, model or generation settings changed since it was recorded, record it again with --record',
+      EXIT_CODES.FAILURE
+    );
+  }
+  return recording;
+}
+
+async function saveRecording(request, response) {
+  await fs.mkdir(cacheOptions.record, { recursive: true });
+  await writeJson(join(cacheOptions.record, `${requestKey(request)}.json`), {
+    recordedAt: new Date().toISOString(),
+    provider: request.provider,
+    model: request.model,
+    settings: request.settings,
+    prompt: request.prompt,
+    ...response
+  });
+}
+
+/**
+ * One raw model response `{text, finishReason, usage}`: read from the --replay directory,
+ * or fetched with `call` and saved to the --record directory
+ */
+export async function recordedResponse(request, call) {
+  if (cacheOptions.replay) {
+    const { text, finishReason = null, usage = null } = await loadRecording(request);
+    return { text, finishReason, usage };
+  }
+  const result = await call();
+  if (cacheOptions.record) await saveRecording(request, { text: result.text, finishReason: result.finishReason ?? null, usage: result.usage ?? null });
+  return result;
+}
+
+/**
+ * Streaming counterpart of `recordedResponse`, the chunks are kept so a replay streams the same way
+ */
+export async function* recordedStream(request, open) {
+  if (cacheOptions.replay) {
+    const { text, chunks = [text], finishReason = null, usage = null } = await loadRecording(request);
+    for (const chunk of chunks) yield { text: chunk };
+    yield { finishReason, usage };
+    return;
+  }
+  const chunks = [];
+  let finish = {};
+  for await (const event of open()) {
+    if (event.text === undefined) finish = event;
+    else chunks.push(event.text);
+    yield event;
+  }
+  if (cacheOptions.record) {
+    await saveRecording(request, { text: chunks.join(''), chunks, finishReason: finish.finishReason ?? null, usage: finish.usage ?? null });
+  }
+}
+
+/**
+ * Models that appear in the --replay directory, so a replay picks the model it was recorded with
+ */
+export async function getRecordedModels(provider) {
+  let files;
+  try {
+    files = await fs.readdir(cacheOptions.replay);
+  } catch {
+    throw new ReadmiError(`Cannot read the --replay directory ${cacheOptions.replay}`, EXIT_CODES.USAGE);
+  }
+  const models = new Set();
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const recording = await readJson(join(cacheOptions.replay, file));
+    if (recording?.provider === provider && recording.model) models.add(recording.model);
+  }
+  return [...models];
+}
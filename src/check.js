@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { analyzeProject } from './analyzer.js';
+import { analyzeExistingReadme, detectOutdatedInfo } from './readmeUpdater.js';
+import { applyFactFixes } from './facts.js';
+import { ReadmiError, EXIT_CODES } from './utils.js';
+
+export const SEVERITY_LEVELS = ['low', 'medium', 'high'];
+
+export function printIssues(issues) {
+  if (issues.length > 0) {
+    console.log(
+      '\n' +
+      chalk.yellow.bold('Detected Issues') + '\n'
+    );
+    for (const issue of issues) {
+      const icon = issue.severity === 'high' ? chalk.red('•') : issue.severity === 'medium' ? chalk.yellow('•') : chalk.green('•');
+      console.log('  ' + icon + ' ' + chalk.gray(issue.message));
+    }
+    console.log();
+  } else {
+    console.log(
+      '\n' +
+      chalk.green.bold('✓ No issues detected') + '\n'
+    );
+  }
+}
+
+// Returns true when any issue is at or above the threshold; 'none' never fails
+export function exceedsThreshold(issues, threshold) {
+  if (threshold === 'none') return false;
+  const minimum = SEVERITY_LEVELS.indexOf(threshold);
+  return issues.some(issue => SEVERITY_LEVELS.indexOf(issue.severity) >= minimum);
+}
+
+/**
+ * Check README freshness without calling a model, returns the process exit code.
+ * With `fix`, claims that contradict the project and have a known correct value are rewritten
+ */
+export async function runCheck(dir, { readmePath = 'README.md', format = 'text', failOn = 'medium', scan = {}, fix = false } = {}) {
+  if (![...SEVERITY_LEVELS, 'none'].includes(failOn)) {
+    throw new ReadmiError(`Invalid --fail-on "${failOn}". Expected one of: ${SEVERITY_LEVELS.join(', ')}, none`, EXIT_CODES.USAGE);
+  }
+  if (!['text', 'json'].includes(format)) {
+    throw new ReadmiError(`Invalid --format "${format}". Expected text or json`, EXIT_CODES.USAGE);
+  }
+
+  const projectInfo = await analyzeProject(dir, scan);
+  const readmeAnalysis = await analyzeExistingReadme(readmePath);
+
+  if (!readmeAnalysis) {
+    if (format === 'json') {
+      console.log(JSON.stringify({ readme: readmePath, exists: false, issues: [], passed: false }, null, 2));
+    } else {
+      console.log(chalk.yellow(`\n  ⚠ ${readmePath} not found\n`));
+    }
+    return EXIT_CODES.NO_README;
+  }
+
+  let issues = detectOutdatedInfo(readmeAnalysis, projectInfo);
+  let fixed = [];
+  if (fix) {
+    const result = applyFactFixes(readmeAnalysis.content, issues);
+    if (result.fixed.length > 0) {
+      await fs.writeFile(readmePath, result.content);
+      fixed = result.fixed;
+      issues = issues.filter(issue => !issue.fix);
+    }
+  }
+  const failed = exceedsThreshold(issues, failOn);
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ readme: readmePath, exists: true, threshold: failOn, passed: !failed, fixed, issues }, null, 2));
+  } else {
+    if (fixed.length > 0) {
+      console.log('\n' + chalk.green.bold(`✓ Fixed ${fixed.length} claim${fixed.length === 1 ? '' : 's'}`) + '\n');
+      for (const finding of fixed) {
+        console.log(chalk.green('  ✓ ') + chalk.gray(`line ${finding.line}: ${finding.current} → ${finding.expected || finding.fix.to}`));
+      }
+    }
+    printIssues(issues);
+    if (failed) {
+      console.log(chalk.red(`  ✗ Issues at or above "${failOn}" severity found\n`));
+    }
+  }
+
+  return failed ? EXIT_CODES.CHECK_FAILED : EXIT_CODES.SUCCESS;
+}
@@ -0,0 +1,492 @@
+import fs from 'fs/promises';
+import { join, dirname, relative, sep } from 'path';
+import { readBalanced, splitTopLevel, stripComments, parseStringLiteral, parseObjectLiteral } from './syntax.js';
+import { resolveModuleFile } from './api.js';
+import { getBinEntries } from './utils.js';
+import { upsertSection } from './readmeUpdater.js';
+
+const CHAIN_METHODS = /\.(command|option|requiredOption|addOption|description|describe|alias|aliases|version)\s*\(/g;
+const HELP_LINE = /^\s*((?:[\w@/.-]+\s+)*?(?:--?[\w-]+(?:,\s*--?[\w-]+)*)?(?:\s*[<[][^>\]]*[>\]])?)\s{2,}(\S.*?)\s*$/;
+const FLAG_TOKEN = /(?<![\w-])(--?[a-zA-Z][\w-]*)/g;
+const MAX_IMPORT_DEPTH = 2;
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function createCommand(path) {
+  return { path, aliases: [], description: '', options: [] };
+}
+
+// Registry keyed by the space-joined command path, root is ''
+function createRegistry(bin) {
+  const commands = new Map([['', createCommand([])]]);
+  return {
+    bin,
+    commands,
+    get(path) {
+      const key = path.join(' ');
+      if (!commands.has(key)) commands.set(key, createCommand(path));
+      return commands.get(key);
+    }
+  };
+}
+
+function addOption(command, flags, { description = '', valueName = '' } = {}) {
+  const normalized = [...new Set(flags.filter(flag => /^--?[a-zA-Z]/.test(flag)))];
+  if (normalized.length === 0) return null;
+  let option = command.options.find(existing => existing.flags.some(flag => normalized.includes(flag)));
+  if (option) {
+    option.flags = [...new Set([...option.flags, ...normalized])];
+  } else {
+    option = { flags: normalized, valueName: '', description: '' };
+    command.options.push(option);
+  }
+  option.valueName = option.valueName || valueName;
+  option.description = option.description || description;
+  return option;
+}
+
+// '-p, --port <number>' or '--out [dir]' as used by commander, cac and help text
+function parseFlagSpec(spec) {
+  const flags = spec.match(/--?[a-zA-Z][\w-]*/g) || [];
+  const value = spec.match(/([<[][^>\]]*[>\]])/);
+  return { flags: flags.map(flag => flag.replace(/^--no-/, '--')), valueName: value ? value[1] : '' };
+}
+
+function toFlag(name) {
+  if (name.length === 1) return `-${name}`;
+  return `--${name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+}
+
+function callArguments(content, openIndex) {
+  const { text, end } = readBalanced(content, openIndex);
+  return { args: splitTopLevel(text), end };
+}
+
+function detectFramework(content, packageJson) {
+  if (packageJson.oclif || packageJson.dependencies?.['@oclif/core'] || /['"]@oclif\/core['"]/.test(content)) return 'oclif';
+  if (/['"]commander['"]/.test(content)) return 'commander';
+  if (/['"]yargs(?:\/[\w-]+)?['"]/.test(content)) return 'yargs';
+  if (/['"]meow['"]/.test(content)) return 'meow';
+  if (/['"]cac['"]/.test(content)) return 'cac';
+  return 'argv';
+}
+
+// commander, cac and yargs all describe commands through method chains on a program object
+function parseChainedCli(content, registry, framework) {
+  const code = stripComments(content);
+  const commandRanges = [];
+  const variables = new Map();
+  let current = registry.get([]);
+  let statementCommand = current;
+  let previousEnd = 0;
+
+  for (const match of code.matchAll(CHAIN_METHODS)) {
+    const method = match[1];
+    const openIndex = match.index + match[0].length - 1;
+    const { args, end } = callArguments(code, openIndex);
+    const gap = code.slice(previousEnd, match.index);
+    const enclosing = commandRanges.filter(range => match.index > range.start && match.index < range.end).pop();
+
+    if (enclosing) {
+      current = enclosing.command;
+    } else if (/;|\n\s*(?:const|let|var|await)?\s*[\w$]+\s*(?:\n\s*)?$/.test(gap) || previousEnd === 0) {
+      // New statement: the chain head is either the program or a variable holding a subcommand
+      const head = gap.match(/(?:(?:const|let|var)\s+([\w$]+)\s*=\s*)?(?:await\s+)?([\w$]+)\s*$/);
+      statementCommand = variables.get(head?.[2]) || registry.get([]);
+      current = statementCommand;
+      if (head?.[1]) variables.set(head[1], { pending: true });
+    }
+
+    const first = args[0] !== undefined ? parseStringLiteral(args[0]) : null;
+    // yargs accepts ['build', 'b'] as a command with aliases
+    const listed = args[0]?.trim().startsWith('[') ? (args[0].match(/['"`]([^'"`]+)['"`]/g) || []).map(name => name.slice(1, -1)) : [];
+    if (method === 'command' && (first !== null || listed.length > 0)) {
+      const [name, ...rest] = (first ?? listed[0]).trim().split(/\s+/);
+      const isDefault = name === '$0' || name === '*';
+      const parent = enclosing ? enclosing.parent : statementCommand;
+      const command = isDefault ? parent : registry.get([...parent.path, name]);
+      command.usage = rest.join(' ');
+      const description = args[1] !== undefined ? parseStringLiteral(args[1]) : null;
+      if (description) command.description = description;
+      command.aliases.push(...listed.slice(1).map(alias => alias.split(/\s+/)[0]));
+      commandRanges.push({ start: openIndex, end, command, parent });
+      for (const [variable, value] of variables) {
+        if (value?.pending) variables.set(variable, command);
+      }
+      // yargs chains stay on the program, its per-command options live in the builder
+      current = framework === 'yargs' ? parent : command;
+    } else if ((method === 'option' || method === 'requiredOption') && first !== null) {
+      if (framework === 'yargs') {
+        const settings = args[1]?.trim().startsWith('{') ? Object.fromEntries(parseObjectLiteral(args[1].trim().slice(1, -1))) : {};
+        const aliases = (settings.alias || '').match(/['"`]([\w-]+)['"`]/g)?.map(alias => toFlag(alias.slice(1, -1))) || [];
+        const description = parseStringLiteral(settings.describe || settings.description || settings.desc || '') || '';
+        const type = parseStringLiteral(settings.type || '') || '';
+        addOption(current, [toFlag(first), ...aliases], { description, valueName: ['string', 'number', 'array'].includes(type) ? `<${type}>` : '' });
+      } else {
+        const { flags, valueName } = parseFlagSpec(first);
+        addOption(current, flags, { description: parseStringLiteral(args[1] || '') || '', valueName });
+      }
+    } else if (method === 'addOption') {
+      const inner = args[0]?.match(/new\s+Option\s*\(/);
+      if (inner) {
+        const optionArgs = splitTopLevel(readBalanced(args[0], inner.index + inner[0].length - 1).text);
+        const { flags, valueName } = parseFlagSpec(parseStringLiteral(optionArgs[0] || '') || '');
+        addOption(current, flags, { description: parseStringLiteral(optionArgs[1] || '') || '', valueName });
+      }
+    } else if ((method === 'description' || method === 'describe') && first !== null && args.length === 1) {
+      if (!current.description) current.description = first;
+    } else if (method === 'alias' || method === 'aliases') {
+      const names = args.map(arg => parseStringLiteral(arg)).filter(Boolean);
+      if (framework === 'yargs' && names.length === 2) {
+        const option = current.options.find(existing => existing.flags.includes(toFlag(names[0])) || existing.flags.includes(toFlag(names[1])));
+        if (option) addOption(current, [...option.flags, toFlag(names[0]), toFlag(names[1])]);
+      } else if (framework !== 'yargs') {
+        current.aliases.push(...names, ...listed);
+      }
+    } else if (method === 'version') {
+      const flags = parseStringLiteral(args[1] || '');
+      addOption(registry.get([]), flags ? parseFlagSpec(flags).flags : framework === 'commander' ? ['-V', '--version'] : framework === 'cac' ? ['-v', '--version'] : ['--version'], { description: 'Show version' });
+    }
+    previousEnd = end;
+  }
+  addOption(registry.get([]), framework === 'yargs' ? ['--help'] : ['-h', '--help'], { description: 'Show help' });
+}
+
+function parseMeow(content, registry) {
+  const code = stripComments(content);
+  const call = code.match(/\bmeow\s*\(/);
+  if (!call) return;
+  const { args } = callArguments(code, call.index + call[0].length - 1);
+  const optionsText = args.find(arg => arg.trim().startsWith('{'));
+  if (!optionsText) return;
+  const flagsText = parseObjectLiteral(optionsText.trim().slice(1, -1)).find(([key]) => key === 'flags')?.[1];
+  if (!flagsText?.trim().startsWith('{')) return;
+  for (const [name, value] of parseObjectLiteral(flagsText.trim().slice(1, -1))) {
+    const settings = value.trim().startsWith('{') ? Object.fromEntries(parseObjectLiteral(value.trim().slice(1, -1))) : {};
+    const short = parseStringLiteral(settings.shortFlag || settings.alias || '');
+    const type = parseStringLiteral(settings.type || '') || '';
+    addOption(registry.get([]), [toFlag(name), short ? `-${short}` : null].filter(Boolean), {
+      valueName: type && type !== 'boolean' ? `<${type}>` : ''
+    });
+  }
+  addOption(registry.get([]), ['--help'], { description: 'Show help' });
+  addOption(registry.get([]), ['--version'], { description: 'Show version' });
+}
+
+function getArgNames(code) {
+  const names = new Set(['args', 'argv', 'input']);
+  for (const match of code.matchAll(/(?:const|let|var)\s+([\w$]+)\s*=\s*(?:process\.argv\.slice\(\s*2\s*\)|[\w$]+\.input\b)/g)) {
+    names.add(match[1]);
+  }
+  return [...names];
+}
+
+// Flag literals that take part in argv checks, grouped by `||` chains and helper calls
+function collectFlagChecks(code, argPattern) {
+  const checks = [];
+  const literal = `['"](-{1,2}[a-zA-Z][\\w-]*)['"]`;
+  const single = new RegExp(`(?<![\\w$])(?:${argPattern})\\s*(?:\\.includes\\(\\s*${literal}\\s*\\)|\\[\\s*\\d+\\s*\\]\\s*===?\\s*${literal})`, 'g');
+  const helper = new RegExp(`\\b[\\w$]+\\(\\s*(?:${argPattern})\\s*,\\s*((?:['"]-{1,2}[a-zA-Z][\\w-]*['"]\\s*,?\\s*)+)\\)`, 'g');
+
+  for (const match of code.matchAll(helper)) {
+    checks.push({ index: match.index, flags: match[1].match(/-{1,2}[a-zA-Z][\w-]*/g), takesValue: true });
+  }
+  const singles = [...code.matchAll(single)].map(match => ({ index: match.index, end: match.index + match[0].length, flag: match[1] || match[2] }));
+  for (let i = 0; i < singles.length; i++) {
+    const group = { index: singles[i].index, flags: [singles[i].flag], takesValue: false };
+    while (i + 1 < singles.length && /^\s*\|\|\s*$/.test(code.slice(singles[i].end, singles[i + 1].index))) {
+      group.flags.push(singles[++i].flag);
+    }
+    checks.push(group);
+  }
+  return checks.sort((a, b) => a.index - b.index);
+}
+
+// `if (args[0] === 'config' || args[0] === 'cfg') { ... }` blocks become subcommands
+function collectSubcommandBlocks(code, argPattern) {
+  const blocks = [];
+  for (const match of code.matchAll(/\bif\s*\(/g)) {
+    const condition = readBalanced(code, match.index + match[0].length - 1);
+    const names = [...condition.text.matchAll(new RegExp(`(?:${argPattern})\\s*\\[\\s*(\\d+)\\s*\\]\\s*===?\\s*['"]([a-zA-Z][\\w-]*)['"]`, 'g'))];
+    if (names.length === 0 || /&&/.test(condition.text)) continue;
+    const bodyStart = code.slice(condition.end + 1).search(/\S/) + condition.end + 1;
+    if (code[bodyStart] !== '{') continue;
+    const body = readBalanced(code, bodyStart);
+    const offset = /process\.argv/.test(names[0][0]) ? 2 : 0;
+    blocks.push({
+      start: bodyStart,
+      end: body.end,
+      position: Number(names[0][1]) - offset,
+      names: [...new Set(names.map(name => name[2]))]
+    });
+  }
+  return blocks;
+}
+
+async function parseArgvModule(dir, file, content, registry, basePath, depth, visited) {
+  const code = stripComments(content);
+  const argNames = getArgNames(code);
+  const argPattern = ['process\\.argv', '[\\w$]+\\.input', ...argNames.map(name => name.replace(/\$/g, '\\$'))].join('|');
+  const blocks = collectSubcommandBlocks(code, argPattern);
+
+  const pathAt = (index) => {
+    const path = [...basePath];
+    for (const block of blocks.filter(block => index > block.start && index < block.end).sort((a, b) => a.start - b.start)) {
+      path.splice(block.position, path.length - block.position, block.names[0]);
+    }
+    return path;
+  };
+
+  for (const block of blocks) {
+    const parentPath = pathAt(block.start - 1).slice(0, block.position);
+    if (block.position < basePath.length) continue;
+    const command = registry.get([...parentPath, block.names[0]]);
+    command.aliases.push(...block.names.slice(1).filter(alias => !command.aliases.includes(alias)));
+  }
+  for (const check of collectFlagChecks(code, argPattern)) {
+    addOption(registry.get(pathAt(check.index)), check.flags, { valueName: check.takesValue ? '<value>' : '' });
+  }
+
+  if (depth >= MAX_IMPORT_DEPTH) return;
+  // Follow local helpers that receive the argument list, e.g. handleConfig(args)
+  const imports = new Map();
+  for (const match of code.matchAll(/import\s*\{([^}]*)\}\s*from\s*['"](\.[^'"]+)['"]/g)) {
+    for (const name of match[1].split(',').map(part => part.trim().split(/\s+as\s+/).pop()).filter(Boolean)) {
+      imports.set(name, match[2]);
+    }
+  }
+  for (const match of code.matchAll(new RegExp(`\\b([\\w$]+)\\(\\s*(?:${argPattern})\\s*[,)]`, 'g'))) {
+    const specifier = imports.get(match[1]);
+    if (!specifier) continue;
+    const target = await resolveModuleFile(dir, join(dirname(file), specifier));
+    const key = `${target}#${match[1]}`;
+    if (!target || visited.has(key)) continue;
+    visited.add(key);
+    const moduleContent = await readText(join(dir, target));
+    const fn = moduleContent && stripComments(moduleContent).match(new RegExp(`function\\s+${match[1]}\\s*\\(`));
+    if (!fn) continue;
+    const moduleCode = stripComments(moduleContent);
+    const params = readBalanced(moduleCode, fn.index + fn[0].length - 1);
+    const bodyStart = moduleCode.indexOf('{', params.end);
+    const body = readBalanced(moduleCode, bodyStart).text;
+    await parseArgvModule(dir, target, body, registry, pathAt(match.index), depth + 1, visited);
+  }
+}
+
+async function parseOclif(dir, packageJson, registry) {
+  const configured = typeof packageJson.oclif?.commands === 'string' ? packageJson.oclif.commands : packageJson.oclif?.commands?.target;
+  const separator = packageJson.oclif?.topicSeparator || ':';
+  const candidates = [configured, configured?.replace(/^\.?\/?(?:dist|lib)(?=\/)/, 'src'), 'src/commands', 'commands']
+    .filter(Boolean)
+    .map(candidate => candidate.replace(/^\.\//, ''));
+
+  for (const commandsDir of candidates) {
+    const files = await listFiles(join(dir, commandsDir));
+    const sources = files.filter(file => /\.(?:[cm]?[jt]s)$/.test(file) && !file.endsWith('.d.ts'));
+    if (sources.length === 0) continue;
+    for (const file of sources.sort()) {
+      const id = relative(join(dir, commandsDir), file).split(sep).join('/').replace(/\.[^.]+$/, '').replace(/\/index$/, '');
+      const content = stripComments(await readText(file) || '');
+      const command = registry.get(id === 'index' ? [] : [id.split('/').join(separator)]);
+      const description = content.match(/static\s+(?:override\s+)?description\s*=\s*(['"`])([\s\S]*?)\1/);
+      if (description) command.description = description[2].trim().split('\n')[0];
+      const aliases = content.match(/static\s+(?:override\s+)?aliases\s*=\s*\[([^\]]*)\]/);
+      if (aliases) command.aliases.push(...(aliases[1].match(/['"`]([^'"`]+)['"`]/g) || []).map(alias => alias.slice(1, -1)));
+      const flags = content.match(/static\s+(?:override\s+)?flags\s*=\s*\{/);
+      if (!flags) continue;
+      const body = readBalanced(content, flags.index + flags[0].length - 1).text;
+      for (const [name, value] of parseObjectLiteral(body)) {
+        if (name.startsWith('...')) continue;
+        const call = value.match(/\b(?:Flags|flags)\.(\w+)\s*\(/);
+        const settingsText = call ? readBalanced(value, call.index + call[0].length - 1).text.trim() : '';
+        const settings = settingsText.startsWith('{') ? Object.fromEntries(parseObjectLiteral(settingsText.slice(1, -1))) : {};
+        const char = parseStringLiteral(settings.char || '');
+        addOption(command, [`--${name}`, char ? `-${char}` : null].filter(Boolean), {
+          description: parseStringLiteral(settings.description || settings.summary || '') || '',
+          valueName: call && call[1] !== 'boolean' ? `<${call[1] === 'integer' ? 'number' : 'value'}>` : ''
+        });
+      }
+    }
+    return;
+  }
+}
+
+async function listFiles(dir, files = []) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    const entryPath = join(dir, entry.name);
+    if (entry.isDirectory()) await listFiles(entryPath, files);
+    else files.push(entryPath);
+  }
+  return files;
+}
+
+// Help text such as `  -u, --update   Smart README update` fills in descriptions the code lacks
+function applyHelpText(content, registry) {
+  for (const line of content.split('\n')) {
+    const literals = [...line.matchAll(/(['"`])((?:\\.|(?!\1).)*)\1/g)].map(match => match[2]);
+    const candidates = literals.length > 0 ? [literals.join('')] : [line];
+    for (const candidate of candidates.flatMap(text => text.split(/\\n/))) {
+      const help = candidate.match(HELP_LINE);
+      if (!help || !help[1].trim()) continue;
+      const words = help[1].trim().split(/\s+/).filter(word => !/^[<[]/.test(word));
+      const flags = words.filter(word => word.startsWith('-')).flatMap(word => word.split(',')).map(flag => flag.trim()).filter(Boolean);
+      const path = words.filter(word => !word.startsWith('-') && !word.endsWith(','));
+      if (path[0] === registry.bin) path.shift();
+      const command = registry.commands.get(path.join(' '));
+      if (!command) continue;
+      if (flags.length === 0) {
+        command.description = command.description || help[2];
+        continue;
+      }
+      const option = command.options.find(existing => existing.flags.some(flag => flags.includes(flag)));
+      if (option && !option.description) option.description = help[2];
+      if (option && option.valueName === '<value>') {
+        option.valueName = help[1].match(/[<[][^>\]]*[>\]]/)?.[0] || option.valueName;
+      }
+    }
+  }
+}
+
+/**
+ * Statically recover commands, subcommands, options and aliases from the package's bin files
+ */
+export async function extractCliCommands(dir, projectInfo) {
+  const binEntries = getBinEntries(projectInfo);
+  if (binEntries.length === 0) return null;
+
+  const results = [];
+  for (const [bin, binFile] of binEntries) {
+    const file = await resolveModuleFile(dir, binFile);
+    const content = file ? await readText(join(dir, file)) : null;
+    if (content === null) continue;
+
+    const framework = detectFramework(content, projectInfo);
+    const registry = createRegistry(bin);
+    if (framework === 'oclif') {
+      await parseOclif(dir, projectInfo, registry);
+    } else if (framework === 'meow') {
+      parseMeow(content, registry);
+      await parseArgvModule(dir, file, content, registry, [], 0, new Set());
+    } else if (framework === 'argv') {
+      await parseArgvModule(dir, file, content, registry, [], 0, new Set());
+    } else {
+      parseChainedCli(content, registry, framework);
+    }
+
+    // Help text usually lives in the bin file or a module it imports directly
+    applyHelpText(content, registry);
+    for (const match of content.matchAll(/from\s*['"](\.[^'"]+)['"]/g)) {
+      const imported = await resolveModuleFile(dir, join(dirname(file), match[1]));
+      const importedContent = imported ? await readText(join(dir, imported)) : null;
+      if (importedContent) applyHelpText(importedContent, registry);
+    }
+
+    results.push({ bin, file: file.split(sep).join('/'), framework, commands: [...registry.commands.values()] });
+  }
+  return results.length > 0 ? { bins: results } : null;
+}
+
+function formatOption(option) {
+  const flags = [...option.flags].sort((a, b) => a.length - b.length);
+  return flags.map(flag => `\`${flag}${option.valueName ? ` ${option.valueName}` : ''}\``).join(', ');
+}
+
+function commandName(bin, command) {
+  return [bin, ...command.path].join(' ');
+}
+
+/**
+ * Render the generated "Commands" section: one table of commands, then an options table per command
+ */
+export function renderCommandsSection(cli) {
+  if (!cli?.bins?.length) return null;
+  const lines = ['## Commands', '', '| Command | Description |', '|---------|-------------|'];
+  for (const { bin, commands } of cli.bins) {
+    for (const command of commands) {
+      const aliases = command.aliases.length > 0 ? ` (alias: ${command.aliases.map(alias => `\`${alias}\``).join(', ')})` : '';
+      lines.push(`| \`${commandName(bin, command)}\`${aliases} | ${(command.description || '-').replace(/\|/g, '\\|')} |`);
+    }
+  }
+  for (const { bin, commands } of cli.bins) {
+    for (const command of commands.filter(item => item.options.length > 0)) {
+      lines.push('', `### \`${commandName(bin, command)}\` options`, '', '| Option | Description |', '|--------|-------------|');
+      for (const option of command.options) {
+        lines.push(`| ${formatOption(option)} | ${(option.description || '-').replace(/\|/g, '\\|')} |`);
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+export function formatCliForPrompt(cli) {
+  if (!cli?.bins?.length) return '';
+  const lines = [];
+  for (const { bin, commands } of cli.bins) {
+    for (const command of commands) {
+      const aliases = command.aliases.length > 0 ? ` (aliases: ${command.aliases.join(', ')})` : '';
+      lines.push(`- ${commandName(bin, command)}${aliases}${command.description ? `: ${command.description}` : ''}`);
+      for (const option of command.options) {
+        lines.push(`  ${option.flags.join(', ')}${option.valueName ? ` ${option.valueName}` : ''}${option.description ? ` - ${option.description}` : ''}`);
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+export function applyCommandsSection(content, cli) {
+  return upsertSection(content, renderCommandsSection(cli), {
+    match: /^(?:cli )?commands$/,
+    before: /^(?:api reference|api|contributing|license)\b/
+  });
+}
+
+/**
+ * Compare flags written next to the bin name (or in option tables) with the real ones
+ */
+export function findFlagDrift(readmeContent, cli) {
+  const known = new Set(['-h', '--help']);
+  const options = [];
+  for (const { bin, commands } of cli.bins) {
+    for (const command of commands) {
+      for (const option of command.options) {
+        option.flags.forEach(flag => known.add(flag));
+        options.push({ command: commandName(bin, command), option });
+      }
+    }
+  }
+
+  const documented = new Set();
+  const bins = cli.bins.map(({ bin }) => bin.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const binPattern = new RegExp(`(?:^|[\\s\`$(])(?:${bins.join('|')})(?=\\s|$)`);
+  for (const line of readmeContent.split('\n')) {
+    const binMatch = line.match(binPattern);
+    let scope = null;
+    if (binMatch) {
+      // Only flags after the command, and before an inline comment or the next table cell
+      scope = line.slice(binMatch.index + binMatch[0].length).split(/\s#\s|\|/)[0];
+    } else if (/^\s*\|\s*`-/.test(line)) {
+      scope = line.split('|')[1];
+    }
+    if (!scope) continue;
+    for (const match of scope.matchAll(FLAG_TOKEN)) documented.add(match[1]);
+  }
+
+  const unknown = [...documented].filter(flag => !known.has(flag));
+  const undocumented = options.filter(({ option }) =>
+    !option.flags.some(flag => flag === '--help' || flag === '--version') &&
+    !option.flags.some(flag => new RegExp(`(?<![\\w-])${flag}(?![\\w-])`).test(readmeContent))
+  );
+  return { unknown, undocumented };
+}
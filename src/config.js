@@ -1,28 +1,86 @@
 import Conf from 'conf';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import { getLanguageName } from './utils.js';
+import { assertInteractive } from './utils.js';
+import { COMMON_LANGUAGES, getLanguageName, normalizeLanguage } from './languages.js';
+import { PROVIDERS } from './providers.js';
+
+const DEFAULTS = {
+  apiKey: null,
+  apiKeys: {},
+  baseUrls: {},
+  provider: 'gemini',
+  preferredModel: null,
+  preferredLanguage: 'en'
+};
 
 export const config = new Conf({
   projectName: 'readmi',
-  defaults: { 
-    apiKey: null,
-    preferredModel: null,
-    preferredLanguage: 'en'
-  }
+  defaults: DEFAULTS
 });
 
-export async function getApiKey(spinner) {
-  const savedApiKey = config.get('apiKey');
+// Set from CLI flags or the project config, wins over the saved provider
+let providerOverride = null;
+
+export function setProviderOverride(provider) {
+  providerOverride = provider || null;
+}
+
+export function getProvider() {
+  const provider = providerOverride || config.get('provider');
+  return PROVIDERS[provider] ? provider : 'gemini';
+}
+
+// The provider saved with `readmi config provider`, ignoring overrides
+export function getSavedProvider() {
+  const provider = config.get('provider');
+  return PROVIDERS[provider] ? provider : 'gemini';
+}
+
+// Saved settings that differ from the defaults, in project config shape
+export function getUserSettings() {
+  const settings = {};
+  if (config.get('provider') !== DEFAULTS.provider) settings.provider = config.get('provider');
+  if (config.get('preferredModel')) settings.model = config.get('preferredModel');
+  const language = config.get('preferredLanguage');
+  if (language && language !== DEFAULTS.preferredLanguage) settings.languages = [language];
+  return settings;
+}
+
+// Gemini keeps using the original `apiKey` entry so existing setups keep working
+export function getApiKeyPath(provider = getProvider()) {
+  return provider === 'gemini' ? 'apiKey' : `apiKeys.${provider}`;
+}
+
+export function getBaseUrl(provider = getProvider()) {
+  return config.get(`baseUrls.${provider}`) || PROVIDERS[provider].defaultBaseUrl || null;
+}
+
+// READMI_API_KEY applies to any provider, the others only to their own provider
+export function getEnvApiKey(provider = getProvider()) {
+  const name = ['READMI_API_KEY', ...PROVIDERS[provider].envKeys].find(key => process.env[key]);
+  return name ? { name, value: process.env[name] } : null;
+}
+
+export async function getApiKey(spinner, provider = getProvider()) {
+  const envApiKey = getEnvApiKey(provider);
+  if (envApiKey) return envApiKey.value;
+
+  const savedApiKey = config.get(getApiKeyPath(provider));
   if (savedApiKey) return savedApiKey;
+  if (!PROVIDERS[provider].requiresKey) return null;
 
+  assertInteractive(
+    'API key setup',
+    `Set READMI_API_KEY or ${PROVIDERS[provider].envKeys[0]} to provide the key.`
+  );
   spinner.stop();
   console.log('\n' + chalk.bold.white('API Key Setup') + '\n');
   const { apiKey, saveKey } = await inquirer.prompt([
     {
       type: 'password',
       name: 'apiKey',
-      message: chalk.cyan('  Enter Google AI API Key:'),
+      message: chalk.cyan(`  Enter ${PROVIDERS[provider].keyLabel}:`),
       mask: '●',
       validate: (input) => {
         if (!input || input.trim().length === 0) {
@@ -40,7 +98,7 @@ export async function getApiKey(spinner) {
   ]);
 
   if (saveKey) {
-    config.set('apiKey', apiKey);
+    config.set(getApiKeyPath(provider), apiKey);
     spinner.succeed(chalk.green('  API key saved'));
   }
   return apiKey;
@@ -48,33 +106,45 @@ export async function getApiKey(spinner) {
 
 export async function selectLanguage(spinner) {
   const savedLanguage = config.get('preferredLanguage');
+  const languages = [...new Set([...COMMON_LANGUAGES, ...(savedLanguage ? [savedLanguage] : [])])];
   
-  const languages = [
-    { name: '🇺🇸 English', value: 'en' },
-    { name: '🇪🇸 Spanish (Español)', value: 'es' },
-    { name: '🇫🇷 French (Français)', value: 'fr' },
-    { name: '🇩🇪 German (Deutsch)', value: 'de' },
-    { name: '🇨🇳 Chinese (中文)', value: 'zh' },
-    { name: '🇯🇵 Japanese (日本語)', value: 'ja' },
-    { name: '🇵🇹 Portuguese (Português)', value: 'pt' },
-    { name: '🇷🇺 Russian (Русский)', value: 'ru' },
-    { name: '🇮🇳 Hindi (हिन्दी)', value: 'hi' },
-    { name: '🇸🇦 Arabic (العربية)', value: 'ar' }
-  ];
-  
+  assertInteractive('Language selection', 'Pass --lang <code> instead.');
   spinner.stop();
   console.log('\n' + chalk.bold.white('Language Selection') + '\n');
-  const { language } = await inquirer.prompt([
+  let { language } = await inquirer.prompt([
     {
       type: 'list',
       name: 'language',
       message: chalk.cyan('  Select language:'),
-      choices: languages.map(l => ({ name: l.name.replace(/^🇺🇸 |^🇪🇸 |^🇫🇷 |^🇩🇪 |^🇨🇳 |^🇯🇵 |^🇵🇹 |^🇷🇺 |^🇮🇳 |^🇸🇦 /, ''), value: l.value })),
-      default: languages.findIndex(lang => lang.value === savedLanguage) || 0,
-      pageSize: 10
+      choices: [
+        ...languages.map(code => ({ name: `${getLanguageName(code)} ${chalk.dim(code)}`, value: code })),
+        { name: chalk.gray('Other (enter a code)'), value: null }
+      ],
+      default: Math.max(languages.indexOf(savedLanguage), 0),
+      pageSize: 12
     }
   ]);
   
+  if (!language) {
+    ({ language } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'language',
+        message: chalk.cyan('  Language code (BCP-47, e.g. pt-BR, zh-TW, ko):'),
+        validate: input => {
+          try {
+            normalizeLanguage(input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+        filter: input => input.trim()
+      }
+    ]));
+    language = normalizeLanguage(language);
+  }
+  
   const { saveLanguage } = await inquirer.prompt([
     {
       type: 'confirm',
@@ -92,10 +162,93 @@ export async function selectLanguage(spinner) {
   return language;
 }
 
-export async function handleConfig(args, spinner) {
+export async function selectProvider(spinner) {
+  const savedProvider = getSavedProvider();
+  const providerNames = Object.keys(PROVIDERS);
+
+  assertInteractive('Provider selection');
+  spinner.stop();
+  console.log('\n' + chalk.bold.white('Provider Selection') + '\n');
+  const { provider } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'provider',
+      message: chalk.cyan('  Select provider:'),
+      choices: providerNames.map(name => ({ name: PROVIDERS[name].label, value: name })),
+      default: providerNames.indexOf(savedProvider)
+    }
+  ]);
+
+  if (PROVIDERS[provider].defaultBaseUrl) {
+    const { baseUrl } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'baseUrl',
+        message: chalk.cyan('  Base URL:'),
+        default: getBaseUrl(provider)
+      }
+    ]);
+    if (baseUrl && baseUrl !== PROVIDERS[provider].defaultBaseUrl) {
+      config.set(`baseUrls.${provider}`, baseUrl.trim());
+    } else {
+      config.delete(`baseUrls.${provider}`);
+    }
+  }
+
+  if (provider !== savedProvider) {
+    config.delete('preferredModel');
+  }
+  config.set('provider', provider);
+  spinner.succeed(chalk.green(`  Provider saved: ${PROVIDERS[provider].label}`));
+
+  return provider;
+}
+
+const SOURCE_LABELS = {
+  cli: 'flag',
+  project: 'project config',
+  user: 'user config',
+  default: 'default'
+};
+
+// What an empty list means for each list setting
+const EMPTY_LIST_LABELS = { sections: 'all', ignore: 'none' };
+
+function formatSettingValue(key, value) {
+  if (key === 'languages') return value.map(getLanguageName).join(', ');
+  if (key === 'provider') return PROVIDERS[value]?.label || value;
+  if (Array.isArray(value)) return value.length ? value.join(', ') : EMPTY_LIST_LABELS[key] || 'none';
+  if (key === 'footer' && typeof value === 'string') return 'custom';
+  if (key === 'generation') {
+    const { models = {}, ...shared } = value;
+    const parts = Object.entries(shared).map(([name, setting]) => `${name} ${setting}`);
+    const overrides = Object.keys(models).length;
+    if (overrides) parts.push(`${overrides} model override${overrides === 1 ? '' : 's'}`);
+    return parts.length ? parts.join(', ') : 'model defaults';
+  }
+  if (key === 'instructions') {
+    const line = value.trim().split('\n')[0];
+    return !line ? 'none' : line.length > 40 ? `${line.slice(0, 40)}…` : line;
+  }
+  return value === null || value === undefined ? 'auto' : String(value);
+}
+
+function printEffectiveSettings(settings) {
+  let output = '\n' + chalk.bold.white('Effective Settings') + chalk.dim(settings.file ? `  (${settings.file})` : '  (no project config)') + '\n\n';
+  for (const [key, value] of Object.entries(settings.values)) {
+    const source = settings.sources[key];
+    const display = formatSettingValue(key, value);
+    output += chalk.gray(`  ${key.padEnd(16)}`) + (source === 'default' ? chalk.dim(display) : chalk.cyan(display)) +
+      chalk.dim(` ← ${SOURCE_LABELS[source]}`) + '\n';
+  }
+  console.log(output);
+}
+
+export async function handleConfig(args, spinner, settings = null) {
   if (args[1] === '--remove-key' || args[1] === '-r') {
-    if (config.has('apiKey')) {
-      config.delete('apiKey');
+    const keyPath = getApiKeyPath();
+    if (config.has(keyPath)) {
+      config.delete(keyPath);
       console.log(chalk.green('\n✓ API key removed\n'));
     } else {
       console.log(chalk.dim('\nNo API key found\n'));
@@ -126,14 +279,31 @@ export async function handleConfig(args, spinner) {
   if (args[1] === 'model' || args[1] === 'models') {
     return 'select-model';
   }
+  if (args[1] === 'provider' || args[1] === 'providers') {
+    return 'select-provider';
+  }
   
-  const apiKeyStatus = config.has('apiKey') ? chalk.green('✓ saved') : chalk.dim('not set');
+  const provider = getSavedProvider();
+  const providerStatus = chalk.cyan(PROVIDERS[provider].label);
+  const baseUrl = getBaseUrl(provider);
+  const envApiKey = getEnvApiKey(provider);
+  let apiKeyStatus = PROVIDERS[provider].requiresKey ? chalk.dim('not set') : chalk.dim('not required');
+  if (envApiKey) {
+    apiKeyStatus = chalk.green(`✓ from $${envApiKey.name}`);
+  } else if (config.get(getApiKeyPath(provider))) {
+    apiKeyStatus = chalk.green('✓ saved');
+  }
   const modelStatus = config.has('preferredModel') ? chalk.cyan(config.get('preferredModel')) : chalk.dim('not set');
   const langStatus = config.has('preferredLanguage') ? chalk.cyan(getLanguageName(config.get('preferredLanguage'))) : chalk.dim('not set');
   
+  if (settings) {
+    printEffectiveSettings(settings);
+  }
   console.log(
     '\n' +
-    chalk.bold.white('Configuration') + '\n\n' +
+    chalk.bold.white(settings ? 'User Configuration' : 'Configuration') + '\n\n' +
+    chalk.gray('  Provider     ') + providerStatus + '\n' +
+    (baseUrl ? chalk.gray('  Base URL     ') + chalk.cyan(baseUrl) + '\n' : '') +
     chalk.gray('  API Key      ') + apiKeyStatus + '\n' +
     chalk.gray('  Model        ') + modelStatus + '\n' +
     chalk.gray('  Language     ') + langStatus + '\n\n' +
@@ -142,7 +312,8 @@ export async function handleConfig(args, spinner) {
     chalk.cyan('  config -rm       ') + chalk.gray('Remove model') + '\n' +
     chalk.cyan('  config -rl       ') + chalk.gray('Remove language') + '\n' +
     chalk.cyan('  config -l        ') + chalk.gray('Set language') + '\n' +
-    chalk.cyan('  config model     ') + chalk.gray('Select model') + '\n'
+    chalk.cyan('  config model     ') + chalk.gray('Select model') + '\n' +
+    chalk.cyan('  config provider  ') + chalk.gray('Select provider') + '\n'
   );
 }
 
@@ -0,0 +1,295 @@
+import fs from 'fs/promises';
+import { join, dirname, basename, extname, normalize } from 'path';
+import chalk from 'chalk';
+
+export const DEFAULT_CONTEXT_BUDGET = 12000;
+
+const MAX_CANDIDATES = 400;
+const MAX_FILE_BYTES = 256 * 1024;
+// One file may take at most this share of the budget before it is summarised
+const MAX_FULL_FILE_SHARE = 0.4;
+// Share of the budget held back so lower-ranked files still get an outline
+const OUTLINE_RESERVE_SHARE = 0.2;
+const JS_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'];
+
+const DECLARATION_PATTERNS = {
+  javascript: /^\s*(?:export\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)?|(?:async\s+)?function\*?\s+\w|class\s+\w|module\.exports|exports\.\w+\s*=|(?:static\s+)?(?:async\s+)?(?!(?:if|for|while|switch|catch|return)\b)\w+\s*\([^)]*\)\s*\{\s*$)/,
+  python: /^(?:async\s+def|def|class)\s+\w/,
+  go: /^(?:func|type)\s/,
+  rust: /^\s*pub(?:\([^)]*\))?\s+(?:async\s+)?(?:fn|struct|enum|trait|mod|const|type|use)\s/,
+  java: /^\s*(?:public|protected)\s[^=;]*[({]\s*$/,
+  php: /^\s*(?:(?:abstract|final)\s+)?(?:class|interface|trait|function)\s+\w|^\s*public\s+(?:static\s+)?function\s/,
+  ruby: /^\s*(?:def|class|module)\s/
+};
+
+const EXPORT_PATTERNS = {
+  javascript: /^\s*export\s|module\.exports\s*=|^\s*exports\.\w+\s*=/,
+  python: /^(?:async\s+def|def|class)\s+[A-Za-z]/,
+  go: /^(?:func\s+(?:\([^)]*\)\s*)?|type\s+)[A-Z]/,
+  rust: /^\s*pub\s/,
+  java: /^\s*public\s/,
+  php: /^\s*(?:public\s+(?:static\s+)?function|(?:abstract\s+|final\s+)?class)\s/,
+  ruby: /^\s*(?:def\s+(?:self\.)?[a-z]|class\s|module\s)/
+};
+
+const LANGUAGE_BY_EXTENSION = {
+  '.js': 'javascript', '.ts': 'javascript', '.jsx': 'javascript', '.tsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.py': 'python', '.go': 'go', '.rs': 'rust', '.java': 'java', '.kt': 'java', '.cs': 'java',
+  '.php': 'php', '.rb': 'ruby'
+};
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function detectLanguage(file, content) {
+  return LANGUAGE_BY_EXTENSION[extname(file)] || (/^#!.*\bnode\b/.test(content) ? 'javascript' : null);
+}
+
+function extractImports(content, language) {
+  const specifiers = [];
+  const collect = (regex) => {
+    for (const match of content.matchAll(regex)) specifiers.push(match[1]);
+  };
+  if (language === 'javascript') {
+    collect(/(?:import|export)\s[^'"`;]*?from\s*['"]([^'"]+)['"]/g);
+    collect(/import\s*['"]([^'"]+)['"]/g);
+    collect(/(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/g);
+  } else if (language === 'python') {
+    collect(/^\s*from\s+([.\w]+)\s+import/gm);
+    collect(/^\s*import\s+([\w.]+)/gm);
+  } else if (language === 'rust') {
+    collect(/^\s*(?:pub\s+)?mod\s+(\w+)\s*;/gm);
+  } else if (language === 'ruby') {
+    collect(/require_relative\s*\(?\s*['"]([^'"]+)['"]/g);
+  } else if (language === 'php') {
+    collect(/(?:require|include)(?:_once)?\s*\(?\s*(?:__DIR__\s*\.\s*)?['"]([^'"]+)['"]/g);
+  }
+  return specifiers;
+}
+
+// Maps an import specifier onto a project file, or null for external modules
+function resolveImport(file, specifier, language, known) {
+  const dir = dirname(file);
+  const pick = (candidates) => candidates.map(candidate => normalize(candidate)).find(candidate => known.has(candidate)) || null;
+
+  if (language === 'javascript') {
+    if (!specifier.startsWith('.')) return null;
+    const base = join(dir, specifier);
+    const stripped = base.replace(/\.(?:js|mjs|cjs|jsx)$/, '');
+    return pick([
+      base,
+      ...JS_EXTENSIONS.map(ext => stripped + ext),
+      ...JS_EXTENSIONS.map(ext => join(base, 'index' + ext))
+    ]);
+  }
+  if (language === 'python') {
+    const leadingDots = specifier.match(/^\.*/)[0].length;
+    let base = '';
+    if (leadingDots > 0) {
+      base = dir;
+      for (let i = 1; i < leadingDots; i++) base = dirname(base);
+    }
+    const modulePath = specifier.slice(leadingDots).split('.').filter(Boolean).join('/');
+    const roots = leadingDots > 0 ? [base] : ['', 'src', dir];
+    return pick(roots.flatMap(root => [
+      join(root, modulePath + '.py'),
+      join(root, modulePath, '__init__.py')
+    ]));
+  }
+  if (language === 'rust') {
+    const stem = basename(file, '.rs');
+    const moduleDir = ['main', 'lib', 'mod'].includes(stem) ? dir : join(dir, stem);
+    return pick([join(moduleDir, `${specifier}.rs`), join(moduleDir, specifier, 'mod.rs')]);
+  }
+  if (language === 'ruby') {
+    return pick([join(dir, specifier), join(dir, `${specifier}.rb`)]);
+  }
+  if (language === 'php') {
+    return pick([join(dir, specifier.replace(/^\//, ''))]);
+  }
+  return null;
+}
+
+function extractSignatures(content, language) {
+  const pattern = DECLARATION_PATTERNS[language];
+  if (!pattern) return '';
+  return content
+    .split('\n')
+    .filter(line => pattern.test(line))
+    .map(line => line.replace(/\s*\{\s*$/, '').slice(0, 200))
+    .join('\n');
+}
+
+function countExports(content, language) {
+  const pattern = EXPORT_PATTERNS[language];
+  if (!pattern) return 0;
+  return content.split('\n').filter(line => pattern.test(line)).length;
+}
+
+function buildOutline(file, candidate) {
+  const lines = candidate.content.split('\n').length;
+  const names = candidate.signatures
+    .split('\n')
+    .map(line => line.match(/(?:function\*?|class|def|fn|func|type|struct|enum|trait|interface|module|const|let|var)\s+(?:\([^)]*\)\s*)?(\w+)/)?.[1])
+    .filter(Boolean);
+  return `${file}: ${lines} lines` + (names.length > 0 ? `, declares ${[...new Set(names)].slice(0, 20).join(', ')}` : '');
+}
+
+async function readCandidate(dir, file) {
+  try {
+    const filePath = join(dir, file);
+    const stats = await fs.stat(filePath);
+    if (stats.size > MAX_FILE_BYTES) return null;
+    return await fs.readFile(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// Breadth-first depth of every file reachable from the entry points
+function computeReachability(entryFiles, graph) {
+  const depths = new Map();
+  const queue = [];
+  for (const entry of entryFiles) {
+    if (graph.has(entry) && !depths.has(entry)) {
+      depths.set(entry, 0);
+      queue.push(entry);
+    }
+  }
+  while (queue.length > 0) {
+    const file = queue.shift();
+    for (const target of graph.get(file) || []) {
+      if (!depths.has(target)) {
+        depths.set(target, depths.get(file) + 1);
+        queue.push(target);
+      }
+    }
+  }
+  return depths;
+}
+
+const isEntry = ({ file }, depths) => Number(depths.get(file) === 0);
+
+function scoreCandidate(candidate, depth, fanIn, budget) {
+  const reasons = [];
+  let score = 0;
+  if (depth === 0) {
+    score += 100;
+    reasons.push('entry point');
+  } else if (depth !== undefined) {
+    score += Math.max(10, 35 - depth * 5);
+    reasons.push(`reachable (depth ${depth})`);
+  }
+  if (fanIn > 0) {
+    score += Math.min(40, fanIn * 8);
+    reasons.push(`imported by ${fanIn}`);
+  }
+  if (candidate.exports > 0) {
+    score += Math.min(30, candidate.exports * 3);
+    reasons.push(`${candidate.exports} export${candidate.exports === 1 ? '' : 's'}`);
+  }
+  if (candidate.tokens < 20) {
+    score -= 10;
+  } else if (candidate.tokens > budget * MAX_FULL_FILE_SHARE && depth !== 0) {
+    score -= 10;
+    reasons.push('large');
+  } else {
+    score += 10;
+  }
+  return { score, reasons };
+}
+
+/**
+ * Rank source files by entry-point reachability, import fan-in, exports and size,
+ * then fill the token budget with whole files, signatures or one-line outlines
+ */
+export async function selectSourceContext(dir, sourceFiles, entryFiles = [], budget = DEFAULT_CONTEXT_BUDGET) {
+  const entries = entryFiles.map(file => normalize(file));
+  const files = [...new Set([...entries, ...sourceFiles])].slice(0, MAX_CANDIDATES);
+
+  const candidates = new Map();
+  for (const file of files) {
+    const content = await readCandidate(dir, file);
+    if (!content) continue;
+    const language = detectLanguage(file, content);
+    candidates.set(file, {
+      content,
+      language,
+      tokens: estimateTokens(content),
+      signatures: extractSignatures(content, language),
+      exports: countExports(content, language)
+    });
+  }
+
+  const known = new Set(candidates.keys());
+  const graph = new Map();
+  const fanIn = new Map();
+  for (const [file, candidate] of candidates) {
+    const targets = new Set();
+    for (const specifier of extractImports(candidate.content, candidate.language)) {
+      const target = resolveImport(file, specifier, candidate.language, known);
+      if (target && target !== file) targets.add(target);
+    }
+    graph.set(file, targets);
+    for (const target of targets) {
+      fanIn.set(target, (fanIn.get(target) || 0) + 1);
+    }
+  }
+  const depths = computeReachability(entries, graph);
+
+  const ranked = [...candidates.entries()]
+    .map(([file, candidate]) => ({ file, candidate, ...scoreCandidate(candidate, depths.get(file), fanIn.get(file) || 0, budget) }))
+    // Entry points are budgeted first, however well a small leaf module scores
+    .sort((a, b) => isEntry(b, depths) - isEntry(a, depths) || b.score - a.score || a.file.localeCompare(b.file));
+
+  const outlines = ranked.map(({ file, candidate }) => buildOutline(file, candidate));
+  let pendingOutlineTokens = outlines.reduce((sum, outline) => sum + estimateTokens(outline), 0);
+
+  const sourceCode = {};
+  const report = [];
+  let remaining = budget;
+  ranked.forEach(({ file, candidate, score, reasons }, index) => {
+    pendingOutlineTokens -= estimateTokens(outlines[index]);
+    const reserve = Math.min(pendingOutlineTokens, budget * OUTLINE_RESERVE_SHARE);
+    const options = [
+      ['full', candidate.content],
+      ['signatures', candidate.signatures],
+      ['outline', outlines[index]]
+    ];
+    let chosen = null;
+    for (const [mode, content] of options) {
+      if (!content) continue;
+      const tokens = estimateTokens(content);
+      if (mode === 'full' && tokens > budget * MAX_FULL_FILE_SHARE) continue;
+      if (tokens + (mode === 'outline' ? 0 : reserve) <= remaining) {
+        chosen = { mode, content, tokens };
+        break;
+      }
+    }
+    if (chosen) {
+      sourceCode[file] = chosen.content;
+      remaining -= chosen.tokens;
+    }
+    report.push({ file, mode: chosen?.mode || 'skipped', tokens: chosen?.tokens || 0, score, reasons });
+  });
+
+  return { sourceCode, context: { budget, usedTokens: budget - remaining, files: report } };
+}
+
+// Printed to stderr like the spinner, so it never mixes into a README streamed with --stdout
+export function printSourceContext(context) {
+  if (!context) return;
+  const included = context.files.filter(entry => entry.mode !== 'skipped');
+  console.error(
+    '\n' +
+    chalk.white.bold('Source Context') + chalk.gray(` (${context.usedTokens}/${context.budget} tokens, ${included.length}/${context.files.length} files)`) + '\n'
+  );
+  const colors = { full: chalk.green, signatures: chalk.cyan, outline: chalk.yellow, skipped: chalk.gray };
+  for (const entry of context.files) {
+    const mode = colors[entry.mode](entry.mode.padEnd(10));
+    const detail = entry.reasons.length > 0 ? chalk.gray(` - ${entry.reasons.join(', ')}`) : '';
+    console.error(`  ${mode} ${chalk.white(entry.file)} ${chalk.gray(`~${entry.tokens} tokens`)}${detail}`);
+  }
+  console.error();
+}
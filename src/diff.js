@@ -0,0 +1,215 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { normalizeTitle } from './readmeUpdater.js';
+import { isRegionMarker } from './regions.js';
+import { parseMarkdown, literalLines, nodeText } from './markdown.js';
+
+const NO_EOL = '\n\\ No newline at end of file';
+
+// The newline ends a line rather than starting an empty one, a missing one is marked the way git does
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_EOL;
+  }
+  return lines;
+}
+
+// Line-level diff based on the longest common subsequence
+export function diffLines(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const width = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const ops = oldLines.slice(0, prefix).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    // Deletions go first on a tie, as in any unified diff
+    } else if (j < b.length && (i === a.length || table[i * width + j + 1] > table[(i + 1) * width + j])) {
+      ops.push({ type: '+', line: b[j] });
+      j++;
+    } else {
+      ops.push({ type: '-', line: a[i] });
+      i++;
+    }
+  }
+  ops.push(...oldLines.slice(oldLines.length - suffix).map(line => ({ type: ' ', line })));
+  return ops;
+}
+
+// Builds a unified diff, returns an empty string when both texts are equal
+export function createUnifiedDiff(oldText, newText, { oldLabel = 'a/README.md', newLabel = 'b/README.md', context = 3 } = {}) {
+  const ops = diffLines(oldText, newText);
+  let oldNo = 1;
+  let newNo = 1;
+  for (const op of ops) {
+    op.oldNo = oldNo;
+    op.newNo = newNo;
+    if (op.type !== '+') oldNo++;
+    if (op.type !== '-') newNo++;
+  }
+
+  const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+  if (changed.length === 0) return '';
+
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const hunk of hunks) {
+    const slice = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? slice[0].oldNo - 1 : slice[0].oldNo;
+    const newStart = newCount === 0 ? slice[0].newNo - 1 : slice[0].newNo;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of slice) {
+      output.push(op.type + op.line);
+    }
+  }
+  return output.join('\n') + '\n';
+}
+
+export function colorizeDiff(diff) {
+  return diff
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      return chalk.dim(line);
+    })
+    .join('\n');
+}
+
+// Splits a README into the preamble plus one block per heading, keeping raw text
+export function splitIntoBlocks(content) {
+  const blocks = [{ key: ':header', title: 'Header', lines: [] }];
+  const seen = new Map();
+  const tree = parseMarkdown(content);
+  const literal = literalLines(tree);
+  const headings = new Map(tree.children
+    .filter(node => node.type === 'heading')
+    .map(node => [node.position.start.line - 1, nodeText(node).trim()]));
+
+  content.split('\n').forEach((line, index) => {
+    if (!literal.has(index) && isRegionMarker(line)) {
+      // Region markers are blocks of their own so accepting or rejecting a section never splits a pair
+      blocks.push({ key: `:marker ${line.trim()}`, title: line.trim(), marker: true, lines: [line] });
+      blocks.push({ key: `:after ${line.trim()}`, title: 'Text', lines: [] });
+    } else if (headings.has(index)) {
+      const title = headings.get(index);
+      const baseKey = normalizeTitle(title) || title;
+      const count = seen.get(baseKey) || 0;
+      seen.set(baseKey, count + 1);
+      blocks.push({ key: count ? `${baseKey}#${count}` : baseKey, title, lines: [line] });
+    } else {
+      blocks[blocks.length - 1].lines.push(line);
+    }
+  });
+
+  return blocks
+    .filter(block => block.lines.length > 0 || block.key === ':header')
+    .map(block => ({ key: block.key, title: block.title, marker: Boolean(block.marker), text: block.lines.join('\n') }));
+}
+
+function joinBlocks(blocks) {
+  return blocks.map(block => block.text).filter((text, index) => index > 0 || text !== '').join('\n');
+}
+
+/**
+ * Show the diff of every changed section and let the user accept or reject it
+ */
+export async function reviewSectionChanges(oldContent, newContent) {
+  const oldBlocks = splitIntoBlocks(oldContent);
+  const newBlocks = splitIntoBlocks(newContent);
+  const oldByKey = new Map(oldBlocks.map(block => [block.key, block]));
+  const newKeys = new Set(newBlocks.map(block => block.key));
+  const result = [];
+
+  console.log('\n' + chalk.bold.white('Review Changes') + '\n');
+
+  for (const block of newBlocks) {
+    const existing = oldByKey.get(block.key);
+    if (block.marker || (existing && existing.text === block.text)) {
+      result.push(block);
+      continue;
+    }
+    const accepted = await confirmBlockChange(existing ? existing.text : '', block.text, existing ? 'Update' : 'Add', block.title);
+    if (accepted) {
+      result.push(block);
+    } else if (existing) {
+      result.push(existing);
+    }
+  }
+
+  // Sections missing from the new content are removed only when the user agrees
+  for (let index = 0; index < oldBlocks.length; index++) {
+    const block = oldBlocks[index];
+    if (newKeys.has(block.key) || block.marker) continue;
+    const accepted = await confirmBlockChange(block.text, '', 'Remove', block.title);
+    if (accepted) continue;
+    const previousKey = oldBlocks.slice(0, index).reverse().map(b => b.key).find(key => result.some(b => b.key === key));
+    const insertAt = previousKey ? result.findIndex(b => b.key === previousKey) + 1 : 0;
+    result.splice(insertAt, 0, block);
+  }
+
+  return joinBlocks(result);
+}
+
+async function confirmBlockChange(oldText, newText, action, title) {
+  // Blocks are joined with newlines, within the file every one of them ends a line
+  const asLines = text => (text === '' ? '' : `${text}\n`);
+  const diff = createUnifiedDiff(asLines(oldText), asLines(newText), { oldLabel: `a/${title}`, newLabel: `b/${title}` });
+  console.log(colorizeDiff(diff));
+  const { apply } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'apply',
+      message: chalk.cyan(`  ${action} section "${title}"?`),
+      default: true
+    }
+  ]);
+  console.log();
+  return apply;
+}
@@ -0,0 +1,359 @@
+import chalk from 'chalk';
+import { parseMarkdown, literalLines, nodeText, visitNodes } from './markdown.js';
+
+// Ordered so the specific names win over their prefixes (LGPL before GPL)
+const LICENSES = [
+  { id: 'Apache-2.0', pattern: /\bApache(?:[- ]License)?[-\s,]*(?:v(?:ersion)?\s*)?2(?:\.0)?\b/i },
+  { id: 'AGPL-3.0', pattern: /\bAGPL[- ]?v?3(?:\.0)?(?:-only|-or-later)?\b|GNU Affero General Public License/i },
+  { id: 'LGPL-3.0', pattern: /\bLGPL[- ]?v?3(?:\.0)?(?:-only|-or-later)?\b|GNU Lesser General Public License\s+v(?:ersion\s*)?3/i },
+  { id: 'LGPL-2.1', pattern: /\bLGPL[- ]?v?2(?:\.1)?(?:-only|-or-later)?\b|GNU Lesser General Public License\s+v(?:ersion\s*)?2/i },
+  { id: 'GPL-3.0', pattern: /\bGPL[- ]?v?3(?:\.0)?(?:-only|-or-later)?\b|GNU General Public License\s+v(?:ersion\s*)?3/i },
+  { id: 'GPL-2.0', pattern: /\bGPL[- ]?v?2(?:\.0)?(?:-only|-or-later)?\b|GNU General Public License\s+v(?:ersion\s*)?2/i },
+  { id: 'MPL-2.0', pattern: /\bMPL[- ]?v?2(?:\.0)?\b|Mozilla Public License/i },
+  { id: 'BSD-3-Clause', pattern: /\bBSD[- ]3(?:[- ]Clause)?\b|BSD 3-Clause/i },
+  { id: 'BSD-2-Clause', pattern: /\bBSD[- ]2(?:[- ]Clause)?\b/i },
+  { id: 'ISC', pattern: /\bISC\b/ },
+  { id: 'Unlicense', pattern: /\bUnlicense\b/i },
+  { id: 'CC0-1.0', pattern: /\bCC0(?:[- ]1\.0)?\b/i },
+  { id: 'MIT', pattern: /\bMIT\b/ }
+];
+
+const OTHER_WORK = /\b(?:dependenc(?:y|ies)|third[- ]party|vendor(?:ed)?|bundled|upstream|fonts?|icons?|assets?|images?)\b/i;
+const TEST_FRAMEWORKS = ['jest', 'vitest', 'mocha', 'ava', 'jasmine', 'tap', 'uvu', 'playwright', 'cypress'];
+const ENV_NAME = /^[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+$/;
+const ENV_LANGS = ['env', 'dotenv', 'bash', 'sh', 'shell', 'zsh'];
+
+/**
+ * Canonical SPDX id for a license name or the text of a LICENSE file
+ */
+export function detectLicense(text) {
+  if (!text) return null;
+  const head = text.slice(0, 400);
+  const license = LICENSES.find(candidate => candidate.pattern.test(head));
+  if (license) return license.id;
+  // The MIT text often starts with just a copyright line
+  return /Permission is hereby granted, free of charge/i.test(text) ? 'MIT' : null;
+}
+
+// Every license named in an expression such as "(MIT OR Apache-2.0)"
+function licenseIds(text) {
+  return LICENSES.filter(license => license.pattern.test(text)).map(license => license.id);
+}
+
+// Prose lines with their section heading and code blocks with their language
+function scanLines(content) {
+  const lines = content.split('\n');
+  const tree = parseMarkdown(content);
+  const literal = literalLines(tree);
+  const code = [];
+  const headings = new Map();
+  visitNodes(tree, node => {
+    if (node.type === 'heading') {
+      for (let line = node.position.start.line - 1; line < node.position.end.line; line++) headings.set(line, nodeText(node));
+    } else if (node.type === 'code') {
+      // The body of a fence sits between its fence lines, an indented block has none
+      const start = node.position.start.line - 1;
+      const first = /^[\s>]*(`{3,}|~{3,})/.test(lines[start]) ? start + 1 : start;
+      const count = node.value === '' ? 0 : node.value.split('\n').length;
+      code.push({
+        lang: (node.lang || '').toLowerCase(),
+        lines: lines.slice(first, first + count).map((text, offset) => ({ text, index: first + offset }))
+      });
+    }
+  });
+
+  const prose = [];
+  let section = '';
+  lines.forEach((line, index) => {
+    if (literal.has(index)) return;
+    if (headings.has(index)) section = headings.get(index);
+    prose.push({ text: line, index, section, heading: headings.has(index) });
+  });
+  return { lines, prose, code };
+}
+
+// Matches inside a link or image destination are left to the badge checks
+function inDestination(text, index) {
+  const open = text.lastIndexOf('](', index);
+  return open !== -1 && text.indexOf(')', open) >= index;
+}
+
+// Link text names the page it points to ("node 16 guide"), rewriting it would no longer match the page
+function inLinkText(text, index) {
+  const open = text.lastIndexOf('[', index);
+  if (open === -1 || text.lastIndexOf(']', index) > open) return false;
+  const close = text.indexOf(']', index);
+  return close !== -1 && /^[([]/.test(text.slice(close + 1));
+}
+
+function checkLicense({ prose }, projectInfo, findings) {
+  const declared = projectInfo.license ? licenseIds(projectInfo.license) : [];
+  // A custom license ("SEE LICENSE IN ...") cannot be compared
+  if (projectInfo.license && declared.length === 0) return;
+  const replacement = declared.length === 1 ? declared[0] : null;
+
+  for (const { text, index, section } of prose) {
+    const badge = text.match(/img\.shields\.io\/badge\/license-([^/)\s]+?)-[a-z]+(?:\.svg)?/i);
+    if (!/licen[cs]e/i.test(section) && !/licen[cs]ed?\b/i.test(text) && !badge) continue;
+    // Licenses of dependencies, assets and the like say nothing about the project's own
+    if (OTHER_WORK.test(text)) continue;
+
+    const claims = LICENSES.flatMap(({ id, pattern }) => [...text.matchAll(new RegExp(pattern.source, pattern.flags + 'g'))]
+      .filter(found => !inDestination(text, found.index))
+      .map(found => ({ id, found })));
+    // A line naming several licenses is left to a person, one of them may well be right
+    const fixable = replacement && new Set(claims.map(claim => claim.id)).size === 1;
+    for (const { id, found } of claims) {
+      if (declared.includes(id)) continue;
+      // "Apache License 2.0" names the license with the word in it, the fix keeps the sentence whole
+      const to = /licen[cs]e/i.test(found[0]) ? `${replacement} License` : replacement;
+      findings.push(licenseFinding(id, declared, index, fixable && { index: found.index, from: found[0], to }));
+    }
+    if (badge) {
+      const claimed = decodeURIComponent(badge[1]).replace(/--/g, '-').replace(/_/g, ' ');
+      const ids = licenseIds(claimed);
+      if (ids.length > 0 && !ids.some(id => declared.includes(id))) {
+        const start = badge.index + badge[0].indexOf(badge[1]);
+        findings.push(licenseFinding(claimed, declared, index, replacement && { index: start, from: badge[1], to: replacement.replace(/-/g, '--') }));
+      }
+    }
+  }
+}
+
+function licenseFinding(claimed, declared, line, fix) {
+  return {
+    type: 'license',
+    severity: 'medium',
+    line: line + 1,
+    current: claimed,
+    expected: declared.join(' OR ') || null,
+    message: declared.length > 0
+      ? `README states the ${claimed} license but the project is licensed ${declared.join(' OR ')}`
+      : `README states the ${claimed} license but the project declares no license`,
+    fix: fix ? { line, ...fix } : null
+  };
+}
+
+// Minimum major version of a range such as ">=18", "^18.17 || >=20" or "18.x"
+function minimumMajor(range) {
+  const majors = [...String(range).matchAll(/(?:^|[\s|>=^~v])(\d+)(?=[.\sx|]|$)/g)].map(match => Number(match[1]));
+  return majors.length > 0 ? Math.min(...majors) : null;
+}
+
+// Bounds on the major version set by one comparator, null when it is not understood
+function comparatorMajors(comparator) {
+  if (/^(?:\*|x|latest)?$/i.test(comparator)) return [0, Infinity];
+  const match = comparator.match(/^(>=|<=|>|<|=|\^|~)?\s*v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?/i);
+  if (!match) return null;
+  const [, operator = '=', major, minor, patch] = match;
+  const value = Number(major);
+  // ">18.2" still allows a later 18, ">18" does not
+  const partial = [minor, patch].some(part => part && /^[1-9]/.test(part));
+  if (operator === '>=') return [value, Infinity];
+  if (operator === '>') return [partial ? value : value + 1, Infinity];
+  if (operator === '<=') return [0, value];
+  if (operator === '<') return [0, partial ? value : value - 1];
+  return [value, value];
+}
+
+/**
+ * Whether some version with this major satisfies an engines range such as ">=18", "^18.17 || >=20"
+ * or "16 - 20". Ranges it cannot read are taken as satisfied
+ */
+function allowsMajor(range, major) {
+  return String(range).split('||').some(set => {
+    const hyphen = set.trim().match(/^v?(\d+)\S*\s+-\s+v?(\d+)/);
+    if (hyphen) return Number(hyphen[1]) <= major && major <= Number(hyphen[2]);
+    const bounds = set.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/).map(comparatorMajors);
+    if (bounds.some(bound => bound === null)) return true;
+    return bounds.every(([low, high]) => low <= major && major <= high);
+  });
+}
+
+function checkNodeVersion({ prose }, projectInfo, findings) {
+  const required = projectInfo.engines?.node;
+  const expected = required ? minimumMajor(required) : null;
+  if (expected === null) return;
+  const pattern = /node(?:\.js)?\s*(?:version\s*)?[(:]?\s*(?:>=|\^|~)?\s*v?(\d+)(?:\.[\dx]+)*\s*(?:\+|or higher|or later|or newer)?|node-%3E%3D(\d+)/gi;
+  for (const { text, index } of prose) {
+    for (const match of text.matchAll(pattern)) {
+      const current = match[1] || match[2];
+      if (allowsMajor(required, Number(current)) || inLinkText(text, match.index) || (!match[2] && inDestination(text, match.index))) continue;
+      const offset = match.index + (match[2] ? match[0].length - current.length : match[0].search(/\d/));
+      findings.push({
+        type: 'node-version',
+        severity: 'medium',
+        line: index + 1,
+        current,
+        expected: required,
+        message: `README mentions Node.js ${current} but engines.node requires ${required}`,
+        fix: { line: index, index: offset, from: current, to: String(expected) }
+      });
+    }
+  }
+}
+
+const ENV_LOOKUP = /(?:process\.env\.|process\.env\[['"]|import\.meta\.env\.|environ(?:\.get)?\(?\[?\s*['"]|getenv\(\s*['"]|Getenv\(\s*"|env::var\(\s*"|ENV\[['"]|System\.getenv\(\s*")([A-Z][A-Z0-9_]*)/g;
+
+/**
+ * Environment variable names a source file reads. Dynamic lookups such as process.env[name]
+ * also count every env-style string literal in the file
+ */
+export function extractEnvReferences(content) {
+  const names = new Set([...content.matchAll(ENV_LOOKUP)].map(match => match[1]));
+  if (/process\.env\[(?!['"])|os\.environ\[(?!['"])|getenv\((?!\s*['"])/i.test(content)) {
+    for (const match of content.matchAll(/['"`]([A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+)['"`]/g)) names.add(match[1]);
+  }
+  return [...names];
+}
+
+function checkEnvVars({ prose, code }, projectInfo, findings) {
+  const known = new Set([...(projectInfo.envVars || []), ...(projectInfo.envReferences || [])]);
+  const claims = new Map();
+  for (const { text, index, section } of prose) {
+    if (!/config|environment|\benv\b/i.test(section) && !/environment variable/i.test(text)) continue;
+    for (const match of text.matchAll(/`([A-Z][A-Z0-9_]*)(?:=[^`]*)?`/g)) {
+      if (ENV_NAME.test(match[1]) && !claims.has(match[1])) claims.set(match[1], index);
+    }
+  }
+  for (const block of code.filter(block => ENV_LANGS.includes(block.lang))) {
+    for (const { text, index } of block.lines) {
+      const match = text.match(/^\s*(?:export\s+)?([A-Z][A-Z0-9_]*)=/);
+      if (match && ENV_NAME.test(match[1]) && !claims.has(match[1])) claims.set(match[1], index);
+    }
+  }
+  for (const [name, index] of claims) {
+    if (known.has(name)) continue;
+    findings.push({
+      type: 'env-var',
+      severity: 'low',
+      line: index + 1,
+      current: name,
+      expected: null,
+      message: known.size > 0
+        ? `README documents environment variable ${name} but the project only reads ${[...known].join(', ')}`
+        : `README documents environment variable ${name} but no .env file or analyzed source mentions it`,
+      fix: null
+    });
+  }
+}
+
+function checkDocker({ prose, code }, projectInfo, findings) {
+  if (projectInfo.hasDocker) return;
+  const pattern = /\bdocker(?:-compose|\s+(?:run|build|compose|pull|push))\b/i;
+  const claim = prose.find(line => (line.heading && /docker/i.test(line.text)) || pattern.test(line.text)) ||
+    code.flatMap(block => block.lines).find(line => pattern.test(line.text));
+  if (!claim) return;
+  findings.push({
+    type: 'docker',
+    severity: 'medium',
+    line: claim.index + 1,
+    current: 'docker',
+    expected: null,
+    message: 'README describes Docker usage but the project has no Dockerfile or docker-compose file',
+    fix: null
+  });
+}
+
+function checkTests({ prose, code }, projectInfo, findings) {
+  const testingSection = prose.find(line => line.heading && /\btest(s|ing)?\b/i.test(line.text));
+  if (!projectInfo.hasTests && testingSection) {
+    findings.push({
+      type: 'tests',
+      severity: 'low',
+      line: testingSection.index + 1,
+      current: testingSection.text.replace(/^#+\s*/, ''),
+      expected: null,
+      message: 'README has a testing section but no tests were found in the project',
+      fix: null
+    });
+  }
+  if (projectInfo.ecosystem !== 'node') return;
+
+  const installed = new Set([
+    ...Object.keys(projectInfo.dependencies || {}),
+    ...Object.keys(projectInfo.devDependencies || {}),
+    ...Object.keys(projectInfo.peerDependencies || {}),
+    ...Object.values(projectInfo.scripts || {}).flatMap(script => String(script).split(/[\s&|;]+/))
+  ]);
+  const used = TEST_FRAMEWORKS.filter(name => installed.has(name) || installed.has(`@${name}/test`));
+  const pattern = new RegExp(`\\b(${TEST_FRAMEWORKS.join('|')})\\b`, 'gi');
+  // Only claims about testing count, a tool may well mention Jest for other reasons
+  const lines = [
+    ...prose.filter(line => /\btest/i.test(line.section) || /\btest/i.test(line.text)),
+    ...code.filter(block => ['bash', 'sh', 'shell', 'console', ''].includes(block.lang)).flatMap(block => block.lines)
+  ];
+  for (const { text, index } of lines) {
+    for (const match of text.matchAll(pattern)) {
+      const name = match[1].toLowerCase();
+      if (used.includes(name) || inDestination(text, match.index)) continue;
+      const replacement = used.length === 1 ? used[0] : null;
+      findings.push({
+        type: 'test-framework',
+        severity: 'medium',
+        line: index + 1,
+        current: match[1],
+        expected: used.length > 0 ? used.join(', ') : null,
+        message: used.length > 0
+          ? `README mentions ${match[1]} but the project tests with ${used.join(', ')}`
+          : `README mentions ${match[1]} but it is not a dependency of the project`,
+        fix: replacement
+          ? { line: index, index: match.index, from: match[1], to: /^[A-Z]/.test(match[1]) ? replacement[0].toUpperCase() + replacement.slice(1) : replacement }
+          : null
+      });
+    }
+  }
+}
+
+/**
+ * Cross-check factual README claims (license, Node.js version, environment variables, Docker,
+ * test framework) against the analyzed project. Findings with a `fix` can be applied deterministically
+ */
+export function checkFacts(content, projectInfo) {
+  const scanned = scanLines(content);
+  const findings = [];
+  checkLicense(scanned, projectInfo, findings);
+  checkNodeVersion(scanned, projectInfo, findings);
+  checkEnvVars(scanned, projectInfo, findings);
+  checkDocker(scanned, projectInfo, findings);
+  checkTests(scanned, projectInfo, findings);
+  return findings.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Apply the deterministic fixes, returns the new content with the applied and remaining findings
+ */
+export function applyFactFixes(content, findings) {
+  const lines = content.split('\n');
+  const fixable = findings.filter(finding => finding.fix);
+  const byPosition = [...fixable].sort((a, b) => b.fix.line - a.fix.line || b.fix.index - a.fix.index);
+  for (const { fix } of byPosition) {
+    const line = lines[fix.line];
+    if (line.slice(fix.index, fix.index + fix.from.length) !== fix.from) continue;
+    lines[fix.line] = line.slice(0, fix.index) + fix.to + line.slice(fix.index + fix.from.length);
+  }
+  return {
+    content: lines.join('\n'),
+    fixed: fixable,
+    remaining: findings.filter(finding => !finding.fix)
+  };
+}
+
+/**
+ * Fix what can be fixed in generated content and print the rest as warnings
+ */
+export function enforceFacts(content, projectInfo) {
+  const result = applyFactFixes(content, checkFacts(content, projectInfo));
+  const { fixed } = result;
+  if (fixed.length > 0 || result.remaining.length > 0) {
+    console.log('\n' + chalk.yellow.bold('Fact Check') + '\n');
+    for (const finding of fixed) {
+      console.log(chalk.green('  ✓ ') + chalk.gray(`Fixed line ${finding.line}: ${finding.current} → ${finding.expected || finding.fix.to}`));
+    }
+    for (const finding of result.remaining) {
+      console.log(chalk.yellow('  • ') + chalk.dim(`line ${finding.line} `) + chalk.gray(finding.message));
+    }
+    console.log();
+  }
+  return result.content;
+}
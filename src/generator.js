@@ -1,30 +1,78 @@
 import fs from 'fs/promises';
-import { statSync } from 'fs';
+import { statSync, existsSync } from 'fs';
+import { join, relative, dirname, basename, extname } from 'path';
 import chalk from 'chalk';
-import { getLanguageName, determineProjectType, generateBadges, postProcessReadme } from './utils.js';
-import { mergeReadmeContent, updateSpecificSections, updateVersionInReadme, createDiffSummary } from './readmeUpdater.js';
+import { getLanguageName, applyDirection, unwrapRtl } from './languages.js';
+import { determineProjectType, generateBadges, postProcessReadme, isInteractive, getEcosystemCommands } from './utils.js';
+import { estimateTokens } from './context.js';
+import { ModelError } from './request.js';
+import { renderOfflineReadme } from './offline.js';
+import { formatApiForPrompt, applyApiReference } from './api.js';
+import { renderPrompt } from './templates.js';
+import { hasRegions, wrapRegions, replaceRegions } from './regions.js';
+import { verifyAndRepair } from './verify.js';
+import { enforceFacts } from './facts.js';
+import { enforceLinks } from './links.js';
+import { formatCliForPrompt, applyCommandsSection } from './cli.js';
+import { createUnifiedDiff, colorizeDiff, reviewSectionChanges } from './diff.js';
+import { mergeReadmeContent, updateSpecificSections, updateVersionInReadme, createDiffSummary, arrangeSections, includesSection } from './readmeUpdater.js';
+
+const USAGE_EXAMPLES = {
+  javascript: "const example = require('package');\nexample.doSomething();",
+  python: 'import package\npackage.do_something()',
+  rust: 'use package::Example;\nExample::new().run();',
+  go: 'import "example.com/package"\npackage.DoSomething()',
+  java: 'Example example = new Example();\nexample.doSomething();',
+  php: "use Vendor\\Package\\Example;\n(new Example())->doSomething();",
+  ruby: "require 'package'\nPackage.do_something"
+};
+
+const TONE_GUIDELINES = {
+  professional: 'Use clear, professional language with engaging tone',
+  friendly: 'Use a warm, friendly and welcoming tone that speaks directly to the reader',
+  technical: 'Use a precise, technical tone aimed at experienced developers, favour detail over marketing',
+  casual: 'Use a relaxed, conversational tone',
+  concise: 'Use terse, to-the-point language, keep every section as short as possible'
+};
+
+// Extra prompt blocks for settings coming from the project config
+function buildSettingsContext(settings) {
+  let context = '';
+  if (settings.sections?.length) {
+    context += `\n\n=== SECTION ORDER ===\nThis project configures its README sections. Write ONLY these level-2 sections, in exactly this order, and ignore the numbered list below where it disagrees:\n${settings.sections.map((section, i) => `${i + 1}. ${section}`).join('\n')}`;
+  }
+  if (settings.instructions) {
+    context += `\n\n=== PROJECT INSTRUCTIONS ===\nThe maintainers asked for the following, follow it unless it conflicts with the OUTPUT FORMAT rules:\n${settings.instructions.trim()}`;
+  }
+  return context;
+}
 
-export function buildPrompt(projectInfo, language) {
+export function buildPrompt(projectInfo, language, settings = {}, templates = null) {
   const projectType = determineProjectType(projectInfo);
-  const badges = generateBadges(projectInfo);
+  const badges = settings.badges === false ? 'Do not add any badges' : generateBadges(projectInfo);
   const projectName = projectInfo.displayName || projectInfo.name || 'Project';
+  const commands = getEcosystemCommands(projectInfo);
+  const manifest = projectInfo.manifest || 'package.json';
   
   let sourceCodeContext = '';
-  const sourceCodeEntries = Object.entries(projectInfo.sourceCode || {}).slice(0, 5);
+  // Already ranked and fitted to the token budget by the analyzer
+  const sourceCodeEntries = Object.entries(projectInfo.sourceCode || {});
+  const sourceModes = Object.fromEntries((projectInfo.sourceContext?.files || []).map(entry => [entry.file, entry.mode]));
+  const modeLabels = { signatures: ' (signatures only)', outline: ' (outline only)' };
   if (sourceCodeEntries.length > 0) {
     sourceCodeContext = '\n\n=== SOURCE CODE ANALYSIS ===\n';
-    sourceCodeContext += 'The following source files were analyzed to understand the project:\n\n';
+    sourceCodeContext += 'The following source files were analyzed to understand the project, most important first:\n\n';
     for (const [filePath, content] of sourceCodeEntries) {
-      sourceCodeContext += `--- File: ${filePath} ---\n${content.substring(0, 2000)}\n\n`;
+      sourceCodeContext += `--- File: ${filePath}${modeLabels[sourceModes[filePath]] || ''} ---\n${content}\n\n`;
     }
   }
   
   let contextInfo = `=== PROJECT INFORMATION ===
 Project Name: ${projectName}
 Package Name: ${projectInfo.name || 'N/A'}
-Description: ${projectInfo.description || 'No description in package.json - analyze from code'}
+Description: ${projectInfo.description || `No description in ${manifest} - analyze from code`}
 Version: ${projectInfo.version || '1.0.0'}
-License: ${projectInfo.license || 'MIT'}`;
+License: ${projectInfo.license || 'None declared - do not state a license'}`;
 
   if (projectInfo.repository) {
     const repoUrl = typeof projectInfo.repository === 'string' ? projectInfo.repository : projectInfo.repository.url;
@@ -47,12 +95,25 @@ Key Directories: ${projectInfo.projectStructure?.directories?.join(', ') || 'Non
     contextInfo += `\nDetected Features/Technologies: ${projectInfo.detectedFeatures.join(', ')}`;
   }
 
+  contextInfo += `\n\n=== ECOSYSTEM ===
+Ecosystem: ${commands.label} (${manifest})
+Install Command: ${commands.install || 'Not published - build from source'}
+Development Setup: ${commands.devInstall}
+Test Command: ${commands.test}`;
+  if (commands.run) {
+    contextInfo += `\nRun Command: ${commands.run}`;
+  }
+  if (projectInfo.engines && Object.keys(projectInfo.engines).length > 0) {
+    contextInfo += `\nRuntime Requirements: ${Object.entries(projectInfo.engines).map(([runtime, range]) => `${runtime} ${range}`).join(', ')}`;
+  }
+
   contextInfo += `\n\n=== DEPENDENCIES & TOOLS ===
 Dependencies: ${Object.keys(projectInfo.dependencies || {}).length} packages
 Dev Dependencies: ${Object.keys(projectInfo.devDependencies || {}).length} packages`;
 
   if (Object.keys(projectInfo.scripts || {}).length > 0) {
-    contextInfo += `\nAvailable Scripts: ${Object.keys(projectInfo.scripts).join(', ')}`;
+    const scriptNames = Object.keys(projectInfo.scripts);
+    contextInfo += `\nAvailable Scripts: ${commands.runScript ? scriptNames.map(commands.runScript).join(', ') : scriptNames.join(', ')}`;
   }
 
   if (projectInfo.envVars && projectInfo.envVars.length > 0) {
@@ -68,185 +129,286 @@ Has CI/CD: ${projectInfo.hasGithubActions ? 'Yes (GitHub Actions)' : 'No'}`;
     contextInfo += `\nKeywords: ${projectInfo.keywords.join(', ')}`;
   }
 
+  const publicApi = formatApiForPrompt(projectInfo.api);
+  if (publicApi) {
+    contextInfo += `\n\n=== PUBLIC API ===
+Exports found by static analysis. Usage examples must only use these names and signatures:
+${publicApi}`;
+  }
+
+  const cliCommands = formatCliForPrompt(projectInfo.cli);
+  if (cliCommands) {
+    contextInfo += `\n\n=== CLI COMMANDS ===
+Commands and flags recovered from the bin files. Only use these in examples, never invent others:
+${cliCommands}`;
+  }
+
+  if (projectInfo.workspacePackages?.length > 0) {
+    contextInfo += `\n\n=== WORKSPACE PACKAGES ===
+This is a ${projectInfo.workspaceTool || 'npm'} monorepo. Each package has its own README:`;
+    for (const pkg of projectInfo.workspacePackages) {
+      contextInfo += `\n- ${pkg.name}${pkg.version ? ` v${pkg.version}` : ''} (${pkg.path}/README.md): ${pkg.description || 'No description'}`;
+    }
+  }
+
   contextInfo += `\n\n${projectType.join('\n')}`;
-  
-  return `You are an expert technical writer. Create a professional, concise, and accurate README.md for the project "${projectName}" in ${getLanguageName(language)}.
-
-IMPORTANT: 
-- Use the project name "${projectName}" (not the package name unless they're the same)
-- Analyze the source code provided to understand what the project actually does
-- Only include sections that are relevant and useful
-- Be selective - a good README is concise and focused
-- Extract actual features from the code, not generic ones
-- Use real examples from the codebase when possible
-
-${contextInfo}${sourceCodeContext}
-
-Suggested Badges (only use if relevant):
-${badges}
-
-=== README REQUIREMENTS ===
-
-Create a README with ONLY the following sections (skip sections that don't apply):
-
-1. **Title & Description** (REQUIRED)
-   - Use the project name: "${projectName}"
-   - Write a clear, engaging description based on what the code actually does
-   - Add relevant badges only if applicable (format them properly on one line)
-   - Include version if available
-   - Make it visually appealing with proper formatting
-
-2. **Features** (REQUIRED if you can identify them from code)
-   - List 3-5 actual features extracted from the source code
-   - Use bullet points with emojis (✨, 🚀, ⚡, etc.) to make it visually appealing
-   - Be specific about what the project does, not generic
-   - Focus on unique capabilities
-   - Format: • ✨ Feature description
-
-3. **Installation** (REQUIRED)
-   - Provide accurate installation steps based on the project type
-   - Include prerequisites if needed
-   - Show the actual installation command in a \`\`\`bash code block
-   - Example format:
-     \`\`\`bash
-     npm install package-name
-     \`\`\`
-
-4. **Usage/Quick Start** (REQUIRED)
-   - Show a minimal working example
-   - Extract actual usage patterns from the source code
-   - Include code examples in proper code blocks with language tags
-   - For CLI tools: show actual commands in \`\`\`bash blocks
-   - For libraries: show import/require and basic usage in appropriate language blocks (\`\`\`javascript, \`\`\`python, etc.)
-   - Example format:
-     \`\`\`javascript
-     const example = require('package');
-     example.doSomething();
-     \`\`\`
-
-5. **Configuration** (ONLY if env vars or config files exist)
-   - Document environment variables if detected
-   - Show configuration examples in \`\`\`json or \`\`\`env code blocks
-   - Format environment variables clearly
-
-6. **Scripts/Commands** (ONLY if scripts exist in package.json)
-   - List available npm/yarn scripts with brief descriptions
-
-7. **Testing** (ONLY if tests are detected)
-   - Show how to run tests
-   - Brief testing instructions
-
-8. **Contributing** (OPTIONAL - can be brief)
-   - Basic contribution guidelines
-
-9. **License** (REQUIRED)
-   - Specify the license type
-
-10. **Additional Sections** (ONLY if relevant)
-    - API Documentation (if it's an API/library)
-    - Deployment (if it's a web app)
-    - Architecture (if complex enough to warrant it)
-
-=== CODE BLOCK FORMATTING ===
-CRITICAL: All code examples MUST be properly formatted:
-- Installation commands: Use \`\`\`bash code blocks
-- Code examples: Use appropriate language tags (\`\`\`javascript, \`\`\`python, \`\`\`typescript, etc.)
-- Configuration examples: Use \`\`\`json or \`\`\`yaml
-- CLI commands: Use \`\`\`bash
-- NEVER leave code blocks without language tags
-- NEVER use \`\`\`markdown for code examples
-- Ensure every code block has proper opening and closing tags
-
-=== STYLE GUIDELINES ===
-- Use clear, professional language with engaging tone
-- Include code examples with proper syntax highlighting (ALWAYS use language tags)
-- Use emojis in section headers (🚀, ✨, 📦, 🎮, etc.) to make it visually appealing
-- Keep it concise but informative
-- Ensure all code examples are accurate and work
-- Use proper markdown formatting with good spacing
-- Make it scannable with clear headings
-- Add visual interest with badges, emojis, and well-formatted code blocks
-- DO NOT include a Table of Contents section
-
-=== OUTPUT FORMAT ===
-CRITICAL FORMATTING RULES:
-- Write clean markdown - DO NOT wrap the entire README in code blocks
-- DO NOT start the output with \`\`\`bash or any code block markers
-- DO NOT end the output with \`\`\`bash or any code block markers
-- The output should start directly with: # ${projectName}
-- Only use code blocks (\`\`\`bash, \`\`\`javascript, etc.) INSIDE the README for actual code examples
-- The entire README content should be plain markdown, not wrapped in code blocks
-- Use the actual project name "${projectName}" throughout
-- Focus on what makes this project useful and unique
-- Make it visually appealing with proper formatting
-- NO Table of Contents should be included
-- Example of correct start: # ${projectName}\n\nDescription here...
-- Example of WRONG start: \`\`\`bash\n# ${projectName}`;
+
+  const scriptNames = Object.keys(projectInfo.scripts || {});
+  return renderPrompt(templates, {
+    name: projectName,
+    packageName: projectInfo.name || '',
+    description: projectInfo.description || '',
+    version: projectInfo.version || '',
+    license: projectInfo.license || '',
+    repository: typeof projectInfo.repository === 'string' ? projectInfo.repository : projectInfo.repository?.url || '',
+    homepage: projectInfo.homepage || '',
+    author: typeof projectInfo.author === 'string' ? projectInfo.author : projectInfo.author?.name || '',
+    keywords: (projectInfo.keywords || []).join(', '),
+    language: getLanguageName(language),
+    languageCode: language,
+    manifest,
+    ecosystem: commands.label,
+    installCommand: commands.install || commands.devInstall,
+    devInstallCommand: commands.devInstall,
+    testCommand: commands.test,
+    runCommand: commands.run || '',
+    codeLanguage: commands.codeLanguage,
+    usageExample: USAGE_EXAMPLES[commands.codeLanguage],
+    scripts: scriptNames.map(name => `- \`${commands.runScript ? commands.runScript(name) : name}\``).join('\n'),
+    envVars: (projectInfo.envVars || []).map(name => `- \`${name}\``).join('\n'),
+    dependencies: Object.keys(projectInfo.dependencies || {}).join(', '),
+    badges,
+    tone: TONE_GUIDELINES[settings.tone] || TONE_GUIDELINES.professional,
+    visuals: settings.badges === false ? 'emojis and well-formatted code blocks' : 'badges, emojis, and well-formatted code blocks',
+    context: contextInfo,
+    sourceCode: sourceCodeContext,
+    settings: buildSettingsContext(settings)
+  });
 }
 
-export async function generateReadme(apiKey, projectInfo, language, model, spinner) {
-  spinner.start(chalk.gray('  Analyzing project...'));
-  
-  if (projectInfo.sourceFiles?.length > 0) {
-    spinner.text = chalk.gray(`  Found ${projectInfo.sourceFiles.length} source files`);
-    await new Promise(resolve => setTimeout(resolve, 300));
+// Sections rendered from static analysis rather than by the model, unless the project config leaves them out
+function applyGeneratedSections(content, projectInfo, settings = {}) {
+  let result = content;
+  if (includesSection(settings.sections, 'Commands')) {
+    result = applyCommandsSection(result, projectInfo.cli);
+  }
+  if (includesSection(settings.sections, 'API Reference')) {
+    result = applyApiReference(result, projectInfo.api);
+  }
+  return result;
+}
+
+// Post-processing plus the project config's footer and section order
+function finalizeReadme(content, projectInfo, settings = {}) {
+  const processed = applyGeneratedSections(postProcessReadme(content, { footer: settings.footer ?? true }), projectInfo, settings);
+  return arrangeSections(processed, settings.sections);
+}
+
+// Check code blocks and factual claims before anything is written, a repaired README goes through the same post-processing
+async function verifyGeneratedReadme(content, projectInfo, model, spinner, options = {}) {
+  const verified = await verifyAndRepair(content, projectInfo, {
+    model,
+    spinner,
+    run: options.verifyExamples,
+    repair: options.repair,
+    dir: options.projectDir,
+    rebuild: repaired => finalizeReadme(repaired, projectInfo, options.settings)
+  });
+  return enforceFacts(verified, projectInfo);
+}
+
+/**
+ * Translations follow `pattern` relative to the configured output, e.g. README.md -> README.es.md
+ * or with "docs/{lang}/README.md" -> docs/es/README.md
+ */
+export function getReadmeFilename(language, outputDir = '', output = 'README.md', pattern = '{name}.{lang}{ext}') {
+  if (language === 'en') return join(outputDir, output);
+  const ext = extname(output);
+  const file = pattern
+    .replaceAll('{lang}', language)
+    .replaceAll('{name}', basename(output, ext))
+    .replaceAll('{ext}', ext);
+  return join(outputDir, dirname(output), file);
+}
+
+/**
+ * Write README after a diff preview (dry run) or per-section review, returns the written content or null
+ */
+export async function writeReadmeFile(filename, content, spinner, { dryRun = false } = {}) {
+  const existing = existsSync(filename) ? await fs.readFile(filename, 'utf8') : '';
+  const displayName = relative(process.cwd(), filename) || filename;
+
+  if (dryRun) {
+    spinner.stop();
+    const diff = createUnifiedDiff(existing, content, { oldLabel: `a/${displayName}`, newLabel: `b/${displayName}` });
+    console.log('\n' + (diff ? colorizeDiff(diff) : chalk.gray(`  No changes to ${displayName}`)) + '\n');
+    console.log(chalk.yellow(`  Dry run: ${displayName} was not written\n`));
+    return null;
   }
+
+  let finalContent = content;
+  if (existing && existing !== content && isInteractive()) {
+    spinner.stop();
+    finalContent = await reviewSectionChanges(existing, content);
+    if (finalContent === existing) {
+      console.log(chalk.gray(`  All changes rejected, ${displayName} left untouched\n`));
+      return null;
+    }
+  }
+
+  await fs.mkdir(dirname(filename), { recursive: true });
+  await fs.writeFile(filename, finalContent);
+  return finalContent;
+}
+
+async function writeGeneratedReadme(filename, content, language, spinner, options = {}) {
+  content = await writeReadmeFile(filename, applyDirection(content, language), spinner, options);
+  if (content === null) return;
   
-  spinner.text = chalk.gray('  Analyzing codebase structure...');
-  await new Promise(resolve => setTimeout(resolve, 200));
+  const stats = statSync(filename);
+  const fileSizeKB = (stats.size / 1024).toFixed(1);
+  const lineCount = content.split('\n').length;
   
-  spinner.text = chalk.gray(`  Generating README in ${getLanguageName(language)}...`);
+  spinner.succeed(chalk.green.bold(`${relative(process.cwd(), filename) || filename} generated`));
+  console.log(
+    '\n' +
+    chalk.gray('  Lines: ') + chalk.white(lineCount) + chalk.dim(' │ ') + 
+    chalk.gray('Size: ') + chalk.white(fileSizeKB + ' KB') + chalk.dim(' │ ') + 
+    chalk.gray(getLanguageName(language)) + '\n\n' +
+    chalk.dim('  → ') + chalk.gray('Review at ') + chalk.cyan.underline('https://readmi.jayanithu.dev/editor') + '\n'
+  );
+}
 
-  const promptText = buildPrompt(projectInfo, language);
+// Adds context to the message, model errors keep their kind so handleError can pick the right tip
+function wrapError(prefix, error) {
+  if (error.kind === 'cancelled') return error;
+  return error instanceof ModelError
+    ? new ModelError(`${prefix}: ${error.message}`, error.kind, error)
+    : new Error(`${prefix}: ${error.message}`);
+}
 
-  try {
-    const result = await model.generateContent([{ text: promptText }]);
-    const response = await result.response;
-    const readmeContent = response.text();
+/**
+ * Stream the README from the model with live progress. Everything received so far is kept in
+ * `recoveryPath` until the caller removes it, so a failed or interrupted run can be resumed
+ */
+async function streamReadme(model, promptText, spinner, { label, partial = '', stdout = false, recoveryPath = null }) {
+  let content = partial;
+  if (recoveryPath) {
+    await fs.mkdir(dirname(recoveryPath), { recursive: true });
+    await fs.writeFile(recoveryPath, partial);
+  }
+  if (stdout) {
+    spinner.stop();
+    process.stdout.write(partial);
+  }
 
-    if (!readmeContent) {
-      throw new Error('Generated content is empty');
+  // Ctrl+C aborts the request, the recovery file already holds every chunk
+  for await (const chunk of model.stream(promptText, { continueFrom: partial })) {
+    content += chunk;
+    if (stdout) process.stdout.write(chunk);
+    if (recoveryPath) await fs.appendFile(recoveryPath, chunk);
+    const sections = content.match(/^#{1,2}\s/gm)?.length || 0;
+    spinner.text = chalk.gray(`  ${label} `) + chalk.dim(`${estimateTokens(content).toLocaleString()} tokens · ${sections} section${sections === 1 ? '' : 's'}`);
+  }
+  if (stdout && !content.endsWith('\n')) process.stdout.write('\n');
+  return content;
+}
+
+export async function generateReadme(apiKey, projectInfo, language, model, spinner, options = {}) {
+  const settings = options.settings || {};
+  const filename = getReadmeFilename(language, options.outputDir, settings.output, settings.translationPath);
+  // Scratch file next to the README, --stdout and --dry-run leave the disk alone
+  const recoveryPath = options.stdout || options.dryRun ? null : `${filename}.partial`;
+  const recoveryName = recoveryPath && (relative(process.cwd(), recoveryPath) || recoveryPath);
+
+  let partial = '';
+  if (recoveryPath && existsSync(recoveryPath)) {
+    if (options.resume) {
+      partial = await fs.readFile(recoveryPath, 'utf8');
+      spinner.info(chalk.gray(`  Resuming from ${recoveryName} (${partial.split('\n').length} lines)`));
+    } else {
+      spinner.warn(chalk.yellow(`  ${recoveryName} holds an interrupted run, pass --resume to continue it instead of starting over`));
     }
+  } else if (options.resume) {
+    spinner.warn(chalk.yellow('  Nothing to resume, generating from scratch'));
+  }
+
+  const promptText = buildPrompt(projectInfo, language, settings, options.templates);
+  const label = partial ? 'Resuming README...' : `Generating README in ${getLanguageName(language)}...`;
+  spinner.start(chalk.gray(`  ${label}`));
 
-    const processedContent = postProcessReadme(readmeContent);
-    let filename = 'README.md';
-    if (language !== 'en') {
-      filename = `README.${language}.md`;
+  let readmeContent;
+  try {
+    readmeContent = await streamReadme(model, promptText, spinner, {
+      label,
+      partial,
+      stdout: options.stdout,
+      recoveryPath
+    });
+
+    if (!readmeContent.trim()) {
+      throw new Error('Generated content is empty');
     }
-    
-    await fs.writeFile(filename, processedContent);
-    
-    const stats = statSync(filename);
-    const fileSizeKB = (stats.size / 1024).toFixed(1);
-    const lineCount = processedContent.split('\n').length;
-    
-    spinner.succeed(chalk.green.bold(`${filename} generated`));
-    console.log(
-      '\n' +
-      chalk.gray('  Lines: ') + chalk.white(lineCount) + chalk.dim(' │ ') + 
-      chalk.gray('Size: ') + chalk.white(fileSizeKB + ' KB') + chalk.dim(' │ ') + 
-      chalk.gray(getLanguageName(language)) + '\n\n' +
-      chalk.dim('  → ') + chalk.gray('Review at ') + chalk.cyan.underline('https://readmi.jayanithu.dev/editor') + '\n'
-    );
   } catch (error) {
-    if (error.message.includes('not found for API version')) {
-      throw new Error('API configuration error. Please check your API key and try again. Error: ' + error.message);
+    if (recoveryPath && existsSync(recoveryPath)) {
+      if ((await fs.readFile(recoveryPath, 'utf8')).trim()) {
+        spinner.warn(chalk.yellow(`  Partial output saved to ${recoveryName}, run again with --resume to continue it`));
+      } else {
+        await fs.rm(recoveryPath, { force: true });
+      }
+    }
+    if (options.offlineFallback && !options.stdout && error.kind !== 'cancelled') {
+      spinner.warn(chalk.yellow(`  Generation failed (${error.message}), using offline templates`));
+      return generateOfflineReadme(projectInfo, language, spinner, options);
     }
-    throw new Error(`README generation failed: ${error.message}`);
+    throw wrapError('README generation failed', error);
+  }
+
+  // Raw Markdown went to the terminal as it arrived, nothing is written
+  if (options.stdout) {
+    spinner.succeed(chalk.green(`  Streamed ${readmeContent.split('\n').length} lines to stdout`));
+    return;
+  }
+
+  const verifiedContent = await verifyGeneratedReadme(finalizeReadme(readmeContent, projectInfo, settings), projectInfo, model, spinner, options);
+  const processedContent = await enforceLinks(wrapRegions(verifiedContent), { readmePath: filename, spinner });
+  await writeGeneratedReadme(filename, processedContent, language, spinner, options);
+  if (recoveryPath) await fs.rm(recoveryPath, { force: true });
+}
+
+/**
+ * Generate README from built-in templates without calling a model
+ */
+export async function generateOfflineReadme(projectInfo, language, spinner, options = {}) {
+  spinner.start(chalk.gray('  Rendering offline README...'));
+  const settings = options.settings || {};
+  const processedContent = wrapRegions(arrangeSections(
+    postProcessReadme(renderOfflineReadme(projectInfo, settings), { footer: settings.footer ?? true }),
+    settings.sections
+  ));
+  if (options.stdout) {
+    spinner.stop();
+    process.stdout.write(applyDirection(processedContent, language));
+    return;
   }
+  await writeGeneratedReadme(getReadmeFilename(language, options.outputDir, settings.output, settings.translationPath), processedContent, language, spinner, options);
 }
 
 /**
  * Update existing README with smart merging
  */
-export async function updateReadme(apiKey, projectInfo, language, model, spinner, readmeAnalysis, updateChoice, sectionsToUpdate = []) {
+export async function updateReadme(apiKey, projectInfo, language, model, spinner, readmeAnalysis, updateChoice, sectionsToUpdate = [], options = {}) {
+  const readmePath = options.readmePath || 'README.md';
+  const settings = options.settings || {};
+  // RTL wrappers are re-applied after the merge so sections line up with the generated ones
+  const existingContent = unwrapRtl(readmeAnalysis.content);
   try {
     if (updateChoice === 'version') {
       // Version-only update
       spinner.start(chalk.gray('  Updating version numbers...'));
       
       const updatedContent = updateVersionInReadme(readmeAnalysis.content, projectInfo.version);
-      await fs.writeFile('README.md', updatedContent);
+      if (await writeReadmeFile(readmePath, updatedContent, spinner, options) === null) return;
       
       spinner.succeed(chalk.green('  README version updated'));
       console.log(chalk.gray(`  Updated to version ${projectInfo.version}\n`));
@@ -255,36 +417,40 @@ export async function updateReadme(apiKey, projectInfo, language, model, spinner
 
     // Generate new README content
     spinner.start(chalk.gray('  Generating updated content...'));
-    const promptText = buildPrompt(projectInfo, language);
+    const promptText = buildPrompt(projectInfo, language, settings, options.templates);
     
-    const result = await model.generateContent([{ text: promptText }]);
-    const response = await result.response;
-    const newContent = response.text();
+    const newContent = await model.generate(promptText);
 
     if (!newContent) {
       throw new Error('Generated content is empty');
     }
 
-    const processedNewContent = postProcessReadme(newContent);
+    const processedNewContent = await verifyGeneratedReadme(finalizeReadme(newContent, projectInfo, settings), projectInfo, model, spinner, options);
     
-    spinner.text = chalk.gray('  Merging with existing README...');
+    spinner.start(chalk.gray('  Merging with existing README...'));
     
     let finalContent;
+    let unplaced = [];
     
-    if (updateChoice === 'selective') {
+    if (hasRegions(existingContent)) {
+      // Managed README: only the inside of readmi regions changes
+      const result = replaceRegions(existingContent, wrapRegions(processedNewContent), {
+        sections: updateChoice === 'selective' ? sectionsToUpdate : null
+      });
+      finalContent = result.content;
+      unplaced = result.unplaced;
+    } else if (updateChoice === 'selective') {
       // Update only selected sections
       finalContent = updateSpecificSections(
-        readmeAnalysis.content,
+        existingContent,
         processedNewContent,
         sectionsToUpdate
       );
-      
-      spinner.succeed(chalk.green('  README sections updated'));
-      console.log(chalk.gray(`  Updated sections: ${sectionsToUpdate.join(', ')}\n`));
     } else {
       // Full update with preservation
+      // Refresh the old generated sections first so removed exports/flags don't survive as custom sections
       finalContent = mergeReadmeContent(
-        readmeAnalysis.content,
+        applyGeneratedSections(existingContent, projectInfo, settings),
         processedNewContent,
         {
           preserveCustomSections: true,
@@ -292,7 +458,18 @@ export async function updateReadme(apiKey, projectInfo, language, model, spinner
           sectionsToUpdate: []
         }
       );
-      
+    }
+    
+    finalContent = applyDirection(await enforceLinks(finalContent, { readmePath, spinner }), language);
+    
+    // Preview or review before anything touches disk
+    finalContent = await writeReadmeFile(readmePath, finalContent, spinner, options);
+    if (finalContent === null) return;
+    
+    if (updateChoice === 'selective') {
+      spinner.succeed(chalk.green('  README sections updated'));
+      console.log(chalk.gray(`  Updated sections: ${sectionsToUpdate.join(', ')}\n`));
+    } else {
       // Show diff summary
       const diff = createDiffSummary(readmeAnalysis.content, finalContent);
       
@@ -309,11 +486,11 @@ export async function updateReadme(apiKey, projectInfo, language, model, spinner
       }
       console.log();
     }
+    if (unplaced.length > 0) {
+      console.log(chalk.gray(`  Skipped new sections without a readmi region: ${unplaced.join(', ')}\n`));
+    }
     
-    // Write updated README
-    await fs.writeFile('README.md', finalContent);
-    
-    const stats = statSync('README.md');
+    const stats = statSync(readmePath);
     const fileSizeKB = (stats.size / 1024).toFixed(1);
     const lineCount = finalContent.split('\n').length;
     
@@ -327,10 +504,7 @@ export async function updateReadme(apiKey, projectInfo, language, model, spinner
     );
     
   } catch (error) {
-    if (error.message.includes('not found for API version')) {
-      throw new Error('API configuration error. Please check your API key and try again. Error: ' + error.message);
-    }
-    throw new Error(`README update failed: ${error.message}`);
+    throw wrapError('README update failed', error);
   }
 }
 
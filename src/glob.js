@@ -0,0 +1,63 @@
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Converts a glob (`*`, `**`, `?`, `[abc]`, `{a,b}`) into an anchored RegExp over `/` paths
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i++;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        source += `[${body.startsWith('!') ? '^' + body.slice(1) : body}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i + 1);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        source += '(?:' + pattern.slice(i + 1, end).split(',').map(part => globToRegExp(part).source.slice(1, -1)).join('|') + ')';
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+export function normalizeGlob(pattern) {
+  return pattern.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+// True when the path matches any pattern; `!pattern` entries exclude
+export function matchesGlobs(relativePath, patterns) {
+  let matched = false;
+  for (const raw of patterns) {
+    const negated = raw.startsWith('!');
+    const pattern = normalizeGlob(negated ? raw.slice(1) : raw);
+    if (globToRegExp(pattern).test(relativePath)) {
+      matched = !negated;
+    }
+  }
+  return matched;
+}
@@ -0,0 +1,66 @@
+import fs from 'fs/promises';
+import { join } from 'path';
+import { globToRegExp } from './glob.js';
+
+export const IGNORE_FILES = ['.gitignore', '.readmiignore'];
+
+/**
+ * Compile one .gitignore line into a rule, `base` is the posix directory holding the file
+ */
+export function compileIgnoreRule(line, base = '') {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negated = false;
+  if (pattern.startsWith('!')) {
+    negated = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  const directoryOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+  // A slash anywhere but the end anchors the pattern to the .gitignore directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (!pattern) return null;
+
+  return {
+    base,
+    negated,
+    directoryOnly,
+    regex: globToRegExp(anchored ? pattern : `**/${pattern}`)
+  };
+}
+
+export function compileIgnoreRules(content, base = '') {
+  return content.split(/\r?\n/).map(line => compileIgnoreRule(line, base)).filter(Boolean);
+}
+
+export async function loadIgnoreRules(dir, base = '') {
+  const rules = [];
+  for (const file of IGNORE_FILES) {
+    try {
+      rules.push(...compileIgnoreRules(await fs.readFile(join(dir, file), 'utf8'), base));
+    } catch {}
+  }
+  return rules;
+}
+
+// Later rules win, so nested ignore files and negations override earlier ones
+export function isIgnored(relativePath, isDirectory, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    let candidate = relativePath;
+    if (rule.base) {
+      if (!relativePath.startsWith(rule.base + '/')) continue;
+      candidate = relativePath.slice(rule.base.length + 1);
+    }
+    if (rule.regex.test(candidate)) {
+      ignored = !rule.negated;
+    }
+  }
+  return ignored;
+}
@@ -0,0 +1,135 @@
+import { parseMarkdown } from './markdown.js';
+import { ReadmiError, EXIT_CODES } from './utils.js';
+
+// Offered by `readmi language`, any other BCP-47 code can be typed in or passed with --lang
+export const COMMON_LANGUAGES = [
+  'en', 'es', 'fr', 'de', 'it', 'pt', 'pt-BR', 'nl', 'pl', 'ru', 'uk', 'tr',
+  'zh', 'zh-TW', 'ja', 'ko', 'vi', 'id', 'hi', 'ar', 'he', 'fa'
+];
+
+const RTL_SCRIPTS = ['Arab', 'Hebr', 'Thaa', 'Syrc', 'Nkoo', 'Adlm', 'Rohg', 'Mand', 'Samr'];
+const RTL_OPEN = '<div dir="rtl">';
+const RTL_CLOSE = '</div>';
+
+const englishNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+/**
+ * Canonical BCP-47 code ("pt-br" -> "pt-BR"), throws a usage error for codes that are malformed or unknown
+ */
+export function normalizeLanguage(code, source = '--lang') {
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(String(code).trim());
+  } catch {
+    canonical = null;
+  }
+  if (!canonical || !englishNames.of(canonical)) {
+    throw new ReadmiError(`Unknown language "${code}" in ${source}. Expected a BCP-47 code such as en, pt-BR, zh-TW or ko`, EXIT_CODES.USAGE);
+  }
+  return canonical;
+}
+
+// Name in the language itself, e.g. "Español"
+export function getNativeLanguageName(code) {
+  try {
+    const name = new Intl.DisplayNames([code], { type: 'language', fallback: 'none' }).of(code);
+    return name ? name.charAt(0).toLocaleUpperCase(code) + name.slice(1) : code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * English display name with the native one alongside, e.g. "Spanish (Español)"
+ */
+export function getLanguageName(code) {
+  let english;
+  try {
+    english = englishNames.of(code);
+  } catch {
+    english = null;
+  }
+  if (!english) return code;
+  const native = getNativeLanguageName(code);
+  return native.toLowerCase() === english.toLowerCase() || native === code ? english : `${english} (${native})`;
+}
+
+export function isRtl(code) {
+  try {
+    const locale = new Intl.Locale(code);
+    const direction = locale.textInfo?.direction ?? locale.getTextInfo?.().direction;
+    return direction ? direction === 'rtl' : RTL_SCRIPTS.includes(locale.maximize().script);
+  } catch {
+    return false;
+  }
+}
+
+// Comments carry readmi markers, keeping them outside the wrapper leaves regions intact
+function staysLtr(node) {
+  return node.type === 'code' || node.type === 'yaml' || node.type === 'toml' ||
+    (node.type === 'html' && /^<!--[\s\S]*-->$/.test(node.value.trim()));
+}
+
+/**
+ * Remove wrappers added by `wrapRtl`, other HTML is left alone
+ */
+export function unwrapRtl(content) {
+  const lines = content.split('\n');
+  const result = [];
+  const open = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\r$/, '');
+    if (line === RTL_OPEN) {
+      open.push(0);
+      // The blank line that lets markdown render inside the div
+      if (lines[i + 1]?.replace(/\r$/, '') === '') i++;
+      continue;
+    }
+    if (open.length > 0) {
+      if (/<div[\s>]/i.test(line)) open[open.length - 1]++;
+      if (line === RTL_CLOSE) {
+        if (open[open.length - 1] === 0) {
+          open.pop();
+          if (result.length > 0 && result[result.length - 1].replace(/\r$/, '') === '') result.pop();
+          continue;
+        }
+        open[open.length - 1]--;
+      }
+    }
+    result.push(lines[i]);
+  }
+  return result.join('\n');
+}
+
+/**
+ * Wrap each run of prose in `<div dir="rtl">`, code blocks, front matter and comments stay outside and LTR
+ */
+export function wrapRtl(content) {
+  const plain = unwrapRtl(content);
+  const eol = plain.includes('\r\n') ? '\r\n' : '\n';
+  const groups = [];
+  let current = null;
+  for (const node of parseMarkdown(plain).children) {
+    if (staysLtr(node)) {
+      current = null;
+    } else if (current) {
+      current.end = node.position.end.offset;
+    } else {
+      current = { start: node.position.start.offset, end: node.position.end.offset };
+      groups.push(current);
+    }
+  }
+
+  let result = '';
+  let cursor = 0;
+  for (const { start, end } of groups) {
+    result += plain.slice(cursor, start) + RTL_OPEN + eol + eol + plain.slice(start, end) + eol + eol + RTL_CLOSE;
+    cursor = end;
+  }
+  return result + plain.slice(cursor);
+}
+
+// Final text direction for a README in `language`
+export function applyDirection(content, language) {
+  return isRtl(language) ? wrapRtl(content) : content;
+}
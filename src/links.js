@@ -0,0 +1,322 @@
+import fs from 'fs/promises';
+import { existsSync, readFileSync, statSync } from 'fs';
+import { join, dirname, resolve, relative, extname } from 'path';
+import chalk from 'chalk';
+import { parseMarkdown, nodeText, visitNodes } from './markdown.js';
+import { ReadmiError, EXIT_CODES } from './utils.js';
+
+export const DEFAULT_CONCURRENCY = 8;
+export const DEFAULT_LINK_TIMEOUT = 10000;
+
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.mdx'];
+
+/**
+ * GitHub heading anchors: lowercase, punctuation and emoji removed, spaces to hyphens and
+ * repeated slugs numbered -1, -2, ... in document order
+ */
+export function createSlugger() {
+  const seen = new Map();
+  return text => {
+    const base = text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '').replace(/ /g, '-');
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  };
+}
+
+// Heading slugs plus explicit HTML anchors (<a name="...">, id="...")
+export function collectAnchors(content, tree = parseMarkdown(content)) {
+  const slug = createSlugger();
+  const anchors = [];
+  visitNodes(tree, node => {
+    if (node.type === 'heading') {
+      anchors.push({ id: slug(nodeText(node).trim()), title: nodeText(node).trim() });
+    } else if (node.type === 'html') {
+      for (const match of node.value.matchAll(/\s(?:id|name)=["']([^"']+)["']/g)) anchors.push({ id: match[1], title: null });
+    }
+  });
+  return anchors;
+}
+
+/**
+ * Every link, image and reference definition destination with its line and source offsets
+ */
+export function collectLinks(content, tree = parseMarkdown(content)) {
+  const links = [];
+  const add = (url, node, kind) => {
+    if (!url) return;
+    links.push({ url, kind, line: node.position.start.line, start: node.position.start.offset, end: node.position.end.offset });
+  };
+  visitNodes(tree, node => {
+    if (node.type === 'link' || node.type === 'image' || node.type === 'definition') {
+      add(node.url, node, node.type === 'image' ? 'image' : 'link');
+    } else if (node.type === 'html') {
+      for (const match of node.value.matchAll(/<(?:a|img|source)\s[^>]*?(?:href|src|srcset)=["']([^"'\s]+)/gi)) add(match[1], node, 'html');
+    }
+  });
+  return links;
+}
+
+function classify(url) {
+  if (url.startsWith('#')) return 'anchor';
+  if (url.startsWith('//') || /^https?:/i.test(url)) return 'http';
+  if (SCHEME_PATTERN.test(url)) return 'other';
+  return 'file';
+}
+
+function decode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+const anchorCache = new Map();
+function anchorsOf(file) {
+  if (!anchorCache.has(file)) {
+    anchorCache.set(file, collectAnchors(readFileSync(file, 'utf8')));
+  }
+  return anchorCache.get(file);
+}
+
+function hasAnchor(anchors, fragment) {
+  const wanted = decode(fragment).toLowerCase();
+  return anchors.some(anchor => anchor.id.toLowerCase() === wanted);
+}
+
+function words(slug) {
+  return slug.toLowerCase().split('-').filter(Boolean);
+}
+
+/**
+ * Closest heading for an anchor that no longer exists: identical words (emoji prefixes and
+ * numbering aside) or the best word overlap, returned only when a single heading wins
+ */
+export function suggestAnchor(fragment, anchors) {
+  const target = words(decode(fragment));
+  if (target.length === 0) return null;
+  const scored = anchors.filter(anchor => anchor.title !== null).map(anchor => {
+    const candidate = words(anchor.id);
+    const shared = target.filter(word => candidate.some(other => other === word || (Math.min(word.length, other.length) >= 4 && (other.startsWith(word) || word.startsWith(other)))));
+    return { anchor, score: shared.length / new Set([...target, ...candidate]).size };
+  }).filter(entry => entry.score >= 0.5).sort((a, b) => b.score - a.score);
+  if (scored.length === 0 || (scored[1] && scored[1].score === scored[0].score)) return null;
+  return scored[0].anchor.id;
+}
+
+function checkLocal(link, { readmePath, root, anchors }) {
+  if (link.url.startsWith('#')) {
+    const fragment = link.url.slice(1);
+    if (!fragment || fragment === 'top' || hasAnchor(anchors, fragment)) return null;
+    const suggestion = suggestAnchor(fragment, anchors);
+    return {
+      ...link,
+      type: 'anchor',
+      message: `Anchor #${fragment} does not match any heading` + (suggestion ? ` (did you mean #${suggestion}?)` : ''),
+      fix: suggestion ? { from: `#${fragment}`, to: `#${suggestion}` } : null
+    };
+  }
+
+  const [pathPart, fragment] = link.url.split('#');
+  const path = decode(pathPart.split('?')[0]);
+  const target = path.startsWith('/') ? join(root, path) : resolve(dirname(readmePath), path);
+  const shown = relative(root, target) || '.';
+  if (!existsSync(target)) {
+    return { ...link, type: 'file', message: `${shown} does not exist`, fix: null };
+  }
+  if (fragment && MARKDOWN_EXTENSIONS.includes(extname(target).toLowerCase()) && statSync(target).isFile()) {
+    const targetAnchors = anchorsOf(target);
+    if (!hasAnchor(targetAnchors, fragment)) {
+      const suggestion = suggestAnchor(fragment, targetAnchors);
+      return {
+        ...link,
+        type: 'anchor',
+        message: `Anchor #${fragment} does not exist in ${shown}` + (suggestion ? ` (did you mean #${suggestion}?)` : ''),
+        fix: suggestion ? { from: `#${fragment}`, to: `#${suggestion}` } : null
+      };
+    }
+  }
+  return null;
+}
+
+async function requestStatus(url, method, timeout) {
+  const response = await fetch(url, { method, redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+  // Drain the body so the connection is released
+  await response.arrayBuffer().catch(() => null);
+  return response.status;
+}
+
+async function checkHttp(link, timeout) {
+  const url = link.url.startsWith('//') ? `https:${link.url}` : link.url;
+  try {
+    let status = await requestStatus(url, 'HEAD', timeout);
+    // Plenty of servers reject HEAD but answer GET
+    if ([403, 404, 405, 501].includes(status)) status = await requestStatus(url, 'GET', timeout);
+    if (status === 429) return { ...link, type: 'http', severity: 'warning', message: `${url} is rate limited (429)`, fix: null };
+    return status >= 400 ? { ...link, type: 'http', message: `${url} returned ${status}`, fix: null } : null;
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `timed out after ${timeout / 1000}s` : error.cause?.code || error.message;
+    return { ...link, type: 'http', message: `${url} ${reason}`, fix: null };
+  }
+}
+
+// Runs `task` over `items` with at most `limit` in flight, results keep the input order
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Validate relative file links and in-page anchors, and with `external` also http(s) links
+ */
+export async function checkLinks(content, { readmePath = 'README.md', root = process.cwd(), external = false, concurrency = DEFAULT_CONCURRENCY, timeout = DEFAULT_LINK_TIMEOUT } = {}) {
+  anchorCache.clear();
+  const tree = parseMarkdown(content);
+  const anchors = collectAnchors(content, tree);
+  const links = collectLinks(content, tree);
+  const broken = [];
+
+  for (const link of links.filter(link => ['anchor', 'file'].includes(classify(link.url)))) {
+    const problem = checkLocal(link, { readmePath: resolve(readmePath), root: resolve(root), anchors });
+    if (problem) broken.push(problem);
+  }
+
+  let checkedHttp = 0;
+  if (external) {
+    const byUrl = new Map();
+    for (const link of links.filter(link => classify(link.url) === 'http')) {
+      if (!byUrl.has(link.url)) byUrl.set(link.url, []);
+      byUrl.get(link.url).push(link);
+    }
+    const results = await mapWithConcurrency([...byUrl.values()], concurrency, group => checkHttp(group[0], timeout));
+    checkedHttp = byUrl.size;
+    results.forEach((problem, index) => {
+      if (!problem) return;
+      // One request per URL, one report per place it is used
+      for (const link of [...byUrl.values()][index]) broken.push({ ...problem, ...link });
+    });
+  }
+
+  broken.sort((a, b) => a.line - b.line);
+  return { links: links.length, checkedHttp, broken };
+}
+
+/**
+ * Rewrite anchors whose heading was renamed, returns the new content and the applied fixes
+ */
+export function fixAnchors(content, broken) {
+  const fixes = broken.filter(problem => problem.fix).sort((a, b) => b.start - a.start);
+  let fixed = content;
+  const applied = [];
+  for (const problem of fixes) {
+    const source = fixed.slice(problem.start, problem.end);
+    const at = source.lastIndexOf(problem.fix.from);
+    if (at === -1) continue;
+    const updated = source.slice(0, at) + problem.fix.to + source.slice(at + problem.fix.from.length);
+    fixed = fixed.slice(0, problem.start) + updated + fixed.slice(problem.end);
+    applied.push(problem);
+  }
+  return { content: fixed, fixed: applied.reverse() };
+}
+
+export function printLinkReport(result, fixed = []) {
+  if (fixed.length > 0) {
+    console.log('\n' + chalk.green.bold('Fixed Anchors') + '\n');
+    for (const problem of fixed) {
+      console.log(chalk.green('  ✓ ') + chalk.dim(`line ${problem.line} `) + chalk.gray(`${problem.fix.from} → ${problem.fix.to}`));
+    }
+  }
+  const remaining = result.broken.filter(problem => !fixed.includes(problem));
+  if (remaining.length === 0) {
+    console.log(
+      '\n' +
+      chalk.green.bold(`✓ ${result.links} link${result.links === 1 ? '' : 's'} checked`) +
+      (result.checkedHttp ? chalk.dim(` (${result.checkedHttp} external)`) : '') + '\n'
+    );
+    return;
+  }
+  console.log('\n' + chalk.yellow.bold('Broken Links') + '\n');
+  for (const problem of remaining) {
+    const icon = problem.severity === 'warning' ? chalk.yellow('•') : chalk.red('•');
+    console.log('  ' + icon + ' ' + chalk.dim(`line ${problem.line} `) + chalk.gray(problem.message));
+  }
+  console.log();
+}
+
+/**
+ * `readmi links`, returns the process exit code
+ */
+export async function runLinks(dir, { readmePath = 'README.md', format = 'text', fix = false, external = false, concurrency, timeout } = {}) {
+  if (!['text', 'json'].includes(format)) {
+    throw new ReadmiError(`Invalid --format "${format}". Expected text or json`, EXIT_CODES.USAGE);
+  }
+  for (const [flag, value] of [['--concurrency', concurrency], ['--link-timeout', timeout]]) {
+    if (value !== null && value !== undefined && !/^[1-9]\d*$/.test(value)) {
+      throw new ReadmiError(`Invalid ${flag} "${value}". Expected a positive number`, EXIT_CODES.USAGE);
+    }
+  }
+  if (!existsSync(readmePath)) {
+    if (format === 'json') {
+      console.log(JSON.stringify({ readme: readmePath, exists: false, broken: [], passed: false }, null, 2));
+    } else {
+      console.log(chalk.yellow(`\n  ⚠ ${readmePath} not found\n`));
+    }
+    return EXIT_CODES.NO_README;
+  }
+
+  const content = await fs.readFile(readmePath, 'utf8');
+  const result = await checkLinks(content, {
+    readmePath,
+    root: dir,
+    external,
+    concurrency: concurrency ? Number(concurrency) : DEFAULT_CONCURRENCY,
+    timeout: timeout ? Number(timeout) : DEFAULT_LINK_TIMEOUT
+  });
+
+  let fixed = [];
+  if (fix) {
+    const applied = fixAnchors(content, result.broken);
+    if (applied.fixed.length > 0) {
+      await fs.writeFile(readmePath, applied.content);
+      fixed = applied.fixed;
+    }
+  }
+  const remaining = result.broken.filter(problem => !fixed.includes(problem) && problem.severity !== 'warning');
+
+  if (format === 'json') {
+    const strip = ({ start, end, ...problem }) => problem;
+    console.log(JSON.stringify({
+      readme: readmePath,
+      exists: true,
+      links: result.links,
+      passed: remaining.length === 0,
+      fixed: fixed.map(strip),
+      broken: result.broken.filter(problem => !fixed.includes(problem)).map(strip)
+    }, null, 2));
+  } else {
+    printLinkReport(result, fixed);
+  }
+  return remaining.length > 0 ? EXIT_CODES.CHECK_FAILED : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Fix renamed anchors in freshly written content and warn about the links that stay broken
+ */
+export async function enforceLinks(content, { readmePath, root = process.cwd(), spinner } = {}) {
+  const result = await checkLinks(content, { readmePath, root });
+  if (result.broken.length === 0) return content;
+  const applied = fixAnchors(content, result.broken);
+  spinner?.stop();
+  printLinkReport(result, applied.fixed);
+  return applied.content;
+}
@@ -0,0 +1,380 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { parse as parseToml } from 'smol-toml';
+
+async function readText(dir, file) {
+  try {
+    return await fs.readFile(join(dir, file), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+async function readToml(dir, file) {
+  const content = await readText(dir, file);
+  if (content === null) return null;
+  try {
+    return parseToml(content);
+  } catch {
+    return null;
+  }
+}
+
+// Splits a PEP 508 requirement such as `requests[socks]>=2.0; python_version<"3.8"`
+function parseRequirement(line) {
+  const match = line.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?\s*([^;]*)/);
+  return match ? [match[1], match[3].trim() || '*'] : null;
+}
+
+function requirementsToMap(lines) {
+  const deps = {};
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('-')) continue;
+    const requirement = parseRequirement(trimmed);
+    if (requirement) deps[requirement[0]] = requirement[1];
+  }
+  return deps;
+}
+
+function tomlDepsToMap(table = {}) {
+  const deps = {};
+  for (const [name, spec] of Object.entries(table)) {
+    if (typeof spec === 'string') deps[name] = spec;
+    else if (spec && typeof spec === 'object' && !Array.isArray(spec)) deps[name] = spec.version || spec.git || spec.path || '*';
+    else deps[name] = '*';
+  }
+  return deps;
+}
+
+function parseIni(content) {
+  const sections = {};
+  let current = null;
+  let lastKey = null;
+  for (const line of content.split('\n')) {
+    if (!line.trim() || /^\s*[#;]/.test(line)) continue;
+    const header = line.match(/^\[([^\]]+)\]\s*$/);
+    if (header) {
+      current = sections[header[1].trim()] = {};
+      lastKey = null;
+    } else if (current && /^\s/.test(line) && lastKey) {
+      current[lastKey] += '\n' + line.trim();
+    } else if (current) {
+      const pair = line.match(/^([^=:]+)[=:](.*)$/);
+      if (pair) {
+        lastKey = pair[1].trim();
+        current[lastKey] = pair[2].trim();
+      }
+    }
+  }
+  return sections;
+}
+
+function listLines(value = '') {
+  return value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+async function readPython(dir) {
+  const pyproject = await readToml(dir, 'pyproject.toml');
+  const setupCfg = await readText(dir, 'setup.cfg');
+  const requirements = await readText(dir, 'requirements.txt');
+  if (!pyproject && setupCfg === null && requirements === null) return null;
+
+  const info = {
+    ecosystem: 'python',
+    manifest: requirements !== null ? 'requirements.txt' : 'pyproject.toml',
+    dependencies: {},
+    devDependencies: {},
+    bin: {}
+  };
+
+  if (requirements !== null) {
+    info.dependencies = requirementsToMap(requirements.split('\n'));
+    const devRequirements = await readText(dir, 'requirements-dev.txt');
+    if (devRequirements !== null) info.devDependencies = requirementsToMap(devRequirements.split('\n'));
+  }
+
+  if (setupCfg !== null) {
+    const cfg = parseIni(setupCfg);
+    const metadata = cfg.metadata || {};
+    info.manifest = 'setup.cfg';
+    Object.assign(info, {
+      name: metadata.name,
+      version: metadata.version,
+      description: metadata.description,
+      license: metadata.license,
+      homepage: metadata.url,
+      author: metadata.author
+    });
+    if (cfg.options?.install_requires) {
+      info.dependencies = requirementsToMap(listLines(cfg.options.install_requires));
+    }
+    for (const entry of listLines(cfg['options.entry_points']?.console_scripts)) {
+      const [command, target] = entry.split('=').map(part => part.trim());
+      if (command && target) info.bin[command] = target;
+    }
+  }
+
+  const project = pyproject?.project;
+  const poetry = pyproject?.tool?.poetry;
+  if (project) {
+    info.manifest = 'pyproject.toml';
+    Object.assign(info, {
+      name: project.name,
+      version: project.version,
+      description: project.description,
+      license: typeof project.license === 'string' ? project.license : project.license?.text,
+      keywords: project.keywords || [],
+      author: project.authors?.[0]?.name,
+      homepage: project.urls?.Homepage || project.urls?.homepage,
+      repository: project.urls?.Repository || project.urls?.Source || ''
+    });
+    if (project.dependencies) info.dependencies = requirementsToMap(project.dependencies);
+    for (const [group, requirementList] of Object.entries(project['optional-dependencies'] || {})) {
+      if (/dev|test|lint/i.test(group)) Object.assign(info.devDependencies, requirementsToMap(requirementList));
+    }
+    Object.assign(info.bin, project.scripts || {});
+    if (project['requires-python']) info.engines = { python: project['requires-python'] };
+  } else if (poetry) {
+    info.manifest = 'pyproject.toml';
+    info.packageManager = 'poetry';
+    const { python, ...dependencies } = poetry.dependencies || {};
+    Object.assign(info, {
+      name: poetry.name,
+      version: poetry.version,
+      description: poetry.description,
+      license: poetry.license,
+      keywords: poetry.keywords || [],
+      author: poetry.authors?.[0]?.replace(/\s*<.*>$/, ''),
+      homepage: poetry.homepage,
+      repository: poetry.repository || '',
+      dependencies: tomlDepsToMap(dependencies),
+      devDependencies: tomlDepsToMap(poetry.group?.dev?.dependencies || poetry['dev-dependencies'])
+    });
+    Object.assign(info.bin, poetry.scripts || {});
+    if (python) info.engines = { python: typeof python === 'string' ? python : python.version };
+  }
+
+  const moduleName = (info.name || '').replace(/-/g, '_');
+  info.entryFiles = ['__main__.py', 'main.py', 'app.py', `src/${moduleName}/__init__.py`, `${moduleName}/__init__.py`];
+  return info;
+}
+
+async function readRust(dir) {
+  const cargo = await readToml(dir, 'Cargo.toml');
+  if (!cargo?.package) return null;
+  const pkg = cargo.package;
+  const info = {
+    ecosystem: 'rust',
+    manifest: 'Cargo.toml',
+    name: pkg.name,
+    version: typeof pkg.version === 'string' ? pkg.version : '',
+    description: pkg.description,
+    license: pkg.license,
+    homepage: pkg.homepage,
+    repository: pkg.repository || '',
+    author: pkg.authors?.[0]?.replace(/\s*<.*>$/, ''),
+    keywords: pkg.keywords || [],
+    dependencies: tomlDepsToMap(cargo.dependencies),
+    devDependencies: tomlDepsToMap(cargo['dev-dependencies']),
+    bin: {},
+    entryFiles: ['src/main.rs', 'src/lib.rs']
+  };
+  for (const bin of cargo.bin || []) {
+    if (bin.name) info.bin[bin.name] = bin.path || `src/bin/${bin.name}.rs`;
+  }
+  if (Object.keys(info.bin).length === 0 && existsSync(join(dir, 'src', 'main.rs'))) {
+    info.bin[pkg.name] = 'src/main.rs';
+  }
+  if (pkg['rust-version']) info.engines = { rust: pkg['rust-version'] };
+  return info;
+}
+
+async function readGo(dir) {
+  const goMod = await readText(dir, 'go.mod');
+  if (goMod === null) return null;
+  const moduleName = goMod.match(/^module\s+(\S+)/m)?.[1] || '';
+  const goVersion = goMod.match(/^go\s+(\S+)/m)?.[1];
+  const dependencies = {};
+  const requireLines = [];
+  for (const block of goMod.matchAll(/^require\s*\(([\s\S]*?)^\)/gm)) {
+    requireLines.push(...block[1].split('\n'));
+  }
+  for (const single of goMod.matchAll(/^require\s+([^\s(]+\s+\S+.*)$/gm)) {
+    requireLines.push(single[1]);
+  }
+  for (const line of requireLines) {
+    const match = line.trim().match(/^(\S+)\s+(\S+)(.*)$/);
+    if (match && !match[3].includes('// indirect')) dependencies[match[1]] = match[2];
+  }
+
+  const info = {
+    ecosystem: 'go',
+    manifest: 'go.mod',
+    name: moduleName,
+    dependencies,
+    devDependencies: {},
+    bin: {},
+    entryFiles: ['main.go', 'cmd/main.go']
+  };
+  if (existsSync(join(dir, 'main.go'))) {
+    info.bin[moduleName.split('/').pop()] = 'main.go';
+  }
+  if (goVersion) info.engines = { go: goVersion };
+  if (moduleName.startsWith('github.com/')) info.repository = `https://${moduleName}`;
+  return info;
+}
+
+function xmlValue(xml, tag) {
+  return xml.match(new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`))?.[1];
+}
+
+async function readMaven(dir) {
+  const pom = await readText(dir, 'pom.xml');
+  if (pom === null) return null;
+  const dependencyXml = pom.replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, '').match(/<dependencies>([\s\S]*?)<\/dependencies>/)?.[1] || '';
+  const project = pom.replace(/<parent>[\s\S]*?<\/parent>/g, '')
+    .replace(/<(dependencies|dependencyManagement|build|profiles|plugins|licenses|developers)>[\s\S]*?<\/\1>/g, '');
+
+  const info = {
+    ecosystem: 'java',
+    manifest: 'pom.xml',
+    packageManager: 'maven',
+    name: xmlValue(project, 'artifactId'),
+    groupId: xmlValue(project, 'groupId') || xmlValue(pom, 'groupId'),
+    version: xmlValue(project, 'version'),
+    description: xmlValue(project, 'description') || xmlValue(project, 'name'),
+    homepage: xmlValue(project, 'url'),
+    license: xmlValue(pom.match(/<licenses>[\s\S]*?<\/licenses>/)?.[0] || '', 'name'),
+    dependencies: {},
+    devDependencies: {}
+  };
+  for (const dependency of dependencyXml.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+    const key = `${xmlValue(dependency[1], 'groupId')}:${xmlValue(dependency[1], 'artifactId')}`;
+    const target = xmlValue(dependency[1], 'scope') === 'test' ? info.devDependencies : info.dependencies;
+    target[key] = xmlValue(dependency[1], 'version') || '*';
+  }
+  const javaVersion = xmlValue(pom, 'maven.compiler.release') || xmlValue(pom, 'maven.compiler.source') || xmlValue(pom, 'java.version');
+  if (javaVersion) info.engines = { java: javaVersion };
+  return info;
+}
+
+async function readGradle(dir) {
+  const buildFile = existsSync(join(dir, 'build.gradle.kts')) ? 'build.gradle.kts' : 'build.gradle';
+  const gradle = await readText(dir, buildFile);
+  if (gradle === null) return null;
+  const settings = (await readText(dir, 'settings.gradle.kts')) || (await readText(dir, 'settings.gradle')) || '';
+  const property = (name, source = gradle) => source.match(new RegExp(`^\\s*${name}\\s*=\\s*["']([^"']+)["']`, 'm'))?.[1];
+
+  const info = {
+    ecosystem: 'java',
+    manifest: buildFile,
+    packageManager: 'gradle',
+    name: property('rootProject.name', settings),
+    groupId: property('group'),
+    version: property('version'),
+    description: property('description'),
+    dependencies: {},
+    devDependencies: {}
+  };
+  for (const match of gradle.matchAll(/^\s*(\w+)\s*\(?\s*["']([^"':]+):([^"':]+)(?::([^"']+))?["']/gm)) {
+    const [, configuration, group, artifact, version] = match;
+    if (!/implementation|api|compileOnly|runtimeOnly/i.test(configuration)) continue;
+    const target = /^test/i.test(configuration) ? info.devDependencies : info.dependencies;
+    target[`${group}:${artifact}`] = version || '*';
+  }
+  return info;
+}
+
+async function readComposer(dir) {
+  const content = await readText(dir, 'composer.json');
+  if (content === null) return null;
+  let composer;
+  try {
+    composer = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  const { php, ...requires } = composer.require || {};
+  const dependencies = Object.fromEntries(Object.entries(requires).filter(([name]) => !name.startsWith('ext-')));
+  const info = {
+    ecosystem: 'php',
+    manifest: 'composer.json',
+    name: composer.name,
+    version: composer.version,
+    description: composer.description,
+    license: Array.isArray(composer.license) ? composer.license.join(' OR ') : composer.license,
+    homepage: composer.homepage,
+    author: composer.authors?.[0]?.name,
+    keywords: composer.keywords || [],
+    dependencies,
+    devDependencies: composer['require-dev'] || {},
+    scripts: Object.fromEntries(Object.entries(composer.scripts || {}).map(([name, command]) => [name, [].concat(command).join(' && ')])),
+    bin: Object.fromEntries((composer.bin || []).map(file => [file.split('/').pop(), file])),
+    entryFiles: ['index.php', 'public/index.php']
+  };
+  if (php) info.engines = { php };
+  return info;
+}
+
+async function readRuby(dir) {
+  let gemspecFile = null;
+  try {
+    gemspecFile = (await fs.readdir(dir)).find(file => file.endsWith('.gemspec')) || null;
+  } catch {}
+  const gemspec = gemspecFile ? await readText(dir, gemspecFile) : null;
+  const gemfile = await readText(dir, 'Gemfile');
+  if (gemspec === null && gemfile === null) return null;
+
+  const info = { ecosystem: 'ruby', manifest: gemspecFile || 'Gemfile', dependencies: {}, devDependencies: {}, bin: {} };
+
+  if (gemfile !== null) {
+    let devGroup = false;
+    for (const line of gemfile.split('\n')) {
+      if (/^\s*group\s+.*:(development|test)/.test(line)) devGroup = true;
+      else if (/^\s*end\b/.test(line)) devGroup = false;
+      const gem = line.match(/^\s*gem\s+["']([^"']+)["'](?:\s*,\s*["']([^"']+)["'])?/);
+      if (gem) (devGroup ? info.devDependencies : info.dependencies)[gem[1]] = gem[2] || '*';
+    }
+  }
+
+  if (gemspec !== null) {
+    const attribute = (name) => gemspec.match(new RegExp(`\\.${name}\\s*=\\s*["']([^"']+)["']`))?.[1];
+    Object.assign(info, {
+      name: attribute('name') || gemspecFile.replace(/\.gemspec$/, ''),
+      version: attribute('version'),
+      description: attribute('summary') || attribute('description'),
+      license: attribute('license') || gemspec.match(/\.licenses\s*=\s*\[\s*["']([^"']+)["']/)?.[1],
+      homepage: attribute('homepage')
+    });
+    for (const dep of gemspec.matchAll(/\.add_(runtime_|development_)?dependency\s*\(?\s*["']([^"']+)["'](?:\s*,\s*["']([^"']+)["'])?/g)) {
+      (dep[1] === 'development_' ? info.devDependencies : info.dependencies)[dep[2]] = dep[3] || '*';
+    }
+    const executables = gemspec.match(/\.executables\s*=\s*(?:%w\[([^\]]*)\]|\[([^\]]*)\])/);
+    const executableList = executables?.[1]?.split(/\s+/) || executables?.[2]?.match(/["']([^"']+)["']/g)?.map(e => e.slice(1, -1)) || [];
+    for (const executable of executableList.filter(Boolean)) {
+      info.bin[executable] = `exe/${executable}`;
+    }
+    const rubyVersion = attribute('required_ruby_version');
+    if (rubyVersion) info.engines = { ruby: rubyVersion };
+  }
+
+  info.entryFiles = info.name ? [`lib/${info.name}.rb`] : [];
+  return info;
+}
+
+const MANIFEST_READERS = [readPython, readRust, readGo, readMaven, readGradle, readComposer, readRuby];
+
+/**
+ * Read the first non-npm manifest found in the project directory
+ */
+export async function readManifest(dir) {
+  for (const reader of MANIFEST_READERS) {
+    const manifest = await reader(dir);
+    if (manifest) {
+      return Object.fromEntries(Object.entries(manifest).filter(([, value]) => value !== undefined && value !== null));
+    }
+  }
+  return null;
+}
@@ -0,0 +1,75 @@
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { gfmFromMarkdown } from 'mdast-util-gfm';
+import { gfm } from 'micromark-extension-gfm';
+import { frontmatterFromMarkdown } from 'mdast-util-frontmatter';
+import { frontmatter } from 'micromark-extension-frontmatter';
+
+const FRONTMATTER = ['yaml', 'toml'];
+
+/**
+ * Parse CommonMark + GFM (plus YAML/TOML front matter) into an mdast tree with source positions
+ */
+export function parseMarkdown(content) {
+  return fromMarkdown(content, {
+    extensions: [gfm(), frontmatter(FRONTMATTER)],
+    mdastExtensions: [gfmFromMarkdown(), frontmatterFromMarkdown(FRONTMATTER)]
+  });
+}
+
+// Plain text of a node, inline code included
+export function nodeText(node) {
+  if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+  if (node.type === 'image') return node.alt || '';
+  return (node.children || []).map(nodeText).join('');
+}
+
+export function visitNodes(node, callback) {
+  callback(node);
+  for (const child of node.children || []) visitNodes(child, callback);
+}
+
+// 0-based line numbers of code blocks and front matter, where nothing is Markdown structure
+export function literalLines(tree) {
+  const lines = new Set();
+  visitNodes(tree, node => {
+    if (node.type !== 'code' && !FRONTMATTER.includes(node.type)) return;
+    for (let line = node.position.start.line - 1; line < node.position.end.line; line++) lines.add(line);
+  });
+  return lines;
+}
+
+/**
+ * Split a README at its top-level headings (ATX and setext, never inside code, lists or quotes).
+ * Every section keeps its exact source: `raw` runs from the heading to the next heading, so
+ * `preamble + sections.map(s => s.raw).join('')` reproduces the file byte-for-byte
+ */
+export function splitMarkdown(content, tree = parseMarkdown(content)) {
+  const headings = tree.children.filter(node => node.type === 'heading');
+  const preambleEnd = headings[0]?.position.start.offset ?? content.length;
+  const frontmatterNode = tree.children.find(node => FRONTMATTER.includes(node.type));
+
+  const sections = headings.map((heading, index) => {
+    const start = heading.position.start.offset;
+    const headingEnd = heading.position.end.offset;
+    const end = headings[index + 1]?.position.start.offset ?? content.length;
+    return {
+      level: heading.depth,
+      title: nodeText(heading).trim(),
+      rawTitle: content.slice(start, headingEnd),
+      content: content.slice(headingEnd, end).trim(),
+      raw: content.slice(start, end),
+      startLine: heading.position.start.line - 1,
+      endLine: (headings[index + 1]?.position.start.line ?? content.split('\n').length + 1) - 2
+    };
+  });
+
+  sections.forEach((section, index) => {
+    section.next = sections[index + 1] || null;
+  });
+
+  return {
+    preamble: content.slice(0, preambleEnd),
+    frontmatter: frontmatterNode ? content.slice(frontmatterNode.position.start.offset, frontmatterNode.position.end.offset) : null,
+    sections
+  };
+}
@@ -1,135 +1,175 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createHash } from 'crypto';
 import chalk from 'chalk';
-import ora from 'ora';
+import Conf from 'conf';
 import inquirer from 'inquirer';
-import { config } from './config.js';
-
-export const AVAILABLE_MODELS = [
-  'gemini-1.5-flash',
-  'gemini-1.5-flash-latest',
-  'gemini-1.5-flash-8b',
-  'gemini-1.5-flash-8b-latest',
-  'gemini-1.5-pro',
-  'gemini-1.5-pro-latest',
-  'gemini-2.0-flash-001',
-  'gemini-2.0-flash',
-  'gemini-2.0-flash-lite-preview-02-05',
-  'gemini-2.5-flash-preview-04-17',
-  'gemini-2.5-pro-preview-05-06'
-];
-
-export async function selectModel(apiKey, spinner) {
-  const genAI = new GoogleGenerativeAI(apiKey);
-  
-  const savedModel = config.get('preferredModel');
-  if (savedModel && AVAILABLE_MODELS.includes(savedModel)) {
-    try {
-      const model = genAI.getGenerativeModel({
-        model: savedModel,
-        generationConfig: {
-          temperature: savedModel.includes('flash') ? 0.8 : 0.7,
-          maxOutputTokens: savedModel.includes('pro') ? 4096 : 2048,
-          topP: savedModel.includes('flash') ? 0.9 : 0.8,
-          topK: savedModel.includes('pro') ? 40 : 32
-        }
-      });
-      await model.generateContent([{ text: 'test' }]);
-      spinner.succeed(chalk.green(`  Using ${chalk.bold(savedModel)}`));
-      return model;
-    } catch (error) {
-      spinner.warn(chalk.gray(`  Saved model ${savedModel} not available, trying defaults...`));
-    }
+import { config, getProvider, getSavedProvider, getBaseUrl, getApiKey } from './config.js';
+import { PROVIDERS, createProvider, listModels } from './providers.js';
+import { isReplaying, getRecordedModels } from './cache.js';
+import { assertInteractive } from './utils.js';
+
+// The models list is cached per provider, endpoint and key
+export const MODEL_CACHE_TTL = 24 * 60 * 60 * 1000;
+const modelCache = new Conf({ projectName: 'readmi', configName: 'models-cache' });
+
+export const DEFAULT_GENERATION = {
+  temperature: 0.7,
+  topP: 0.9,
+  maxOutputTokens: 8192
+};
+
+/**
+ * Defaults, then the `generation` settings, then that block's overrides for `modelName`
+ */
+export function getGenerationConfig(modelName, generation = {}) {
+  const { models = {}, ...shared } = generation;
+  return { ...DEFAULT_GENERATION, ...shared, ...models[modelName] };
+}
+
+export function createModelClient(provider, apiKey, modelName, generation = {}) {
+  return createProvider(provider, {
+    apiKey,
+    model: modelName,
+    baseUrl: getBaseUrl(provider),
+    generationConfig: getGenerationConfig(modelName, generation)
+  });
+}
+
+function cacheKey(provider, apiKey) {
+  const hash = createHash('sha256').update(`${provider}\n${getBaseUrl(provider) || ''}\n${apiKey || ''}`).digest('hex');
+  return `models.${hash.slice(0, 16)}`;
+}
+
+/**
+ * Models the key can use: the cached list while it is younger than MODEL_CACHE_TTL, otherwise the
+ * provider's models endpoint. When the endpoint fails a stale cache is used, then the built-in suggestions
+ */
+export async function getAvailableModels(provider, apiKey, { refresh = false } = {}) {
+  const key = cacheKey(provider, apiKey);
+  const cached = modelCache.get(key);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < MODEL_CACHE_TTL) {
+    return { models: cached.models, source: 'cache' };
   }
-  
-  const preferredModels = [
-    'gemini-2.0-flash',
-    'gemini-1.5-flash',
-    'gemini-1.5-pro',
-    'gemini-1.5-flash-8b'
-  ];
-  
-  let selectedModel = null;
-  let workingModel = null;
-
-  for (const modelName of preferredModels) {
-    if (!AVAILABLE_MODELS.includes(modelName)) continue;
-    
-    try {
-      const tempModel = genAI.getGenerativeModel({
-        model: modelName,
-        generationConfig: {
-          temperature: modelName.includes('flash') ? 0.8 : 0.7,
-          maxOutputTokens: modelName.includes('pro') ? 4096 : 2048,
-          topP: modelName.includes('flash') ? 0.9 : 0.8,
-          topK: modelName.includes('pro') ? 40 : 32
-        }
-      });
-      await tempModel.generateContent([{ text: 'test' }]);
-      workingModel = tempModel;
-      selectedModel = modelName;
-      spinner.succeed(chalk.green(`  Using ${chalk.bold(modelName)}`));
-      break;
-    } catch (error) {
-      spinner.warn(chalk.gray(`  ${modelName} not available, trying next...`));
-      continue;
+
+  try {
+    const models = await listModels(provider, { apiKey, baseUrl: getBaseUrl(provider) });
+    if (models.length > 0) {
+      modelCache.set(key, { fetchedAt: Date.now(), models });
+      return { models, source: 'live' };
     }
+  } catch (error) {
+    // Anything else will fail the same way once generation starts, better to say so now
+    if (error.kind === 'cancelled' || error.kind === 'invalid-key') throw error;
   }
+  return cached
+    ? { models: cached.models, source: 'stale' }
+    : { models: PROVIDERS[provider].models, source: 'builtin' };
+}
 
-  if (!workingModel || !selectedModel) {
-    workingModel = genAI.getGenerativeModel({
-      model: 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 0.8,
-        maxOutputTokens: 2048,
-        topP: 0.9,
-        topK: 32
-      }
-    });
-    selectedModel = 'gemini-1.5-flash';
-  }
+// Ollama answers to "llama3.1" and "llama3.1:latest" alike
+function hasModel(models, name) {
+  const normalize = id => id.replace(/:latest$/, '');
+  return models.some(model => normalize(model) === normalize(name));
+}
+
+function pickDefaultModel(provider, models) {
+  const { defaultModel, models: suggested } = PROVIDERS[provider];
+  return [defaultModel, ...suggested].find(name => hasModel(models, name)) || models[0] || defaultModel;
+}
 
-  const modelType = selectedModel?.toLowerCase() || '';
-  if (modelType.includes('2.5')) {
-    spinner.stopAndPersist({
-      symbol: chalk.cyan('→'),
-      text: chalk.white('Model: ') + chalk.cyan.bold('Gemini 2.5')
-    });
-  } else if (modelType.includes('2.0')) {
-    spinner.stopAndPersist({
-      symbol: chalk.cyan('→'),
-      text: chalk.white('Model: ') + chalk.cyan.bold('Gemini 2.0')
-    });
-  } else if (modelType.includes('1.5')) {
-    spinner.stopAndPersist({
-      symbol: chalk.cyan('→'),
-      text: chalk.white('Model: ') + chalk.cyan.bold('Gemini 1.5')
-    });
+// The saved model was picked for the saved provider, it means nothing once a project config switches providers
+function getSavedModel(provider) {
+  return provider === getSavedProvider() ? config.get('preferredModel') : null;
+}
+
+/**
+ * Pick the model to generate with, checked against the models list instead of test requests.
+ * A saved model that disappeared falls back to a default, an explicit one is only warned about
+ */
+export async function selectModel(apiKey, spinner, modelOverride = null, generation = {}) {
+  const provider = getProvider();
+  const savedModel = getSavedModel(provider);
+  if (isReplaying()) return selectReplayModel(provider, spinner, modelOverride, savedModel, generation);
+  const { models, source } = await getAvailableModels(provider, apiKey);
+  // The built-in suggestions are not a list of what the key can use
+  const listed = source !== 'builtin';
+
+  let modelName = modelOverride || savedModel;
+  if (modelName && listed && !hasModel(models, modelName)) {
+    if (modelOverride) {
+      spinner.warn(chalk.yellow(`  ${modelName} is not in the ${PROVIDERS[provider].label} models list, using it anyway`));
+    } else {
+      spinner.warn(chalk.yellow(`  Saved model ${modelName} is no longer available, run "readmi config model" to choose another`));
+      modelName = null;
+    }
   }
+  if (!modelName) modelName = listed ? pickDefaultModel(provider, models) : PROVIDERS[provider].defaultModel;
 
-  return workingModel;
+  spinner.stopAndPersist({
+    symbol: chalk.cyan('→'),
+    text: chalk.white('Model: ') + chalk.cyan.bold(modelName) + chalk.dim(` (${PROVIDERS[provider].label})`)
+  });
+  return createModelClient(provider, apiKey, modelName, generation);
+}
+
+// A replay answers with the model it was recorded with, unless one is named explicitly
+async function selectReplayModel(provider, spinner, modelOverride, savedModel, generation) {
+  const recorded = await getRecordedModels(provider);
+  const saved = savedModel && (recorded.length === 0 || hasModel(recorded, savedModel)) ? savedModel : null;
+  const modelName = modelOverride || saved || recorded[0] || PROVIDERS[provider].defaultModel;
+  spinner.stopAndPersist({
+    symbol: chalk.cyan('→'),
+    text: chalk.white('Model: ') + chalk.cyan.bold(modelName) + chalk.dim(` (${PROVIDERS[provider].label}, replay)`)
+  });
+  return createModelClient(provider, null, modelName, generation);
 }
 
 export async function chooseModel(spinner) {
-  const savedModel = config.get('preferredModel');
+  const provider = getProvider();
+  const savedModel = getSavedModel(provider);
+  const customChoice = '__custom__';
   
+  assertInteractive('Model selection', 'Pass --model <name> instead.');
+  const apiKey = await getApiKey(spinner, provider);
+  spinner.start(chalk.gray(`  Fetching ${PROVIDERS[provider].label} models...`));
+  const { models, source } = await getAvailableModels(provider, apiKey, { refresh: true });
   spinner.stop();
-  console.log('\n' + chalk.bold.white('Model Selection') + '\n');
+  if (source === 'stale') {
+    console.log(chalk.yellow('  Could not reach the models endpoint, showing the last known list'));
+  } else if (source === 'builtin') {
+    console.log(chalk.yellow('  Could not reach the models endpoint, showing suggested models'));
+  }
+  console.log('\n' + chalk.bold.white('Model Selection') + chalk.dim(` · ${PROVIDERS[provider].label}`) + '\n');
+  
+  const choices = models.map(m => ({
+    name: m,
+    value: m
+  }));
+  choices.push({ name: 'Other (enter model name)', value: customChoice });
   
-  const { model } = await inquirer.prompt([
+  let { model } = await inquirer.prompt([
     {
       type: 'list',
       name: 'model',
       message: chalk.cyan('  Select a model:'),
-      choices: AVAILABLE_MODELS.map(m => ({
-        name: m,
-        value: m
-      })),
-      default: savedModel && AVAILABLE_MODELS.includes(savedModel) 
-        ? AVAILABLE_MODELS.indexOf(savedModel) 
-        : AVAILABLE_MODELS.indexOf('gemini-2.0-flash'),
+      choices,
+      default: savedModel && models.includes(savedModel) 
+        ? models.indexOf(savedModel) 
+        : Math.max(models.indexOf(pickDefaultModel(provider, models)), 0),
       pageSize: 12
     }
   ]);
+
+  if (model === customChoice) {
+    const { customModel } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'customModel',
+        message: chalk.cyan('  Model name:'),
+        validate: (input) => input.trim().length > 0 || chalk.red('  Model name cannot be empty')
+      }
+    ]);
+    model = customModel.trim();
+  }
   
   const { saveModel } = await inquirer.prompt([
     {
@@ -0,0 +1,148 @@
+import { generateBadges, getBinEntries, getEcosystemCommands } from './utils.js';
+import { renderApiReference } from './api.js';
+import { renderCommandsSection } from './cli.js';
+
+// Renders a deterministic README from analyzer data without calling a model
+export function renderOfflineReadme(projectInfo, settings = {}) {
+  const sections = [
+    renderTitle(projectInfo, settings),
+    renderInstallation(projectInfo),
+    renderUsage(projectInfo),
+    renderCommandsSection(projectInfo.cli),
+    renderApiReference(projectInfo.api),
+    renderPackages(projectInfo),
+    renderScripts(projectInfo),
+    renderConfiguration(projectInfo),
+    renderStructure(projectInfo),
+    renderTesting(projectInfo),
+    renderLicense(projectInfo)
+  ];
+  return sections.filter(Boolean).join('\n\n') + '\n';
+}
+
+function getProjectName(projectInfo) {
+  return projectInfo.displayName || projectInfo.name || 'Project';
+}
+
+function toIdentifier(name) {
+  const base = name.replace(/^@[^/]+\//, '').replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''));
+  return /^[a-zA-Z_$]/.test(base) ? base : 'pkg';
+}
+
+function renderTitle(projectInfo, settings) {
+  const lines = [`# ${getProjectName(projectInfo)}`];
+  const badges = generateBadges(projectInfo);
+  if (settings.badges !== false && badges !== 'No badges suggested') {
+    lines.push('', badges);
+  }
+  lines.push('', projectInfo.description || 'No description provided.');
+  if (projectInfo.version) {
+    lines.push('', `**Version:** ${projectInfo.version}`);
+  }
+  return lines.join('\n');
+}
+
+function renderInstallation(projectInfo) {
+  const commands = getEcosystemCommands(projectInfo);
+  const lines = ['## Installation'];
+  for (const [runtime, range] of Object.entries(projectInfo.engines || {})) {
+    const runtimeName = runtime === 'node' ? 'Node.js' : runtime.charAt(0).toUpperCase() + runtime.slice(1);
+    lines.push('', `Requires ${runtimeName} ${range}.`);
+  }
+  lines.push('', '```bash');
+  if (projectInfo.name && !projectInfo.private && commands.install && projectInfo.ecosystem !== 'java') {
+    lines.push(commands.install);
+  } else {
+    const repoUrl = typeof projectInfo.repository === 'string' ? projectInfo.repository : projectInfo.repository?.url;
+    if (repoUrl) lines.push(`git clone ${repoUrl.replace(/^git\+/, '')}`);
+    lines.push(commands.devInstall);
+  }
+  lines.push('```');
+  return lines.join('\n');
+}
+
+function renderUsage(projectInfo) {
+  const commands = getEcosystemCommands(projectInfo);
+  const binEntries = getBinEntries(projectInfo);
+  if (binEntries.length > 0) {
+    const lines = ['## Usage', '', '```bash'];
+    for (const [command] of binEntries) {
+      lines.push(command);
+    }
+    lines.push('```');
+    return lines.join('\n');
+  }
+
+  const firstFunction = projectInfo.api?.entries[0].exports.find(item => item.kind === 'function' && item.name !== 'default');
+  if (firstFunction && projectInfo.name) {
+    const statement = projectInfo.type === 'module'
+      ? `import { ${firstFunction.name} } from '${projectInfo.api.entries[0].importPath || projectInfo.name}';`
+      : `const { ${firstFunction.name} } = require('${projectInfo.api.entries[0].importPath || projectInfo.name}');`;
+    const args = (firstFunction.params || []).filter(param => !param.optional).map(param => param.name);
+    return ['## Usage', '', '```javascript', statement, '', `${firstFunction.name}(${args.join(', ')});`, '```'].join('\n');
+  }
+
+  if ((projectInfo.ecosystem || 'node') === 'node' && projectInfo.main && projectInfo.name) {
+    const identifier = toIdentifier(projectInfo.name);
+    const statement = projectInfo.type === 'module'
+      ? `import ${identifier} from '${projectInfo.name}';`
+      : `const ${identifier} = require('${projectInfo.name}');`;
+    return ['## Usage', '', '```javascript', statement, '```'].join('\n');
+  }
+
+  if (commands.run) {
+    return ['## Usage', '', '```bash', commands.run, '```'].join('\n');
+  }
+  return null;
+}
+
+function renderPackages(projectInfo) {
+  if (!projectInfo.workspacePackages?.length) return null;
+  const lines = ['## Packages', '', '| Package | Version | Description |', '|---------|---------|-------------|'];
+  for (const pkg of projectInfo.workspacePackages) {
+    lines.push(`| [${pkg.name}](${pkg.path}) | ${pkg.version || '-'} | ${(pkg.description || '-').replace(/\|/g, '\\|')} |`);
+  }
+  return lines.join('\n');
+}
+
+function renderScripts(projectInfo) {
+  const { runScript } = getEcosystemCommands(projectInfo);
+  const scripts = Object.entries(projectInfo.scripts || {});
+  if (scripts.length === 0 || !runScript) return null;
+  const lines = ['## Scripts', '', '| Command | Runs |', '|---------|------|'];
+  for (const [name, command] of scripts) {
+    lines.push(`| \`${runScript(name)}\` | \`${command.replace(/\|/g, '\\|')}\` |`);
+  }
+  return lines.join('\n');
+}
+
+function renderConfiguration(projectInfo) {
+  if (!projectInfo.envVars || projectInfo.envVars.length === 0) return null;
+  const lines = ['## Configuration', '', 'Set the following environment variables:', '', '| Variable |', '|----------|'];
+  for (const envVar of projectInfo.envVars) {
+    lines.push(`| \`${envVar}\` |`);
+  }
+  return lines.join('\n');
+}
+
+function renderStructure(projectInfo) {
+  const directories = projectInfo.projectStructure?.directories || [];
+  if (directories.length === 0) return null;
+  const lines = ['## Project Structure', '', '```'];
+  for (const directory of [...directories].sort()) {
+    lines.push(`${directory}/`);
+  }
+  lines.push('```');
+  return lines.join('\n');
+}
+
+function renderTesting(projectInfo) {
+  if (!projectInfo.hasTests) return null;
+  if ((projectInfo.ecosystem || 'node') === 'node' && !projectInfo.scripts?.test) return null;
+  return ['## Testing', '', '```bash', getEcosystemCommands(projectInfo).test, '```'].join('\n');
+}
+
+function renderLicense(projectInfo) {
+  if (!projectInfo.license) return null;
+  return `## License\n\n${projectInfo.license}`;
+}
@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { parse as parseYaml } from 'yaml';
+import { isKnownProvider, PROVIDERS } from './providers.js';
+import { DEFAULT_CONTEXT_BUDGET } from './context.js';
+import { DEFAULT_REQUEST_TIMEOUT, DEFAULT_RETRIES } from './request.js';
+import { normalizeLanguage } from './languages.js';
+import { ReadmiError, EXIT_CODES } from './utils.js';
+
+export const PROJECT_CONFIG_FILES = ['readmi.config.js', 'readmi.config.mjs', 'readmi.config.json', '.readmirc', '.readmirc.json'];
+export const TONES = ['professional', 'friendly', 'technical', 'casual', 'concise'];
+
+export const SETTING_DEFAULTS = {
+  provider: 'gemini',
+  model: null,
+  languages: ['en'],
+  sections: [],
+  tone: 'professional',
+  badges: true,
+  footer: true,
+  instructions: '',
+  output: 'README.md',
+  translationPath: '{name}.{lang}{ext}',
+  ignore: [],
+  contextBudget: DEFAULT_CONTEXT_BUDGET,
+  requestTimeout: DEFAULT_REQUEST_TIMEOUT,
+  retries: DEFAULT_RETRIES,
+  cache: true,
+  generation: {}
+};
+
+const isString = value => typeof value === 'string' && value.trim() !== '';
+const isStringList = value => Array.isArray(value) && value.every(isString);
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const GENERATION_CHECKS = {
+  temperature: value => typeof value === 'number' && value >= 0 && value <= 2,
+  topP: value => typeof value === 'number' && value > 0 && value <= 1,
+  topK: value => Number.isInteger(value) && value > 0,
+  maxOutputTokens: value => Number.isInteger(value) && value > 0
+};
+// Shared settings plus a `models` map of per-model overrides, which cannot nest further
+const isGeneration = (value, nested = true) => isObject(value) && Object.entries(value).every(([key, setting]) =>
+  GENERATION_CHECKS[key]?.(setting) ||
+  (nested && key === 'models' && isObject(setting) && Object.values(setting).every(overrides => isGeneration(overrides, false))));
+const isLanguage = value => {
+  try {
+    normalizeLanguage(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const SCHEMA = {
+  provider: { check: value => isString(value) && isKnownProvider(value), expected: `one of ${Object.keys(PROVIDERS).join(', ')}` },
+  model: { check: isString, expected: 'a model name' },
+  languages: { check: value => isStringList(value) && value.every(isLanguage), expected: 'a list of BCP-47 language codes' },
+  sections: { check: isStringList, expected: 'a list of section titles' },
+  tone: { check: value => TONES.includes(value), expected: `one of ${TONES.join(', ')}` },
+  badges: { check: value => typeof value === 'boolean', expected: 'true or false' },
+  footer: { check: value => typeof value === 'boolean' || isString(value), expected: 'true, false or markdown text' },
+  instructions: { check: isString, expected: 'text' },
+  output: { check: value => isString(value) && value.endsWith('.md'), expected: 'a path ending in .md' },
+  translationPath: { check: value => isString(value) && value.includes('{lang}'), expected: 'a path containing {lang}, e.g. docs/{lang}/README.md' },
+  ignore: { check: isStringList, expected: 'a list of globs' },
+  contextBudget: { check: value => Number.isInteger(value) && value > 0, expected: 'a positive number of tokens' },
+  requestTimeout: { check: value => Number.isInteger(value) && value > 0, expected: 'a positive number of milliseconds' },
+  retries: { check: value => Number.isInteger(value) && value >= 0, expected: 'a number of retries, 0 or more' },
+  cache: { check: value => typeof value === 'boolean', expected: 'true or false' },
+  generation: {
+    check: isGeneration,
+    expected: 'an object with temperature (0-2), topP (0-1], topK, maxOutputTokens and per-model overrides under "models"'
+  }
+};
+
+async function readConfigFile(file) {
+  if (/\.m?js$/.test(file)) {
+    const module = await import(pathToFileURL(file).href);
+    const exported = module.default ?? module;
+    return typeof exported === 'function' ? await exported() : exported;
+  }
+  // .readmirc may be JSON or YAML, YAML parses both
+  const content = await fs.readFile(file, 'utf8');
+  return file.endsWith('.json') ? JSON.parse(content) : parseYaml(content);
+}
+
+/**
+ * Check a raw project config against the schema, `language` and single strings are accepted as shorthands
+ */
+export function validateProjectConfig(raw, file = 'readmi config') {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ReadmiError(`${file} must export an object`, EXIT_CODES.USAGE);
+  }
+  const values = { ...raw };
+  if (values.language !== undefined) {
+    values.languages = values.languages ?? [values.language];
+    delete values.language;
+  }
+  for (const key of ['languages', 'sections', 'ignore']) {
+    if (typeof values[key] === 'string') values[key] = [values[key]];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(values)) {
+    if (!SCHEMA[key]) {
+      errors.push(`unknown key "${key}" (allowed: ${Object.keys(SCHEMA).join(', ')})`);
+    } else if (!SCHEMA[key].check(value)) {
+      errors.push(`"${key}" must be ${SCHEMA[key].expected}`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new ReadmiError(`Invalid ${file}: ${errors.join('; ')}`, EXIT_CODES.USAGE);
+  }
+  if (values.languages) values.languages = [...new Set(values.languages.map(code => normalizeLanguage(code)))];
+  return values;
+}
+
+/**
+ * Load the first project config found in `dir`, returns null when the project has none
+ */
+export async function loadProjectConfig(dir) {
+  const name = PROJECT_CONFIG_FILES.find(file => existsSync(join(dir, file)));
+  if (!name) return null;
+  let raw;
+  try {
+    raw = await readConfigFile(join(dir, name));
+  } catch (error) {
+    throw new ReadmiError(`Could not read ${name}: ${error.message}`, EXIT_CODES.USAGE);
+  }
+  return { file: name, values: validateProjectConfig(raw, name) };
+}
+
+/**
+ * Merge settings with precedence CLI flags > project config > user config > defaults,
+ * recording where each effective value came from
+ */
+export function resolveSettings({ cli = {}, project = null, user = {} } = {}) {
+  const layers = [
+    ['cli', cli],
+    ['project', project?.values || {}],
+    ['user', user]
+  ];
+  const values = {};
+  const sources = {};
+  for (const key of Object.keys(SETTING_DEFAULTS)) {
+    const layer = layers.find(([, settings]) => settings[key] !== undefined && settings[key] !== null);
+    values[key] = layer ? layer[1][key] : SETTING_DEFAULTS[key];
+    sources[key] = layer ? layer[0] : 'default';
+  }
+  return { values, sources, file: project?.file || null };
+}
@@ -0,0 +1,477 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { ModelError, requestWithRetries, streamWithRetries, parseRetryAfter, reportTruncation } from './request.js';
+import { readCachedResponse, writeCachedResponse, recordedResponse, recordedStream } from './cache.js';
+
+export const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    keyLabel: 'Google AI API Key',
+    envKeys: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
+    requiresKey: true,
+    defaultModel: 'gemini-2.0-flash',
+    models: ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-2.5-flash', 'gemini-2.5-pro']
+  },
+  openai: {
+    label: 'OpenAI / OpenAI-compatible',
+    keyLabel: 'OpenAI API Key',
+    envKeys: ['OPENAI_API_KEY'],
+    requiresKey: true,
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1']
+  },
+  anthropic: {
+    label: 'Anthropic Claude',
+    keyLabel: 'Anthropic API Key',
+    envKeys: ['ANTHROPIC_API_KEY'],
+    requiresKey: true,
+    defaultModel: 'claude-3-5-haiku-latest',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    models: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest', 'claude-3-7-sonnet-latest']
+  },
+  ollama: {
+    label: 'Ollama (local)',
+    keyLabel: 'Ollama API Key',
+    envKeys: ['OLLAMA_API_KEY'],
+    requiresKey: false,
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434',
+    models: ['llama3.1', 'qwen2.5-coder', 'mistral']
+  }
+};
+
+export function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta';
+// Ids of models that do not write text: embeddings, speech, images, moderation
+const NON_TEXT_MODEL = /embed|whisper|tts|transcribe|dall-e|imagen|image|veo|moderation|aqa|audio|realtime|search|computer-use|babbage|davinci/i;
+
+/**
+ * Text generation models the key has access to, read from the provider's models endpoint.
+ * Listing models costs no generation quota
+ */
+export async function listModels(name, { apiKey, baseUrl } = {}) {
+  const url = (baseUrl || PROVIDERS[name].defaultBaseUrl || '').replace(/\/+$/, '');
+  const listers = {
+    gemini: listGeminiModels,
+    openai: listOpenAIModels,
+    anthropic: listAnthropicModels,
+    ollama: listOllamaModels
+  };
+  const models = await requestWithRetries(signal => listers[name]({ apiKey, baseUrl: url, signal }), PROVIDERS[name].label);
+  return [...new Set(models)]
+    .filter(model => !NON_TEXT_MODEL.test(model))
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+}
+
+async function listGeminiModels({ apiKey, signal }) {
+  const models = [];
+  let pageToken = '';
+  do {
+    const data = await getJson(`${GEMINI_API_URL}/models?pageSize=1000&key=${encodeURIComponent(apiKey)}${pageToken ? `&pageToken=${pageToken}` : ''}`, {}, 'Gemini', signal);
+    for (const model of data.models || []) {
+      if (model.supportedGenerationMethods?.includes('generateContent')) models.push(model.name.replace(/^models\//, ''));
+    }
+    pageToken = data.nextPageToken || '';
+  } while (pageToken);
+  return models;
+}
+
+async function listOpenAIModels({ apiKey, baseUrl, signal }) {
+  const data = await getJson(`${baseUrl}/models`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, 'OpenAI', signal);
+  return (data.data || []).map(model => model.id);
+}
+
+async function listAnthropicModels({ apiKey, baseUrl, signal }) {
+  const data = await getJson(`${baseUrl}/models?limit=1000`, { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }, 'Anthropic', signal);
+  return (data.data || []).map(model => model.id);
+}
+
+// Ollama lists the models pulled locally, "llama3.1:latest" answers to "llama3.1" too
+async function listOllamaModels({ apiKey, baseUrl, signal }) {
+  const data = await getJson(`${baseUrl}/api/tags`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, 'Ollama', signal);
+  return (data.models || []).map(model => model.name.replace(/:latest$/, ''));
+}
+
+// Output cut at the token limit is continued at most this many times
+const MAX_CONTINUATIONS = 3;
+
+/**
+ * Prompt asking the model to carry on with an answer that stopped early
+ */
+function buildContinuationPrompt(prompt, partial) {
+  return `${prompt}
+
+=== PARTIAL OUTPUT ===
+You already wrote the beginning of the answer, it is shown below between the markers. Continue exactly where it stops, mid-sentence or mid-code-block if needed. Output ONLY the rest and do not repeat anything that is already there.
+
+<<<PARTIAL
+${partial}
+PARTIAL>>>`;
+}
+
+/**
+ * Join a continuation to the text so far, dropping a markdown fence it was wrapped in and
+ * whatever it repeats from the end of the text. Overlaps under 20 characters only count
+ * when they start a line, so a repeated `const f = require(` goes but a shared letter stays
+ */
+function stitchContinuation(text, continuation) {
+  const next = continuation.replace(/^```(?:markdown|md)\s*\n/i, '');
+  for (let size = Math.min(text.length, next.length, 500); size > 0; size--) {
+    const overlap = next.slice(0, size);
+    if (!text.endsWith(overlap)) continue;
+    const startsLine = size === text.length || text[text.length - size - 1] === '\n';
+    if (size >= 20 || (startsLine && overlap.trim())) return next.slice(size);
+  }
+  return next;
+}
+
+// Providers name the same outcomes differently
+function normalizeFinishReason(reason) {
+  if (!reason) return null;
+  const value = String(reason).toLowerCase();
+  if (['length', 'max_tokens'].includes(value)) return 'length';
+  if (['stop', 'end_turn', 'stop_sequence'].includes(value)) return 'stop';
+  if (['safety', 'content_filter', 'refusal', 'recitation', 'blocklist', 'prohibited_content', 'spii'].includes(value)) return 'safety';
+  return value;
+}
+
+/**
+ * Creates a provider client exposing common generate(prompt, options) and stream(prompt, options) interfaces.
+ * Both continue output that hit the token limit, `usage` adds up the tokens of every response
+ */
+export function createProvider(name, { apiKey, model, baseUrl, generationConfig = {} } = {}) {
+  if (!isKnownProvider(name)) {
+    throw new Error(`Unknown provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  const url = (baseUrl || PROVIDERS[name].defaultBaseUrl || '').replace(/\/+$/, '');
+  const modelName = model || PROVIDERS[name].defaultModel;
+  const label = PROVIDERS[name].label;
+  const generators = {
+    gemini: generateWithGemini,
+    openai: generateWithOpenAI,
+    anthropic: generateWithAnthropic,
+    ollama: generateWithOllama
+  };
+  const streamers = {
+    gemini: streamWithGemini,
+    openai: streamWithOpenAI,
+    anthropic: streamWithAnthropic,
+    ollama: streamWithOllama
+  };
+  const usage = { input: 0, output: 0, requests: 0 };
+
+  const request = (prompt, settings, signal) => ({ apiKey, model: modelName, baseUrl: url, prompt, settings, signal });
+  // What identifies a request for the response cache and --record/--replay
+  const describe = (prompt, settings) => ({ provider: name, model: modelName, baseUrl: url, settings, prompt });
+  // Records usage and decides whether to ask for the rest, some providers only tell through the token count.
+  // 'done' when the answer is complete, 'continue' to ask for more, 'truncated' when out of continuations
+  const roundOutcome = (finish, settings, round) => {
+    usage.input += finish.usage?.input || 0;
+    usage.output += finish.usage?.output || 0;
+    usage.requests++;
+    const finishReason = normalizeFinishReason(finish.finishReason);
+    if (finishReason === 'safety') throw new ModelError(`${label} blocked the response (${finish.finishReason})`, 'safety');
+    const truncated = finishReason === 'length' ||
+      (!finishReason && settings.maxOutputTokens && finish.usage?.output >= settings.maxOutputTokens);
+    if (!truncated) return 'done';
+    reportTruncation({ label, round: round + 1, max: MAX_CONTINUATIONS, usage: finish.usage, limit: settings.maxOutputTokens });
+    return round < MAX_CONTINUATIONS ? 'continue' : 'truncated';
+  };
+
+  return {
+    provider: name,
+    model: modelName,
+    baseUrl: url,
+    usage,
+    // Every call goes through the request layer: timeouts, retries, Ctrl+C and classified errors
+    async generate(prompt, options = {}) {
+      const settings = { ...generationConfig, ...options };
+      const cached = await readCachedResponse(describe(prompt, settings));
+      if (cached !== null) return cached;
+      let text = '';
+      for (let round = 0; ; round++) {
+        const prompted = round === 0 ? prompt : buildContinuationPrompt(prompt, text);
+        const result = await recordedResponse(describe(prompted, settings), () =>
+          requestWithRetries(signal => generators[name](request(prompted, settings, signal)), label));
+        text += round === 0 ? result.text : stitchContinuation(text, result.text);
+        const outcome = roundOutcome(result, settings, round);
+        if (outcome === 'continue') continue;
+        // An answer still cut short is not cached, the next run asks again
+        if (outcome === 'done') await writeCachedResponse(describe(prompt, settings), text);
+        return text;
+      }
+    },
+    // Async iterable of text chunks as the model writes them, `continueFrom` resumes an earlier partial answer
+    async *stream(prompt, { continueFrom = '', ...options } = {}) {
+      const settings = { ...generationConfig, ...options };
+      // A resumed answer depends on the partial it started from, only complete ones are cached
+      const cached = continueFrom ? null : await readCachedResponse(describe(prompt, settings));
+      if (cached !== null) {
+        yield cached;
+        return;
+      }
+      let text = continueFrom;
+      for (let round = 0; ; round++) {
+        const continuing = text !== '';
+        let finish = {};
+        // The start of a continuation is held back until it is clear what it repeats
+        let held = continuing ? '' : null;
+        const prompted = continuing ? buildContinuationPrompt(prompt, text) : prompt;
+        const events = recordedStream(describe(prompted, settings), () =>
+          streamWithRetries(signal => streamers[name](request(prompted, settings, signal)), label));
+        for await (const event of events) {
+          if (event.text === undefined) {
+            finish = event;
+            continue;
+          }
+          let chunk = event.text;
+          if (held !== null) {
+            held += chunk;
+            if (held.length < 500) continue;
+            chunk = stitchContinuation(text, held);
+            held = null;
+          }
+          text += chunk;
+          yield chunk;
+        }
+        if (held) {
+          const chunk = stitchContinuation(text, held);
+          text += chunk;
+          yield chunk;
+        }
+        const outcome = roundOutcome(finish, settings, round);
+        if (outcome === 'continue') continue;
+        if (outcome === 'done' && !continueFrom) await writeCachedResponse(describe(prompt, settings), text);
+        return;
+      }
+    }
+  };
+}
+
+function geminiFinish(response) {
+  return {
+    finishReason: response.candidates?.[0]?.finishReason,
+    usage: { input: response.usageMetadata?.promptTokenCount, output: response.usageMetadata?.candidatesTokenCount }
+  };
+}
+
+async function generateWithGemini({ apiKey, model, prompt, settings, signal }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const geminiModel = genAI.getGenerativeModel({ model, generationConfig: settings });
+  const result = await geminiModel.generateContent([{ text: prompt }], { signal });
+  const response = await result.response;
+  return { text: response.text(), ...geminiFinish(response) };
+}
+
+async function* streamWithGemini({ apiKey, model, prompt, settings, signal }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const geminiModel = genAI.getGenerativeModel({ model, generationConfig: settings });
+  const result = await geminiModel.generateContentStream([{ text: prompt }], { signal });
+  for await (const chunk of result.stream) {
+    yield { text: chunk.text() };
+  }
+  yield geminiFinish(await result.response);
+}
+
+function openAIFinish(data) {
+  return {
+    finishReason: data.choices?.[0]?.finish_reason,
+    usage: { input: data.usage?.prompt_tokens, output: data.usage?.completion_tokens }
+  };
+}
+
+async function generateWithOpenAI({ apiKey, model, baseUrl, prompt, settings, signal }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const data = await postJson(`${baseUrl}/chat/completions`, headers, {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: settings.temperature,
+    top_p: settings.topP,
+    max_tokens: settings.maxOutputTokens
+  }, 'OpenAI', signal);
+  return { text: data.choices?.[0]?.message?.content || '', ...openAIFinish(data) };
+}
+
+async function* streamWithOpenAI({ apiKey, model, baseUrl, prompt, settings, signal }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const response = await post(`${baseUrl}/chat/completions`, headers, {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: settings.temperature,
+    top_p: settings.topP,
+    max_tokens: settings.maxOutputTokens,
+    stream: true
+  }, 'OpenAI', signal);
+  let finish = {};
+  for await (const data of readEvents(response, 'OpenAI')) {
+    const text = data.choices?.[0]?.delta?.content;
+    if (text) yield { text };
+    // The finish reason and the usage may arrive in separate chunks
+    const next = openAIFinish(data);
+    finish = {
+      finishReason: next.finishReason || finish.finishReason,
+      usage: data.usage ? next.usage : finish.usage
+    };
+  }
+  yield finish;
+}
+
+async function generateWithAnthropic({ apiKey, model, baseUrl, prompt, settings, signal }) {
+  const data = await postJson(`${baseUrl}/messages`, {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01'
+  }, {
+    model,
+    max_tokens: settings.maxOutputTokens || 4096,
+    temperature: settings.temperature,
+    top_p: settings.topP,
+    top_k: settings.topK,
+    messages: [{ role: 'user', content: prompt }]
+  }, 'Anthropic', signal);
+  return {
+    text: (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join(''),
+    finishReason: data.stop_reason,
+    usage: { input: data.usage?.input_tokens, output: data.usage?.output_tokens }
+  };
+}
+
+async function* streamWithAnthropic({ apiKey, model, baseUrl, prompt, settings, signal }) {
+  const response = await post(`${baseUrl}/messages`, {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01'
+  }, {
+    model,
+    max_tokens: settings.maxOutputTokens || 4096,
+    temperature: settings.temperature,
+    top_p: settings.topP,
+    top_k: settings.topK,
+    messages: [{ role: 'user', content: prompt }],
+    stream: true
+  }, 'Anthropic', signal);
+  const finish = { finishReason: null, usage: {} };
+  for await (const data of readEvents(response, 'Anthropic')) {
+    if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') yield { text: data.delta.text };
+    if (data.type === 'message_start') finish.usage.input = data.message?.usage?.input_tokens;
+    if (data.type === 'message_delta') {
+      finish.finishReason = data.delta?.stop_reason;
+      finish.usage.output = data.usage?.output_tokens;
+    }
+  }
+  yield finish;
+}
+
+function ollamaFinish(data) {
+  return { finishReason: data.done_reason, usage: { input: data.prompt_eval_count, output: data.eval_count } };
+}
+
+async function generateWithOllama({ apiKey, model, baseUrl, prompt, settings, signal }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const data = await postJson(`${baseUrl}/api/generate`, headers, {
+    model,
+    prompt,
+    stream: false,
+    options: {
+      temperature: settings.temperature,
+      top_p: settings.topP,
+      top_k: settings.topK,
+      num_predict: settings.maxOutputTokens
+    }
+  }, 'Ollama', signal);
+  return { text: data.response || '', ...ollamaFinish(data) };
+}
+
+async function* streamWithOllama({ apiKey, model, baseUrl, prompt, settings, signal }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const response = await post(`${baseUrl}/api/generate`, headers, {
+    model,
+    prompt,
+    stream: true,
+    options: {
+      temperature: settings.temperature,
+      top_p: settings.topP,
+      top_k: settings.topK,
+      num_predict: settings.maxOutputTokens
+    }
+  }, 'Ollama', signal);
+  for await (const data of readEvents(response, 'Ollama')) {
+    if (data.response) yield { text: data.response };
+    if (data.done) yield ollamaFinish(data);
+  }
+}
+
+function parseBody(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return { raw: text };
+  }
+}
+
+async function post(url, headers, body, label, signal) {
+  return send(url, { method: 'POST', headers, body: JSON.stringify(body), signal }, label);
+}
+
+async function getJson(url, headers, label, signal) {
+  const response = await send(url, { headers, signal }, label);
+  return parseBody(await response.text());
+}
+
+async function send(url, init, label) {
+  const response = await fetch(url, init);
+  if (!response.ok) {
+    const data = parseBody(await response.text());
+    const message = data.error?.message || data.error || data.raw || response.statusText;
+    const error = new Error(`${label} API error (${response.status}): ${message}`);
+    error.status = response.status;
+    error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    throw error;
+  }
+  return response;
+}
+
+async function postJson(url, headers, body, label, signal) {
+  const response = await post(url, headers, body, label, signal);
+  return parseBody(await response.text());
+}
+
+// JSON payloads of a server-sent event stream (`data: {...}`) or of newline-delimited JSON
+async function* readEvents(response, label) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const parse = line => {
+    const payload = line.replace(/^data:\s*/, '');
+    if (!payload || payload === '[DONE]' || /^(event|id|retry):|^:/.test(line)) return null;
+    const data = parseBody(payload);
+    if (data.error || data.type === 'error') {
+      throw new Error(`${label} API error: ${data.error?.message || data.error}`);
+    }
+    return data;
+  };
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = parse(line.trim());
+      if (data) yield data;
+    }
+  }
+  const data = parse((buffer + decoder.decode()).trim());
+  if (data) yield data;
+}
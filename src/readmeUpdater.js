@@ -1,98 +1,66 @@
 import fs from 'fs/promises';
 import { existsSync } from 'fs';
+import { getBinEntries } from './utils.js';
+import { findFlagDrift } from './cli.js';
+import { checkFacts } from './facts.js';
+import { parseMarkdown, splitMarkdown, nodeText, visitNodes } from './markdown.js';
 
 // Analyzes existing README structure and sections
 export async function analyzeExistingReadme(filePath = 'README.md') {
   if (!existsSync(filePath)) return null;
   const content = await fs.readFile(filePath, 'utf-8');
+  const tree = parseMarkdown(content);
   return {
     exists: true,
     content,
-    sections: extractSections(content),
-    metadata: extractMetadata(content),
-    customSections: identifyCustomSections(content),
-    structure: analyzeStructure(content)
+    sections: extractSections(content, tree),
+    metadata: extractMetadata(content, tree),
+    customSections: identifyCustomSections(content, tree),
+    structure: analyzeStructure(content, tree)
   };
 }
 
-// Extract markdown sections
-function extractSections(content) {
-  const sections = [];
-  const lines = content.split('\n');
-  let currentSection = null;
-  let currentContent = [];
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const headerMatch = line.match(/^(#{1,6})\s+(.+)$/);
-    
-    if (headerMatch) {
-      if (currentSection) {
-        sections.push({
-          ...currentSection,
-          content: currentContent.join('\n').trim(),
-          endLine: i - 1
-        });
-      }
-      currentSection = {
-        level: headerMatch[1].length,
-        title: headerMatch[2].trim(),
-        startLine: i,
-        rawTitle: line
-      };
-      currentContent = [];
-    } else if (currentSection) {
-      currentContent.push(line);
-    }
-  }
-  
-  if (currentSection) {
-    sections.push({
-      ...currentSection,
-      content: currentContent.join('\n').trim(),
-      endLine: lines.length - 1
-    });
-  }
-  
-  return sections;
+// Extract markdown sections from the AST, headings inside code blocks are not sections
+function extractSections(content, tree) {
+  return splitMarkdown(content, tree).sections;
 }
 
 // Extract metadata (badges, version, links)
-function extractMetadata(content) {
+function extractMetadata(content, tree = parseMarkdown(content)) {
   const metadata = { badges: [], version: null, links: [], hasTableOfContents: false };
-  const badgeRegex = /!\[([^\]]*)\]\(([^)]+)\)/g;
-  let match;
-  while ((match = badgeRegex.exec(content)) !== null) {
-    metadata.badges.push({ alt: match[1], url: match[2] });
-  }
-  const versionMatch = content.match(/version[:\s]+(\d+\.\d+\.\d+)/i) || content.match(/v(\d+\.\d+\.\d+)/);
-  if (versionMatch) metadata.version = versionMatch[1];
-  const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-  while ((match = linkRegex.exec(content)) !== null) {
-    if (match[2].startsWith('http') || match[2].startsWith('#')) {
-      metadata.links.push({ text: match[1], url: match[2] });
+  const definitions = new Map();
+  visitNodes(tree, node => {
+    if (node.type === 'definition') definitions.set(node.identifier, node.url);
+  });
+
+  const textParts = [];
+  visitNodes(tree, node => {
+    if (node.type === 'image') {
+      metadata.badges.push({ alt: node.alt || '', url: node.url });
+    } else if (node.type === 'imageReference' && definitions.has(node.identifier)) {
+      metadata.badges.push({ alt: node.alt || '', url: definitions.get(node.identifier) });
+    } else if (node.type === 'link' && (node.url.startsWith('http') || node.url.startsWith('#'))) {
+      metadata.links.push({ text: nodeText(node), url: node.url });
+    } else if (node.type === 'heading' && /^table of contents$/i.test(nodeText(node).trim())) {
+      metadata.hasTableOfContents = true;
+    } else if (node.type === 'text' || node.type === 'inlineCode') {
+      textParts.push(node.value);
     }
-  }
-  metadata.hasTableOfContents = /##?\s+Table of Contents/i.test(content);
+  });
+
+  // Prose and inline code only, so versions inside example code blocks are ignored
+  const text = textParts.join('\n');
+  const versionMatch = text.match(/version[:\s]+(\d+\.\d+\.\d+)/i) || text.match(/v(\d+\.\d+\.\d+)/);
+  if (versionMatch) metadata.version = versionMatch[1];
   return metadata;
 }
 
 // Identify custom (non-standard) sections
-function identifyCustomSections(content) {
-  const standardSections = [
-    'installation', 'install', 'getting started', 'usage', 'features',
-    'requirements', 'prerequisites', 'contributing', 'license', 'documentation',
-    'examples', 'api', 'configuration', 'testing', 'deployment', 'support',
-    'changelog', 'roadmap', 'acknowledgments', 'authors', 'faq', 'troubleshooting'
-  ];
-  const sections = extractSections(content);
+function identifyCustomSections(content, tree) {
+  const sections = extractSections(content, tree);
   const customSections = [];
   for (const section of sections) {
-    const normalizedTitle = section.title.toLowerCase();
-    const isStandard = standardSections.some(std => 
-      normalizedTitle.includes(std) || std.includes(normalizedTitle)
-    );
-    if (!isStandard && section.level <= 2) {
+    if (isCustomSection(section.title) && section.level <= 2) {
       customSections.push({
         title: section.title,
         content: section.content,
@@ -105,17 +73,21 @@ function identifyCustomSections(content) {
 }
 
 // Analyze README structure
-function analyzeStructure(content) {
-  const lines = content.split('\n');
+function analyzeStructure(content, tree) {
+  const counts = { code: 0, table: 0, image: 0, imageReference: 0 };
+  visitNodes(tree, node => {
+    if (node.type in counts) counts[node.type]++;
+  });
+  const firstNode = tree.children.find(node => node.type !== 'yaml' && node.type !== 'toml');
   return {
-    totalLines: lines.length,
-    hasHeader: /^#\s+.+/.test(content),
-    headerStyle: content.startsWith('<div') ? 'html' : 'markdown',
-    hasBadges: /!\[.*\]\(.*\)/.test(content),
-    hasCodeBlocks: /```/.test(content),
-    codeBlockCount: (content.match(/```/g) || []).length / 2,
+    totalLines: content.split('\n').length,
+    hasHeader: firstNode?.type === 'heading' && firstNode.depth === 1,
+    headerStyle: firstNode?.type === 'html' ? 'html' : 'markdown',
+    hasBadges: counts.image + counts.imageReference > 0,
+    hasCodeBlocks: counts.code > 0,
+    codeBlockCount: counts.code,
     hasEmojis: /[\u{1F300}-\u{1F9FF}]/u.test(content),
-    hasTables: /\|.*\|.*\|/.test(content)
+    hasTables: counts.table > 0
   };
 }
 
@@ -131,7 +103,7 @@ export function detectOutdatedInfo(readmeAnalysis, projectInfo) {
         severity: 'medium',
         current: readmeAnalysis.metadata.version,
         expected: projectInfo.version,
-        message: `Version in README (${readmeAnalysis.metadata.version}) doesn't match package.json (${projectInfo.version})`
+        message: `Version in README (${readmeAnalysis.metadata.version}) doesn't match ${projectInfo.manifest || 'package.json'} (${projectInfo.version})`
       });
     }
   }
@@ -146,7 +118,7 @@ export function detectOutdatedInfo(readmeAnalysis, projectInfo) {
           type: 'missing-script',
           severity: 'low',
           script,
-          message: `Package.json has "${script}" script but it's not mentioned in README`
+          message: `${projectInfo.manifest || 'package.json'} has "${script}" script but it's not mentioned in README`
         });
       }
     }
@@ -161,10 +133,61 @@ export function detectOutdatedInfo(readmeAnalysis, projectInfo) {
         severity: 'low',
         current: depMention[1],
         expected: depCount,
-        message: `README mentions ${depMention[1]} dependencies but package.json has ${depCount}`
+        message: `README mentions ${depMention[1]} dependencies but ${projectInfo.manifest || 'package.json'} has ${depCount}`
+      });
+    }
+  }
+
+  for (const [command] of getBinEntries(projectInfo)) {
+    if (!readmeContent.includes(command.toLowerCase())) {
+      issues.push({
+        type: 'missing-bin',
+        severity: 'medium',
+        command,
+        message: `Command "${command}" from ${projectInfo.manifest || 'package.json'} is not documented in README`
+      });
+    }
+  }
+
+  if (projectInfo.envSource === '.env.example') {
+    for (const envVar of projectInfo.envVars || []) {
+      if (!readmeAnalysis.content.includes(envVar)) {
+        issues.push({
+          type: 'missing-env',
+          severity: 'medium',
+          variable: envVar,
+          message: `Environment variable ${envVar} from .env.example is not documented in README`
+        });
+      }
+    }
+  }
+
+  if (projectInfo.cli) {
+    const { unknown, undocumented } = findFlagDrift(readmeAnalysis.content, projectInfo.cli);
+    for (const flag of unknown) {
+      issues.push({
+        type: 'unknown-flag',
+        severity: 'medium',
+        flag,
+        message: `README documents flag ${flag} but the CLI does not define it`
+      });
+    }
+    for (const { command, option } of undocumented) {
+      // The long name stands for the option, `aliases` keeps the short ones
+      const flag = option.flags.reduce((longest, name) => name.length > longest.length ? name : longest);
+      issues.push({
+        type: 'undocumented-flag',
+        severity: 'low',
+        command,
+        flag,
+        aliases: option.flags.filter(name => name !== flag),
+        message: `Flag ${flag} of "${command}" is not documented in README`
       });
     }
   }
+
+  // License, Node.js version, env vars, Docker and test framework claims
+  issues.push(...checkFacts(readmeAnalysis.content, projectInfo));
   return issues;
 }
 
@@ -186,77 +209,193 @@ export function identifySectionsToUpdate(readmeAnalysis, projectInfo) {
   return sectionsToUpdate;
 }
 
-// Merge README content intelligently
+// Merge README content intelligently, sections are copied from their source untouched
 export function mergeReadmeContent(existingContent, newContent, options = {}) {
   const { preserveCustomSections = true, preserveHeader = false, sectionsToUpdate = [] } = options;
-  const existingSections = extractSections(existingContent);
-  const newSections = extractSections(newContent);
-  const mergedSections = [];
-  const processedSectionTitles = new Set();
-  const existingHeader = getHeaderContent(existingContent);
-  const newHeader = getHeaderContent(newContent);
-  const finalHeader = preserveHeader && existingHeader ? existingHeader : newHeader;
-  
-  for (const newSection of newSections) {
-    const normalizedTitle = normalizeTitle(newSection.title);
-    const existingMatch = existingSections.find(s => normalizeTitle(s.title) === normalizedTitle);
-    
-    if (existingMatch && shouldPreserveSection(normalizedTitle, sectionsToUpdate)) {
-      mergedSections.push({ title: existingMatch.rawTitle, content: existingMatch.content, source: 'existing' });
-    } else {
-      mergedSections.push({ title: newSection.rawTitle, content: newSection.content, source: 'new' });
-    }
-    processedSectionTitles.add(normalizedTitle);
+  const existing = splitMarkdown(existingContent);
+  const generated = splitMarkdown(newContent);
+  const findSection = (sections, section) => sections.find(s => normalizeTitle(s.title) === normalizeTitle(section.title));
+
+  const headerSource = preserveHeader && existing.preamble.trim() ? existing : generated;
+  let header = headerSource.preamble;
+  // Front matter belongs to the site the README is published on, never drop it
+  if (existing.frontmatter && !header.includes(existing.frontmatter)) {
+    header = `${existing.frontmatter}\n\n${header.trimStart()}`;
   }
-  
-  if (preserveCustomSections) {
-    for (const existingSection of existingSections) {
-      const normalizedTitle = normalizeTitle(existingSection.title);
-      if (!processedSectionTitles.has(normalizedTitle) && isCustomSection(normalizedTitle)) {
-        mergedSections.push({ title: existingSection.rawTitle, content: existingSection.content, source: 'custom' });
+
+  let merged;
+  if (sectionsToUpdate && sectionsToUpdate.length > 0) {
+    // Selective update: keep the existing layout and swap in only the requested sections
+    merged = existing.sections.map(section => {
+      const replacement = !shouldPreserveSection(normalizeTitle(section.title), sectionsToUpdate) && findSection(generated.sections, section);
+      return replacement && replacement.raw !== section.raw ? replacement : section;
+    });
+  } else {
+    merged = [...generated.sections];
+    const footer = splitFooter(merged[merged.length - 1]);
+    if (preserveCustomSections) {
+      // Custom sections go back after the section they followed, past its subsections
+      let anchor = null;
+      for (const section of existing.sections) {
+        const counterpart = findSection(generated.sections, section);
+        if (counterpart) {
+          anchor = counterpart;
+          continue;
+        }
+        if (!isCustomSection(section.title)) continue;
+        let at = anchor ? merged.indexOf(anchor) + 1 : merged.length;
+        const depth = anchor ? Math.max(anchor.level, section.level) : 0;
+        while (anchor && at < merged.length && merged[at].level > depth) at++;
+        merged.splice(at, 0, section);
+        anchor = section;
       }
     }
+    if (footer) merged.push(footer);
   }
-  
-  let result = finalHeader;
-  for (const section of mergedSections) {
-    result += '\n' + section.title + '\n\n' + section.content + '\n';
+
+  const eol = existingContent.includes('\r\n') ? '\r\n' : '\n';
+  const kept = new Set(existing.sections);
+  let result = '';
+  let previous = null;
+  for (const part of [{ raw: header, next: headerSource.sections[0] }, ...merged]) {
+    if (!part.raw.trim()) continue;
+    // Parts that were not neighbours in their source are separated by a blank line
+    if (result && previous.next !== part && !/\n[ \t]*\r?\n$/.test(result)) {
+      result = result.replace(/\s*$/, eol + eol);
+    }
+    // Generated sections take the line endings of the file they are merged into
+    result += kept.has(part) ? part.raw : part.raw.replace(/\r?\n/g, eol);
+    previous = part;
   }
-  return result.trim() + '\n';
+  // Keep the file's own ending when its last section is unchanged
+  const lastSection = existing.sections[existing.sections.length - 1];
+  return lastSection && merged[merged.length - 1]?.raw === lastSection.raw ? result : result.replace(/\s*$/, eol);
 }
 
-// Extract header content
-function getHeaderContent(content) {
-  const lines = content.split('\n');
-  const headerLines = [];
-  for (const line of lines) {
-    if (/^#{1,6}\s+/.test(line)) break;
-    headerLines.push(line);
-  }
-  return headerLines.join('\n').trim() + '\n\n';
+// Cut a trailing `---` footer off the last generated section, so sections can be placed above it
+function splitFooter(section) {
+  if (!section) return null;
+  const { footer } = outlineLevels(section.raw, 6);
+  if (footer === -1) return null;
+  const lines = section.raw.split('\n');
+  const part = { raw: lines.slice(footer).join('\n'), next: null };
+  section.raw = lines.slice(0, footer).join('\n') + '\n';
+  section.next = part;
+  return part;
 }
 
 // Normalize title for comparison
-function normalizeTitle(title) {
+export function normalizeTitle(title) {
   return title.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
 }
 
+// Top-level headings up to `maxLevel` (ATX or setext) by start line, and a thematic break after the last of them
+function outlineLevels(content, maxLevel) {
+  const headings = [];
+  let footer = -1;
+  for (const node of parseMarkdown(content).children) {
+    if (node.type === 'heading' && node.depth <= maxLevel) {
+      headings.push({ index: node.position.start.line - 1, level: node.depth, title: nodeText(node).trim() });
+      footer = -1;
+    } else if (node.type === 'thematicBreak') {
+      footer = node.position.start.line - 1;
+    }
+  }
+  return { headings, footer };
+}
+
+/**
+ * Replace the `## ` section whose normalized title matches `match`, or insert `section`
+ * before the first heading matching `before`, falling back to above a trailing `---` footer
+ */
+export function upsertSection(content, section, { match, before }) {
+  if (!section) return content;
+
+  const lines = content.split('\n');
+  const { headings, footer } = outlineLevels(content, 2);
+
+  const existing = headings.findIndex(heading => heading.level === 2 && match.test(normalizeTitle(heading.title)));
+  if (existing !== -1) {
+    const end = headings[existing + 1]?.index ?? lines.length;
+    return [...lines.slice(0, headings[existing].index), section, '', ...lines.slice(end)].join('\n').replace(/\n{3,}/g, '\n\n');
+  }
+  const insertAt = headings.find(heading => heading.level === 2 && before.test(normalizeTitle(heading.title)))?.index ?? footer;
+  if (insertAt !== -1) {
+    return [...lines.slice(0, insertAt), section, '', ...lines.slice(insertAt)].join('\n');
+  }
+  return `${content.trimEnd()}\n\n${section}\n`;
+}
+
+// Common heading variants, so a configured "Usage" also matches "Quick Start"
+const SECTION_ALIASES = {
+  installation: ['install', 'getting started', 'setup'],
+  usage: ['quick start', 'quickstart', 'examples'],
+  commands: ['cli commands', 'cli'],
+  'api reference': ['api', 'api documentation', 'api docs'],
+  configuration: ['config', 'options'],
+  scripts: ['available scripts'],
+  testing: ['tests', 'running tests'],
+  contributing: ['contribution', 'contributions'],
+  structure: ['project structure']
+};
+
+export function sectionMatches(name, title) {
+  const wanted = normalizeTitle(name);
+  const normalized = normalizeTitle(title);
+  const aliases = [wanted, ...(SECTION_ALIASES[wanted] || [])];
+  return aliases.some(alias => normalized === alias || normalized.startsWith(`${alias} `));
+}
+
+// An empty list means no restriction
+export function includesSection(sections, name) {
+  return !sections?.length || sections.some(section => sectionMatches(section, name));
+}
+
+/**
+ * Keep only the `## ` sections listed in `sections`, in that order; the title block and a trailing `---` footer stay in place
+ */
+export function arrangeSections(content, sections) {
+  if (!sections?.length) return content;
+
+  const lines = content.split('\n');
+  const outline = outlineLevels(content, 2);
+  const blocks = outline.headings.filter(heading => heading.level === 2).map(heading => ({ start: heading.index, title: heading.title }));
+  const { footer } = outline;
+  if (blocks.length === 0) return content;
+
+  const end = footer !== -1 ? footer : lines.length;
+  const body = blocks.map((block, i) => ({
+    title: block.title,
+    text: lines.slice(block.start, blocks[i + 1]?.start ?? end).join('\n').trim()
+  }));
+  const ordered = [];
+  for (const name of sections) {
+    for (const block of body) {
+      if (!ordered.includes(block) && sectionMatches(name, block.title)) ordered.push(block);
+    }
+  }
+
+  const head = lines.slice(0, blocks[0].start).join('\n').trim();
+  const tail = footer !== -1 ? lines.slice(footer).join('\n').trim() : '';
+  return [head, ...ordered.map(block => block.text), tail].filter(Boolean).join('\n\n') + '\n';
+}
+
 // Check if section should be preserved
 function shouldPreserveSection(normalizedTitle, sectionsToUpdate) {
   if (!sectionsToUpdate || sectionsToUpdate.length === 0) return false;
   return !sectionsToUpdate.some(sectionName => normalizeTitle(sectionName) === normalizedTitle);
 }
 
-// Check if section is custom
-function isCustomSection(normalizedTitle) {
-  const standardSections = [
-    'installation', 'install', 'getting started', 'usage', 'features',
-    'requirements', 'prerequisites', 'contributing', 'license', 'documentation',
-    'examples', 'api', 'configuration', 'testing', 'deployment', 'support',
-    'changelog', 'roadmap', 'acknowledgments', 'authors', 'faq', 'troubleshooting',
-    'description', 'about', 'commands', 'options', 'how it works'
-  ];
-  return !standardSections.some(std => normalizedTitle.includes(std) || std.includes(normalizedTitle));
+const STANDARD_SECTIONS = [
+  'installation', 'getting started', 'usage', 'features', 'requirements', 'prerequisites',
+  'contributing', 'license', 'documentation', 'examples', 'api reference', 'configuration',
+  'testing', 'deployment', 'support', 'changelog', 'roadmap', 'acknowledgments', 'authors',
+  'faq', 'troubleshooting', 'description', 'about', 'commands', 'how it works'
+];
+
+// Standard sections match by title or alias like `sectionMatches`, "My Custom API Notes" stays custom
+function isCustomSection(title) {
+  return !STANDARD_SECTIONS.some(name => sectionMatches(name, title));
 }
 
 // Create diff summary
@@ -0,0 +1,204 @@
+import { ReadmiError, EXIT_CODES } from './utils.js';
+import { normalizeTitle, sectionMatches } from './readmeUpdater.js';
+import { parseMarkdown, nodeText, literalLines } from './markdown.js';
+
+const MARKER_PATTERN = /^[ \t]*<!--\s*readmi:(start|end)\s+(\S+)\s*-->[ \t]*\r?$/;
+
+export function startMarker(id) {
+  return `<!-- readmi:start ${id} -->`;
+}
+
+export function endMarker(id) {
+  return `<!-- readmi:end ${id} -->`;
+}
+
+/**
+ * Find `<!-- readmi:start id -->` / `<!-- readmi:end id -->` pairs, markers inside code blocks are ignored.
+ * Returns line ranges including the marker lines, throws on nested, unbalanced or duplicate markers
+ */
+export function parseRegions(content) {
+  const regions = [];
+  let open = null;
+  const literal = literalLines(parseMarkdown(content));
+  content.split('\n').forEach((line, index) => {
+    if (literal.has(index)) return;
+    const marker = line.match(MARKER_PATTERN);
+    if (!marker) return;
+    const [, kind, id] = marker;
+    if (kind === 'start') {
+      if (open) {
+        throw new ReadmiError(`README region "${id}" starts on line ${index + 1} before "${open.id}" is closed`, EXIT_CODES.FAILURE);
+      }
+      if (regions.some(region => region.id === id)) {
+        throw new ReadmiError(`README region "${id}" appears twice (line ${index + 1})`, EXIT_CODES.FAILURE);
+      }
+      open = { id, startLine: index };
+    } else {
+      if (!open || open.id !== id) {
+        throw new ReadmiError(`README region end "${id}" on line ${index + 1} has no matching start`, EXIT_CODES.FAILURE);
+      }
+      regions.push({ ...open, endLine: index });
+      open = null;
+    }
+  });
+  if (open) {
+    throw new ReadmiError(`README region "${open.id}" starting on line ${open.startLine + 1} is never closed`, EXIT_CODES.FAILURE);
+  }
+  return regions;
+}
+
+export function isRegionMarker(line) {
+  return MARKER_PATTERN.test(line);
+}
+
+export function hasRegions(content) {
+  return parseRegions(content).length > 0;
+}
+
+export function stripRegionMarkers(content) {
+  const literal = literalLines(parseMarkdown(content));
+  return content.split('\n').filter((line, index) => literal.has(index) || !MARKER_PATTERN.test(line)).join('\n');
+}
+
+// Unicode aware so translated headings keep readable ids
+function toRegionId(title, used) {
+  const base = title.toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, '').trim().replace(/\s+/g, '-') || 'section';
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+  used.add(id);
+  return id;
+}
+
+/**
+ * Split the unmanaged parts of a README into the title block, level-2 sections (ATX or setext) and a
+ * trailing thematic break footer. Blocks are line ranges without trailing blank lines. Front matter,
+ * HTML before the title and text already inside a region are never part of a block
+ */
+export function listSections(content) {
+  const lines = content.split('\n');
+  const regions = parseRegions(content);
+  const inRegion = index => regions.some(region => index >= region.startLine && index <= region.endLine);
+  const tree = parseMarkdown(content);
+  const startLine = node => node.position.start.line - 1;
+
+  const headings = new Map();
+  let footer = -1;
+  for (const node of tree.children) {
+    if (inRegion(startLine(node))) continue;
+    if (node.type === 'heading' && node.depth === 2) {
+      headings.set(startLine(node), nodeText(node).trim());
+      footer = -1;
+    } else if (node.type === 'thematicBreak') {
+      footer = startLine(node);
+    }
+  }
+  const firstHeading = Math.min(...headings.keys(), Infinity);
+  const frontmatter = tree.children.find(node => node.type === 'yaml' || node.type === 'toml');
+  const title = tree.children.find(node => node.type === 'heading' && node.depth === 1 && startLine(node) < firstHeading);
+  // A logo or other HTML above the title is the author's, the title block starts at the title
+  const headerStart = title ? startLine(title) : frontmatter ? frontmatter.position.end.line : 0;
+
+  const used = new Set(['header', 'footer', ...regions.map(region => region.id)]);
+  const blocks = [];
+  let current = null;
+  const close = () => {
+    if (current) {
+      while (current.endLine >= current.startLine && !lines[current.endLine].trim()) current.endLine--;
+      if (current.endLine >= current.startLine) blocks.push(current);
+    }
+    current = null;
+  };
+
+  lines.forEach((line, index) => {
+    if (inRegion(index)) {
+      close();
+      return;
+    }
+    if (headings.has(index)) {
+      close();
+      const heading = headings.get(index);
+      current = { id: toRegionId(heading, used), title: heading, startLine: index, endLine: index };
+      return;
+    }
+    if (index === footer) {
+      close();
+      current = { id: 'footer', title: 'Footer', startLine: index, endLine: index };
+      return;
+    }
+    if (current) {
+      current.endLine = index;
+    } else if (line.trim() && index >= headerStart && index < firstHeading && !blocks.some(block => block.id === 'header') && !regions.some(region => region.startLine < index)) {
+      current = { id: 'header', title: title ? nodeText(title).trim() : 'Header', startLine: index, endLine: index };
+    }
+  });
+  close();
+  return blocks;
+}
+
+/**
+ * Wrap the given blocks from `listSections` in markers, every other byte is kept as-is
+ */
+export function adoptSections(content, blocks) {
+  const lines = content.split('\n');
+  const eol = content.includes('\r\n') ? '\r' : '';
+  for (const block of [...blocks].sort((a, b) => b.startLine - a.startLine)) {
+    lines.splice(block.endLine + 1, 0, endMarker(block.id) + eol);
+    lines.splice(block.startLine, 0, startMarker(block.id) + eol);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Wrap every section of freshly generated content in managed regions
+ */
+export function wrapRegions(content) {
+  const plain = stripRegionMarkers(content);
+  return adoptSections(plain, listSections(plain));
+}
+
+function regionTitle(lines, region) {
+  const body = parseMarkdown(lines.slice(region.startLine + 1, region.endLine).join('\n'));
+  const heading = body.children.find(node => node.type === 'heading' && node.depth <= 2);
+  return heading ? nodeText(heading).trim() : region.id.replace(/-/g, ' ');
+}
+
+/**
+ * Replace the inside of each region in `existing` with the matching region of `generated`, matched by id
+ * and then by heading. Text outside markers is preserved byte-for-byte. `sections` limits which regions change
+ */
+export function replaceRegions(existing, generated, { sections = null } = {}) {
+  const lines = existing.split('\n');
+  const eol = existing.includes('\r\n') ? '\r' : '';
+  const generatedLines = generated.split('\n');
+  const candidates = parseRegions(generated).map(region => ({
+    id: region.id,
+    title: regionTitle(generatedLines, region),
+    body: generatedLines.slice(region.startLine + 1, region.endLine).map(line => line.replace(/\r$/, '') + eol)
+  }));
+
+  const used = new Set();
+  const replaced = [];
+  const regions = parseRegions(existing);
+  const replacements = [];
+  for (const region of regions) {
+    const title = regionTitle(lines, region);
+    if (sections && !sections.some(name => sectionMatches(name, title) || normalizeTitle(name) === normalizeTitle(region.id))) continue;
+    const match = candidates.find(candidate => !used.has(candidate) && candidate.id === region.id) ||
+      candidates.find(candidate => !used.has(candidate) && (sectionMatches(title, candidate.title) || sectionMatches(candidate.title, title)));
+    if (!match) continue;
+    used.add(match);
+    replacements.push({ region, body: match.body });
+    replaced.push(region.id);
+  }
+
+  for (const { region, body } of replacements.sort((a, b) => b.region.startLine - a.region.startLine)) {
+    lines.splice(region.startLine + 1, region.endLine - region.startLine - 1, ...body);
+  }
+
+  return {
+    content: lines.join('\n'),
+    replaced,
+    kept: regions.map(region => region.id).filter(id => !replaced.includes(id)),
+    unplaced: sections ? [] : candidates.filter(candidate => !used.has(candidate)).map(candidate => candidate.title)
+  };
+}
@@ -0,0 +1,187 @@
+import { ReadmiError, EXIT_CODES } from './utils.js';
+
+export const DEFAULT_REQUEST_TIMEOUT = 120000;
+export const DEFAULT_RETRIES = 3;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 30000;
+// A longer retry-after means a quota window, not a blip worth waiting for
+const MAX_RETRY_AFTER = 60000;
+
+export const ERROR_KINDS = ['invalid-key', 'quota', 'safety', 'model-not-found', 'network', 'cancelled'];
+
+export class ModelError extends ReadmiError {
+  constructor(message, kind, { status = null, retryAfter = null, retryable = false } = {}) {
+    super(message, kind === 'cancelled' ? EXIT_CODES.CANCELLED : EXIT_CODES.FAILURE);
+    this.name = 'ModelError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.retryable = retryable;
+  }
+}
+
+let requestOptions = { timeout: DEFAULT_REQUEST_TIMEOUT, retries: DEFAULT_RETRIES, onRetry: null, onTruncated: null };
+const active = new Set();
+
+export function setRequestOptions(options) {
+  requestOptions = { ...requestOptions, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null)) };
+}
+
+// A response stopped at the token limit, providers continue it up to `max` times
+export function reportTruncation(info) {
+  requestOptions.onTruncated?.(info);
+}
+
+/**
+ * Abort every model request in flight (Ctrl+C), returns false when there was none
+ */
+export function cancelRequests() {
+  for (const controller of active) controller.abort(new ModelError('Cancelled', 'cancelled'));
+  return active.size > 0;
+}
+
+// Seconds or an HTTP date from a Retry-After header, Gemini puts "17s" in its RetryInfo details
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?s?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function retryAfterOf(error) {
+  const info = error.errorDetails?.find?.(detail => String(detail['@type']).endsWith('RetryInfo'));
+  return error.retryAfter ?? parseRetryAfter(info?.retryDelay);
+}
+
+/**
+ * Sort a provider, SDK or network failure into one of ERROR_KINDS, deciding whether another attempt can help
+ */
+export function classifyError(error) {
+  if (error instanceof ModelError) return error;
+  // fetch reports "fetch failed", the socket error is in its cause
+  const message = (error?.message || String(error)) + (error?.cause?.message ? ` (${error.cause.message})` : '');
+  const status = error?.status ?? null;
+  const code = error?.cause?.code || error?.code;
+  const retryAfter = retryAfterOf(error || {});
+  const create = (kind, retryable = false) => new ModelError(message, kind, { status, retryAfter, retryable });
+
+  // Nothing listens at the address, retrying will not change that
+  if (['ECONNREFUSED', 'ENOTFOUND'].includes(code)) return create('network');
+  if (!status && /\bSAFETY\b|blocked|content[_ ]filter|refus(al|ed)/i.test(message)) return create('safety');
+  if (status === 401 || status === 403 || /API_KEY_INVALID|api key not valid|invalid (x-)?api[ _-]?key|incorrect api key|authentication/i.test(message)) {
+    return create('invalid-key');
+  }
+  if (status === 429 || /quota|RESOURCE_EXHAUSTED|rate[ _-]?limit/i.test(message)) {
+    return create('quota', !/insufficient_quota|billing|credit balance/i.test(message));
+  }
+  if (status === 404 || /not found|does not exist|no such model|unknown model/i.test(message)) return create('model-not-found');
+  if (status === 408 || status >= 500 || /fetch failed|terminated|socket|network|timed out|did not respond|overloaded|unavailable|ECONNRESET|ETIMEDOUT|EAI_AGAIN|EPIPE/i.test(message)) {
+    return create('network', true);
+  }
+  return error instanceof Error ? error : new Error(message);
+}
+
+function backoff(attempt, retryAfter) {
+  if (retryAfter !== null && retryAfter !== undefined) return retryAfter;
+  const delay = Math.min(BASE_DELAY * 2 ** attempt, MAX_DELAY);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// One abortable attempt whose timer restarts on every `touch`, so streams time out on silence, not on length
+function createAttempt(label) {
+  const controller = new AbortController();
+  let timer = null;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      controller.abort(new ModelError(`${label} did not respond within ${requestOptions.timeout / 1000}s`, 'network', { retryable: true }));
+    }, requestOptions.timeout);
+  };
+  active.add(controller);
+  touch();
+  return {
+    signal: controller.signal,
+    touch,
+    done() {
+      clearTimeout(timer);
+      active.delete(controller);
+    },
+    // SDKs wrap the abort in their own error, the reason says what happened
+    fail(error) {
+      return classifyError(controller.signal.aborted ? controller.signal.reason : error);
+    }
+  };
+}
+
+async function waitBeforeRetry(error, attempt, label) {
+  const delay = backoff(attempt, error.retryAfter);
+  if (attempt >= requestOptions.retries || !error.retryable || delay > MAX_RETRY_AFTER) return false;
+  requestOptions.onRetry?.({ error, label, attempt: attempt + 1, retries: requestOptions.retries, delay });
+  const controller = new AbortController();
+  active.add(controller);
+  try {
+    await sleep(delay, controller.signal);
+  } finally {
+    active.delete(controller);
+  }
+  return true;
+}
+
+/**
+ * Run `call(signal)` with a timeout, retrying transient failures (429, 5xx, dropped connections)
+ * with exponential backoff and jitter, or after the server's retry-after
+ */
+export async function requestWithRetries(call, label = 'Model') {
+  for (let attempt = 0; ; attempt++) {
+    const current = createAttempt(label);
+    try {
+      return await call(current.signal);
+    } catch (error) {
+      const classified = current.fail(error);
+      current.done();
+      if (!await waitBeforeRetry(classified, attempt, label)) throw classified;
+    } finally {
+      current.done();
+    }
+  }
+}
+
+/**
+ * Streaming counterpart of `requestWithRetries`. Only a stream that failed before its first chunk
+ * is retried, afterwards the caller already holds part of the answer
+ */
+export async function* streamWithRetries(open, label = 'Model') {
+  for (let attempt = 0; ; attempt++) {
+    const current = createAttempt(label);
+    let received = false;
+    try {
+      for await (const chunk of open(current.signal)) {
+        received = true;
+        current.touch();
+        yield chunk;
+      }
+      return;
+    } catch (error) {
+      const classified = current.fail(error);
+      current.done();
+      if (received || !await waitBeforeRetry(classified, attempt, label)) throw classified;
+    } finally {
+      current.done();
+    }
+  }
+}
@@ -0,0 +1,72 @@
+// Returns the text between the bracket at `start` and its partner, skipping strings and nested brackets
+export function readBalanced(content, start) {
+  const open = content[start];
+  const close = { '(': ')', '{': '}', '[': ']', '<': '>' }[open];
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close && --depth === 0) {
+      return { text: content.slice(start + 1, i), end: i };
+    }
+  }
+  return { text: content.slice(start + 1), end: content.length };
+}
+
+export function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') current += text[i++];
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if ('([{<'.includes(char)) {
+      depth++;
+    } else if (')]}>'.includes(char) && !(char === '>' && text[i - 1] === '=')) {
+      depth--;
+    } else if (char === separator && depth === 0 && !(separator === '=' && (/[=>]/.test(text[i + 1] || '') || /[=!<>]/.test(text[i - 1] || '')))) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+export function stripComments(text) {
+  return text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:])\/\/.*$/gm, '$1');
+}
+
+// Value of a plain string literal, or null for expressions and interpolated templates
+export function parseStringLiteral(text) {
+  const match = text.trim().match(/^(['"`])([\s\S]*)\1$/);
+  if (!match || (match[1] === '`' && match[2].includes('${'))) return null;
+  return match[2].replace(/\\(['"`\\])/g, '$1').replace(/\\n/g, '\n');
+}
+
+// Top-level `key: value` pairs of an object literal body; shorthand entries map to themselves
+export function parseObjectLiteral(text) {
+  const entries = [];
+  for (const item of splitTopLevel(stripComments(text))) {
+    const [key, ...rest] = splitTopLevel(item, ':');
+    const name = parseStringLiteral(key) ?? key.trim();
+    if (name) entries.push([name, rest.length > 0 ? rest.join(':').trim() : name]);
+  }
+  return entries;
+}
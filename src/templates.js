@@ -0,0 +1,282 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, basename } from 'path';
+import chalk from 'chalk';
+import { ReadmiError, EXIT_CODES } from './utils.js';
+
+export const TEMPLATES_DIR = join('.readmi', 'templates');
+
+// Values available to every template as {{name}}
+export const PLACEHOLDERS = {
+  name: 'Project display name',
+  packageName: 'Package name from the manifest',
+  description: 'Project description',
+  version: 'Project version',
+  license: 'License identifier',
+  repository: 'Repository URL',
+  homepage: 'Homepage URL',
+  author: 'Author',
+  keywords: 'Comma-separated keywords',
+  language: 'Name of the README language',
+  languageCode: 'Code of the README language',
+  manifest: 'Manifest file, e.g. package.json',
+  ecosystem: 'Ecosystem label, e.g. Node.js',
+  installCommand: 'Install command',
+  devInstallCommand: 'Development setup command',
+  testCommand: 'Test command',
+  runCommand: 'Run command',
+  codeLanguage: 'Code fence language for examples',
+  usageExample: 'Placeholder usage snippet for the ecosystem',
+  scripts: 'Scripts as a markdown list of run commands',
+  envVars: 'Environment variables as a markdown list',
+  dependencies: 'Comma-separated runtime dependencies',
+  badges: 'Suggested badges',
+  tone: 'Tone guideline from the project config',
+  visuals: 'Visual elements to use, badges are left out when disabled',
+  context: 'Full project information block',
+  sourceCode: 'Ranked source code block',
+  settings: 'Section order and instructions from the project config',
+  sections: 'Numbered section instructions (prompt.md only)'
+};
+
+// Section instructions in prompt order, numbered and indented when rendered into {{sections}}
+export const DEFAULT_SECTION_TEMPLATES = {
+  title: `**Title & Description** (REQUIRED)
+- Use the project name: "{{name}}"
+- Write a clear, engaging description based on what the code actually does
+- Add relevant badges only if applicable (format them properly on one line)
+- Include version if available
+- Make it visually appealing with proper formatting`,
+  features: `**Features** (REQUIRED if you can identify them from code)
+- List 3-5 actual features extracted from the source code
+- Use bullet points with emojis (✨, 🚀, ⚡, etc.) to make it visually appealing
+- Be specific about what the project does, not generic
+- Focus on unique capabilities
+- Format: • ✨ Feature description`,
+  installation: `**Installation** (REQUIRED)
+- Provide accurate installation steps based on the project type
+- Include prerequisites if needed
+- Use the {{ecosystem}} tooling listed under ECOSYSTEM, never commands from another ecosystem
+- Show the actual installation command in a \`\`\`bash code block
+- Example format:
+  \`\`\`bash
+  {{installCommand}}
+  \`\`\``,
+  usage: `**Usage/Quick Start** (REQUIRED)
+- Show a minimal working example
+- Extract actual usage patterns from the source code
+- Include code examples in proper code blocks with language tags
+- For CLI tools: show actual commands in \`\`\`bash blocks (a full "Commands" table is added automatically when CLI COMMANDS are listed)
+- For libraries: show import/require and basic usage in appropriate language blocks (\`\`\`javascript, \`\`\`python, etc.)
+- Example format:
+  \`\`\`{{codeLanguage}}
+  {{usageExample}}
+  \`\`\``,
+  configuration: `**Configuration** (ONLY if env vars or config files exist)
+- Document environment variables if detected
+- Show configuration examples in \`\`\`json or \`\`\`env code blocks
+- Format environment variables clearly`,
+  scripts: `**Scripts/Commands** (ONLY if scripts exist in {{manifest}})
+- List available scripts with their exact run commands and brief descriptions`,
+  testing: `**Testing** (ONLY if tests are detected)
+- Show how to run tests (\`{{testCommand}}\`)
+- Brief testing instructions`,
+  contributing: `**Contributing** (OPTIONAL - can be brief)
+- Basic contribution guidelines`,
+  license: `**License** (ONLY if a license is listed under PROJECT INFORMATION)
+- State exactly that license, never assume one`,
+  additional: `**Additional Sections** (ONLY if relevant)
+- API Documentation (if it's an API/library and no PUBLIC API is listed; otherwise an "API Reference" section is added automatically, do not write one)
+- Deployment (if it's a web app)
+- Architecture (if complex enough to warrant it)
+- Packages (REQUIRED if WORKSPACE PACKAGES are listed): a table linking each package to its README with a one-line summary`
+};
+
+export const DEFAULT_PROMPT_TEMPLATE = `You are an expert technical writer. Create a professional, concise, and accurate README.md for the project "{{name}}" in {{language}}.
+
+IMPORTANT:
+- Use the project name "{{name}}" (not the package name unless they're the same)
+- Analyze the source code provided to understand what the project actually does
+- Only include sections that are relevant and useful
+- Be selective - a good README is concise and focused
+- Extract actual features from the code, not generic ones
+- Use real examples from the codebase when possible
+
+{{context}}{{sourceCode}}{{settings}}
+
+Suggested Badges (only use if relevant):
+{{badges}}
+
+=== README REQUIREMENTS ===
+
+Create a README with ONLY the following sections (skip sections that don't apply):
+
+{{sections}}
+
+=== CODE BLOCK FORMATTING ===
+CRITICAL: All code examples MUST be properly formatted:
+- Installation commands: Use \`\`\`bash code blocks
+- Code examples: Use appropriate language tags (\`\`\`javascript, \`\`\`python, \`\`\`typescript, etc.)
+- Configuration examples: Use \`\`\`json or \`\`\`yaml
+- CLI commands: Use \`\`\`bash
+- NEVER leave code blocks without language tags
+- NEVER use \`\`\`markdown for code examples
+- Ensure every code block has proper opening and closing tags
+
+=== STYLE GUIDELINES ===
+- {{tone}}
+- Include code examples with proper syntax highlighting (ALWAYS use language tags)
+- Use emojis in section headers (🚀, ✨, 📦, 🎮, etc.) to make it visually appealing
+- Keep it concise but informative
+- Ensure all code examples are accurate and work
+- Use proper markdown formatting with good spacing
+- Make it scannable with clear headings
+- Add visual interest with {{visuals}}
+- DO NOT include a Table of Contents section
+
+=== OUTPUT FORMAT ===
+CRITICAL FORMATTING RULES:
+- Write clean markdown - DO NOT wrap the entire README in code blocks
+- DO NOT start the output with \`\`\`bash or any code block markers
+- DO NOT end the output with \`\`\`bash or any code block markers
+- The output should start directly with: # {{name}}
+- Only use code blocks (\`\`\`bash, \`\`\`javascript, etc.) INSIDE the README for actual code examples
+- The entire README content should be plain markdown, not wrapped in code blocks
+- Use the actual project name "{{name}}" throughout
+- Focus on what makes this project useful and unique
+- Make it visually appealing with proper formatting
+- NO Table of Contents should be included
+- Example of correct start: # {{name}}\n\nDescription here...
+- Example of WRONG start: \`\`\`bash\n# {{name}}`;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Fill {{placeholders}}, multi-line values are indented to match the line they are placed on
+ */
+export function renderTemplate(template, data) {
+  return template.split('\n').map(line => {
+    const indent = line.match(/^\s*/)[0];
+    return line.replace(PLACEHOLDER_PATTERN, (match, key) => {
+      if (!Object.hasOwn(data, key)) return match;
+      return String(data[key] ?? '').replace(/\n/g, `\n${indent}`);
+    });
+  }).join('\n');
+}
+
+// Own keys only, so {{constructor}} is not mistaken for a placeholder
+function findUnknownPlaceholders(template) {
+  return [...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]).filter(key => !Object.hasOwn(PLACEHOLDERS, key));
+}
+
+// Overrides plus one message per file with unknown placeholders, null without overrides
+async function readTemplates(dir) {
+  const templatesDir = join(dir, TEMPLATES_DIR);
+  if (!existsSync(templatesDir)) return null;
+
+  const files = (await fs.readdir(templatesDir)).filter(file => file.endsWith('.md')).sort();
+  if (files.length === 0) return null;
+
+  const templates = { prompt: null, sections: {} };
+  const problems = [];
+  for (const file of files) {
+    const content = (await fs.readFile(join(templatesDir, file), 'utf8')).trim();
+    const unknown = findUnknownPlaceholders(content);
+    if (unknown.length > 0) {
+      problems.push(`Unknown placeholder ${unknown.map(key => `{{${key}}}`).join(', ')} in ${join(TEMPLATES_DIR, file)}`);
+    }
+    const name = basename(file, '.md');
+    if (name === 'prompt') {
+      templates.prompt = content;
+    } else {
+      templates.sections[name] = content;
+    }
+  }
+  return { templates, problems };
+}
+
+/**
+ * Load overrides from `.readmi/templates`: `prompt.md` replaces the whole prompt, any other
+ * `<section>.md` replaces or adds a section and an empty file drops it. Returns null without overrides
+ */
+export async function loadTemplates(dir) {
+  const result = await readTemplates(dir);
+  if (result?.problems.length > 0) {
+    throw new ReadmiError(`${result.problems[0]}. Run "readmi templates" to list the available ones`, EXIT_CODES.USAGE);
+  }
+  return result?.templates ?? null;
+}
+
+/**
+ * Build the prompt from the defaults plus any user overrides
+ */
+export function renderPrompt(templates, data) {
+  // New sections go before the catch-all "Additional Sections"
+  const { additional, ...sectionTemplates } = { ...DEFAULT_SECTION_TEMPLATES, ...(templates?.sections || {}) };
+  const sections = [...Object.values(sectionTemplates), additional]
+    .filter(template => template.trim())
+    .map((template, i) => {
+      const prefix = `${i + 1}. `;
+      const body = renderTemplate(template.trim(), data);
+      return prefix + body.split('\n').join(`\n${' '.repeat(prefix.length)}`);
+    })
+    .join('\n\n');
+  return renderTemplate(templates?.prompt || DEFAULT_PROMPT_TEMPLATE, { ...data, sections });
+}
+
+/**
+ * Write the default templates to `.readmi/templates` for editing, existing files are kept unless `force`
+ */
+export async function initTemplates(dir, { force = false } = {}) {
+  const templatesDir = join(dir, TEMPLATES_DIR);
+  await fs.mkdir(templatesDir, { recursive: true });
+
+  const defaults = { prompt: DEFAULT_PROMPT_TEMPLATE, ...DEFAULT_SECTION_TEMPLATES };
+  const result = { written: [], skipped: [] };
+  for (const [name, content] of Object.entries(defaults)) {
+    const file = join(TEMPLATES_DIR, `${name}.md`);
+    if (existsSync(join(dir, file)) && !force) {
+      result.skipped.push(file);
+      continue;
+    }
+    await fs.writeFile(join(dir, file), content + '\n');
+    result.written.push(file);
+  }
+  return result;
+}
+
+export async function handleTemplates(args, dir) {
+  if (args[1] === 'init') {
+    const { written, skipped } = await initTemplates(dir, { force: args.includes('--force') });
+    console.log('\n' + chalk.bold.white('Templates') + '\n');
+    for (const file of written) console.log(chalk.green('  ✓ ') + chalk.gray(file));
+    for (const file of skipped) console.log(chalk.yellow('  • ') + chalk.gray(`${file} exists, kept`) + chalk.dim(' (--force to overwrite)'));
+    console.log(
+      '\n' +
+      chalk.dim('  → ') + chalk.gray('Edit the files, delete the ones you do not need to change, or empty one to drop a section') + '\n'
+    );
+    return;
+  }
+  if (args[1]) {
+    throw new ReadmiError(`Unknown templates command "${args[1]}". Expected: readmi templates [init]`, EXIT_CODES.USAGE);
+  }
+
+  // Listed even when a template is invalid, this is where the error message points to
+  const { templates = null, problems = [] } = await readTemplates(dir) ?? {};
+  const overridden = templates
+    ? [...(templates.prompt !== null ? ['prompt'] : []), ...Object.keys(templates.sections)]
+    : [];
+  let output = '\n' + chalk.bold.white('Templates') + chalk.dim(`  (${TEMPLATES_DIR})`) + '\n\n';
+  output += overridden.length > 0
+    ? overridden.map(name => chalk.gray('  ') + chalk.cyan(`${name}.md`) + (DEFAULT_SECTION_TEMPLATES[name] || name === 'prompt' ? '' : chalk.dim(' (new section)'))).join('\n')
+    : chalk.dim('  Using the built-in templates');
+  for (const problem of problems) output += '\n' + chalk.red('  ✗ ') + chalk.gray(problem);
+  output += '\n\n' + chalk.bold.white('Placeholders') + '\n';
+  for (const [name, description] of Object.entries(PLACEHOLDERS)) {
+    output += chalk.cyan(`  {{${name}}}`.padEnd(22)) + chalk.gray(description) + '\n';
+  }
+  output += '\n' + chalk.bold.white('Commands') + '\n' +
+    chalk.cyan('  templates init          ') + chalk.gray('Copy the built-in templates for editing') + '\n' +
+    chalk.cyan('  templates init --force  ') + chalk.gray('Overwrite existing template files') + '\n';
+  console.log(output);
+}
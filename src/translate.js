@@ -0,0 +1,331 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { dirname, join, relative, resolve, sep } from 'path';
+import chalk from 'chalk';
+import { parseMarkdown, splitMarkdown, visitNodes } from './markdown.js';
+import { collectAnchors, collectLinks, fixAnchors } from './links.js';
+import { getReadmeFilename, writeReadmeFile } from './generator.js';
+import { getLanguageName, getNativeLanguageName, normalizeLanguage, applyDirection, unwrapRtl } from './languages.js';
+import { ReadmiError, EXIT_CODES } from './utils.js';
+
+const SOURCE_LANGUAGE = 'en';
+const SWITCHER_START = '<!-- readmi:languages -->';
+const SWITCHER_END = '<!-- /readmi:languages -->';
+const TRANSLATION_MARKER = /^<!-- readmi:translation ([0-9a-f ]*) -->\r?\n(?:\r?\n)?/m;
+const TOKEN_PATTERN = /⟦(\d+)⟧/g;
+const LANGUAGE_PATTERN = '([a-zA-Z]{2,3}(?:-[a-zA-Z0-9]+)*)';
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+
+function hashUnit(raw) {
+  return createHash('sha1').update(raw.trim()).digest('hex').slice(0, 8);
+}
+
+function fileFor(language, sourcePath, pattern) {
+  return language === SOURCE_LANGUAGE ? sourcePath : getReadmeFilename(language, '', sourcePath, pattern);
+}
+
+// Link target from one README variant to another, always with forward slashes
+function relativeLink(from, to) {
+  return relative(dirname(from), to).split(sep).join('/');
+}
+
+/**
+ * Remove the language switcher and translation marker, the rest is untouched
+ */
+export function stripSwitcher(content) {
+  const start = content.indexOf(SWITCHER_START);
+  const end = content.indexOf(SWITCHER_END);
+  let stripped = content;
+  if (start !== -1 && end > start) {
+    const after = content.slice(end + SWITCHER_END.length).replace(/^\r?\n(?:\r?\n)?/, '');
+    stripped = content.slice(0, start) + after;
+  }
+  return stripped.replace(TRANSLATION_MARKER, '');
+}
+
+export function renderSwitcher(current, languages, sourcePath, pattern) {
+  const currentFile = fileFor(current, sourcePath, pattern);
+  const links = languages.map(language => {
+    const name = getNativeLanguageName(language);
+    return language === current ? `**${name}**` : `[${name}](${relativeLink(currentFile, fileFor(language, sourcePath, pattern))})`;
+  });
+  return `${SWITCHER_START}\n🌐 ${links.join(' · ')}\n${SWITCHER_END}`;
+}
+
+/**
+ * Put the switcher (and for translations the section hashes) at the top, after any front matter
+ */
+export function withSwitcher(content, switcher, hashes = null) {
+  const body = stripSwitcher(content);
+  const eol = body.includes('\r\n') ? '\r\n' : '\n';
+  const frontmatter = splitMarkdown(body).frontmatter;
+  const head = frontmatter && body.startsWith(frontmatter) ? frontmatter + eol + eol : '';
+  const rest = body.slice(head.length).replace(/^(\r?\n)+/, '');
+  const marker = hashes ? `<!-- readmi:translation ${hashes.join(' ')} -->${eol}${eol}` : '';
+  return head + switcher.replace(/\n/g, eol) + eol + eol + marker + rest;
+}
+
+/**
+ * Translation files that match the file name pattern, recognised by their translation marker
+ */
+export async function findTranslations(sourcePath, pattern) {
+  // Placeholders other than {lang} are fixed, so only the {lang} segments have to be listed
+  const template = getReadmeFilename('{lang}', '', sourcePath, pattern);
+  const root = template.startsWith(sep) ? sep : '';
+  const segments = template.split(sep).filter(Boolean);
+  const found = [];
+
+  async function walk(dir, index, language) {
+    if (index === segments.length) {
+      const content = await fs.readFile(dir, 'utf8');
+      if (TRANSLATION_MARKER.test(content)) found.push({ language, file: dir });
+      return;
+    }
+    const segment = segments[index];
+    if (!segment.includes('{lang}')) {
+      const next = join(dir, segment);
+      if (existsSync(next)) await walk(next, index + 1, language);
+      return;
+    }
+    // A second {lang} in the same segment has to repeat the first
+    const matcher = new RegExp(`^${segment.split('{lang}').map(escapeRegExp).reduce((source, part, i) =>
+      source + (language ? escapeRegExp(language) : i === 1 ? LANGUAGE_PATTERN : '\\1') + part)}$`);
+    for (const entry of existsSync(dir || '.') ? await fs.readdir(dir || '.', { withFileTypes: true }) : []) {
+      const match = entry.name.match(matcher);
+      if (!match || (index === segments.length - 1) === entry.isDirectory()) continue;
+      const code = language || match[1];
+      if (code === SOURCE_LANGUAGE || !isLanguageCode(code)) continue;
+      await walk(join(dir, entry.name), index + 1, code);
+    }
+  }
+
+  await walk(root, 0, null);
+  return found.sort((a, b) => a.language.localeCompare(b.language));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isLanguageCode(code) {
+  try {
+    normalizeLanguage(code);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Relative file links point from the source README's folder, translations elsewhere need them rewritten
+function rebaseLinks(content, fromDir, toDir) {
+  if (resolve(fromDir) === resolve(toDir)) return content;
+  const problems = collectLinks(content)
+    .filter(link => /^[^#?/]/.test(link.url) && !SCHEME_PATTERN.test(link.url))
+    .map(link => {
+      const [, path, suffix] = link.url.match(/^([^#?]*)(.*)$/);
+      const rebased = relativeLink(join(toDir, 'README.md'), resolve(fromDir, path)) || '.';
+      return { ...link, fix: { from: link.url, to: rebased + suffix } };
+    });
+  return fixAnchors(content, problems).content;
+}
+
+// Translatable units: the text before the first heading, then one unit per heading
+function splitUnits(content) {
+  const { preamble, sections } = splitMarkdown(content);
+  const raws = [...(preamble.trim() ? [preamble] : []), ...sections.map(section => section.raw)];
+  return raws.map(raw => ({ raw, hash: hashUnit(raw) }));
+}
+
+/**
+ * Swap everything that must survive verbatim (code, inline code, HTML, images, link destinations,
+ * front matter) for ⟦n⟧ tokens so only prose reaches the model
+ */
+export function maskMarkdown(raw) {
+  const ranges = [];
+  const protect = (start, end) => {
+    if (end > start && !ranges.some(range => start < range.end && end > range.start)) ranges.push({ start, end });
+  };
+  visitNodes(parseMarkdown(raw), node => {
+    const { start, end } = node.position ? { start: node.position.start.offset, end: node.position.end.offset } : {};
+    if (['code', 'inlineCode', 'html', 'image', 'imageReference', 'definition', 'yaml', 'toml'].includes(node.type)) {
+      protect(start, end);
+    } else if (node.type === 'link' || node.type === 'linkReference') {
+      const last = node.children[node.children.length - 1];
+      // Autolinks and [label] / [label][] references break when their text changes, keep them whole
+      if (!last || raw[start] === '<' || last.position.end.offset >= end || (node.referenceType && node.referenceType !== 'full')) protect(start, end);
+      else protect(last.position.end.offset, end);
+    }
+  });
+  ranges.sort((a, b) => a.start - b.start);
+
+  const tokens = [];
+  let text = '';
+  let cursor = 0;
+  for (const range of ranges) {
+    text += raw.slice(cursor, range.start) + `⟦${tokens.length}⟧`;
+    tokens.push(raw.slice(range.start, range.end));
+    cursor = range.end;
+  }
+  return { text: text + raw.slice(cursor), tokens };
+}
+
+// Null when the model dropped or duplicated a token
+export function unmaskMarkdown(text, tokens) {
+  const seen = [...text.matchAll(TOKEN_PATTERN)].map(match => Number(match[1]));
+  if (seen.length !== tokens.length || new Set(seen).size !== tokens.length || seen.some(index => index >= tokens.length)) return null;
+  return text.replace(TOKEN_PATTERN, (match, index) => tokens[Number(index)]);
+}
+
+function buildTranslationPrompt(texts, language) {
+  return `Translate the following README sections from English to ${getLanguageName(language)}.
+
+RULES:
+- Keep every token such as ⟦0⟧ exactly as written, once each, in the matching place of the sentence
+- Keep the markdown structure: heading levels, lists, tables, emphasis, emojis and blank lines
+- Do not translate the project name, command names, package names or file names
+- Do not add, remove or reorder content, and do not add explanations
+- Return every section with its <<<n>>> separator line, in the same order
+
+${texts.map((text, index) => `<<<${index}>>>\n${text}`).join('\n')}`;
+}
+
+function parseTranslationResponse(response, count) {
+  const parts = new Array(count).fill(null);
+  const matches = [...response.matchAll(/^<<<(\d+)>>>[ \t]*\r?\n/gm)];
+  matches.forEach((match, i) => {
+    const index = Number(match[1]);
+    const end = matches[i + 1]?.index ?? response.length;
+    if (index < count) parts[index] = response.slice(match.index + match[0].length, end);
+  });
+  return parts;
+}
+
+// Translate the masked units in one request, units that come back damaged get one request of their own
+async function translateUnits(units, language, model) {
+  const masked = units.map(unit => maskMarkdown(unit.raw.trimEnd()));
+  const results = new Array(units.length).fill(null);
+  // Code is masked, so a fence around the answer can only be the model wrapping its output
+  const restore = (text, index) => text === null ? null : unmaskMarkdown(text.trim().replace(/^```\w*\n|\n```$/g, '').trim(), masked[index].tokens);
+
+  const batch = parseTranslationResponse(await model.generate(buildTranslationPrompt(masked.map(item => item.text), language)), units.length);
+  batch.forEach((text, index) => {
+    results[index] = restore(text, index);
+  });
+
+  const failed = [];
+  for (const [index, result] of results.entries()) {
+    if (result !== null) continue;
+    const [retry] = parseTranslationResponse(await model.generate(buildTranslationPrompt([masked[index].text], language)), 1);
+    results[index] = restore(retry, index);
+    if (results[index] === null) {
+      failed.push(index);
+      results[index] = units[index].raw.trimEnd();
+    }
+  }
+
+  // Keep the source spacing between units
+  return {
+    raws: results.map((text, index) => text + units[index].raw.slice(units[index].raw.trimEnd().length)),
+    failed
+  };
+}
+
+// In-page anchors follow their heading into the translation
+function translateAnchors(translated, source) {
+  const sourceHeadings = collectAnchors(source).filter(anchor => anchor.title !== null);
+  const targetHeadings = collectAnchors(translated).filter(anchor => anchor.title !== null);
+  if (sourceHeadings.length !== targetHeadings.length) return translated;
+  const renamed = new Map(sourceHeadings.map((anchor, index) => [anchor.id, targetHeadings[index].id]));
+  const problems = collectLinks(translated)
+    .filter(link => link.url.startsWith('#') && renamed.has(link.url.slice(1)) && renamed.get(link.url.slice(1)) !== link.url.slice(1))
+    .map(link => ({ ...link, fix: { from: link.url, to: `#${renamed.get(link.url.slice(1))}` } }));
+  return fixAnchors(translated, problems).content;
+}
+
+/**
+ * Translate `source` into `language`, reusing the sections of `existing` whose source hash is unchanged.
+ * `from` and `to` are the folders of the two files when relative links need rebasing
+ */
+export async function translateContent(source, language, model, existing = null, { from = '.', to = from } = {}) {
+  existing = existing === null ? null : unwrapRtl(existing);
+  const units = splitUnits(stripSwitcher(source));
+  const previous = new Map();
+  const storedHashes = existing?.match(TRANSLATION_MARKER)?.[1].split(' ').filter(Boolean);
+  if (storedHashes) {
+    const existingUnits = splitUnits(stripSwitcher(existing));
+    if (existingUnits.length === storedHashes.length) {
+      storedHashes.forEach((hash, index) => previous.set(hash, existingUnits[index].raw));
+    }
+  }
+
+  const missing = units.filter(unit => !previous.has(unit.hash));
+  const translated = missing.length > 0 ? await translateUnits(missing, language, model) : { raws: [], failed: [] };
+  const byHash = new Map(missing.map((unit, index) => [unit.hash, rebaseLinks(translated.raws[index], from, to)]));
+  const content = units.map(unit => previous.get(unit.hash) ?? byHash.get(unit.hash)).join('');
+
+  return {
+    content: translateAnchors(content, stripSwitcher(source)),
+    hashes: units.map(unit => unit.hash),
+    translated: missing.length,
+    reused: units.length - missing.length,
+    failed: translated.failed.map(index => missing[index].raw.trim().split('\n')[0])
+  };
+}
+
+/**
+ * Translate the canonical README into every language in `languages` and refresh the language
+ * switcher in all variants. Unchanged source sections keep their existing translation
+ */
+export async function translateReadmes(sourcePath, languages, model, spinner, options = {}) {
+  if (!existsSync(sourcePath)) {
+    throw new ReadmiError(`${relative(process.cwd(), sourcePath) || sourcePath} not found. Generate it first with "readmi"`, EXIT_CODES.NO_README);
+  }
+  const { pattern } = options;
+  const targets = languages.filter(language => language !== SOURCE_LANGUAGE);
+  const existing = await findTranslations(sourcePath, pattern);
+  const all = [SOURCE_LANGUAGE, ...new Set([...existing.map(item => item.language), ...targets].sort())];
+  const source = await fs.readFile(sourcePath, 'utf8');
+
+  for (const language of targets) {
+    const file = fileFor(language, sourcePath, pattern);
+    const displayName = relative(process.cwd(), file) || file;
+    const current = existsSync(file) ? await fs.readFile(file, 'utf8') : null;
+    spinner.start(chalk.gray(`  Translating ${displayName} (${getLanguageName(language)})...`));
+
+    const result = await translateContent(source, language, model, current, { from: dirname(sourcePath), to: dirname(file) });
+    const content = withSwitcher(applyDirection(result.content, language), renderSwitcher(language, all, sourcePath, pattern), result.hashes);
+    if (content === current) {
+      spinner.succeed(chalk.gray(`  ${displayName} is up to date`));
+      continue;
+    }
+    if (await writeReadmeFile(file, content, spinner, options) === null) continue;
+    spinner.succeed(chalk.green(`  ${displayName} translated`) + chalk.gray(` (${result.translated} section${result.translated === 1 ? '' : 's'} translated, ${result.reused} kept)`));
+    if (result.failed.length > 0) {
+      console.log(chalk.yellow(`  Left in English, the translation lost code or links: ${result.failed.join(', ')}`));
+    }
+  }
+
+  // The switcher in the source and in translations that were not part of this run
+  if (options.dryRun) return;
+  for (const { language, file } of [{ language: SOURCE_LANGUAGE, file: sourcePath }, ...existing.filter(item => !targets.includes(item.language))]) {
+    const content = await fs.readFile(file, 'utf8');
+    const hashes = language === SOURCE_LANGUAGE ? null : content.match(TRANSLATION_MARKER)[1].split(' ').filter(Boolean);
+    const updated = withSwitcher(content, renderSwitcher(language, all, sourcePath, pattern), hashes);
+    if (updated !== content) await fs.writeFile(file, updated);
+  }
+}
+
+/**
+ * After `-u`: bring every existing translation in line with the changed source sections
+ */
+export async function syncTranslations(sourcePath, model, spinner, options = {}) {
+  const translations = await findTranslations(sourcePath, options.pattern);
+  if (translations.length === 0) return;
+  if (options.dryRun) {
+    console.log(chalk.gray(`  Dry run: ${translations.length} translation${translations.length === 1 ? '' : 's'} not synced\n`));
+    return;
+  }
+  await translateReadmes(sourcePath, translations.map(item => item.language), model, spinner, options);
+  console.log();
+}
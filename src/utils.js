@@ -1,5 +1,77 @@
 import chalk from 'chalk';
 
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  CANCELLED: 3,
+  INPUT_REQUIRED: 4,
+  NO_README: 5,
+  CHECK_FAILED: 6
+};
+
+export class ReadmiError extends Error {
+  constructor(message, exitCode = EXIT_CODES.FAILURE) {
+    super(message);
+    this.name = 'ReadmiError';
+    this.exitCode = exitCode;
+  }
+}
+
+// Reads a flag value given as `--flag value` or `--flag=value`
+export function getArgValue(args, ...names) {
+  for (let i = 0; i < args.length; i++) {
+    for (const name of names) {
+      if (args[i] === name) {
+        const value = args[i + 1];
+        if (value === undefined || value.startsWith('-')) {
+          throw new ReadmiError(`Missing value for ${name}`, EXIT_CODES.USAGE);
+        }
+        return value;
+      }
+      if (args[i].startsWith(`${name}=`)) {
+        return args[i].slice(name.length + 1);
+      }
+    }
+  }
+  return null;
+}
+
+// Collects every occurrence of a repeatable flag, splitting comma-separated values
+export function getArgValues(args, ...names) {
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    for (const name of names) {
+      if (args[i] === name && args[i + 1] !== undefined) {
+        values.push(args[i + 1]);
+      } else if (args[i].startsWith(`${name}=`)) {
+        values.push(args[i].slice(name.length + 1));
+      }
+    }
+  }
+  return values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+}
+
+let nonInteractive = false;
+
+export function setNonInteractive(value) {
+  nonInteractive = Boolean(value);
+}
+
+export function isInteractive() {
+  return !nonInteractive && Boolean(process.stdin.isTTY);
+}
+
+// Fails fast instead of hanging on a prompt that nobody can answer
+export function assertInteractive(action, hint = '') {
+  if (isInteractive()) return;
+  const reason = process.stdin.isTTY ? 'non-interactive mode is enabled' : 'stdin is not a TTY';
+  throw new ReadmiError(
+    `${action} requires input but ${reason}.${hint ? ' ' + hint : ''}`,
+    EXIT_CODES.INPUT_REQUIRED
+  );
+}
+
 export function showHeader() {
   console.log(
     '\n' +
@@ -22,47 +94,161 @@ export function showHelp() {
     chalk.bold.white('COMMANDS') + '\n' +
     chalk.cyan('  readmi              ') + chalk.gray('Generate README') + '\n' +
     chalk.cyan('  readmi -u           ') + chalk.gray('Update existing README') + '\n' +
-    chalk.cyan('  readmi config       ') + chalk.gray('Manage configuration') + '\n\n' +
+    chalk.cyan('  readmi check        ') + chalk.gray('Check README for stale info (no AI)') + '\n' +
+    chalk.cyan('  readmi links        ') + chalk.gray('Check README links and anchors') + '\n' +
+    chalk.cyan('  readmi translate --to <codes>  ') + chalk.gray('Translate README, keep code and links') + '\n' +
+    chalk.cyan('  readmi adopt        ') + chalk.gray('Mark README sections as managed') + '\n' +
+    chalk.cyan('  readmi config       ') + chalk.gray('Manage configuration') + '\n' +
+    chalk.cyan('  readmi templates    ') + chalk.gray('Show prompt templates and placeholders') + '\n' +
+    chalk.cyan('  readmi templates init  ') + chalk.gray('Copy the built-in templates for editing') + '\n\n' +
     chalk.bold.white('OPTIONS') + '\n' +
     chalk.gray('  -v, --version       Show version') + '\n' +
     chalk.gray('  -h, --help          Show help') + '\n' +
     chalk.gray('  --update            Update to latest') + '\n' +
     chalk.gray('  -u                  Smart README update') + '\n' +
-    chalk.gray('  -sl                 Select language') + '\n\n' +
+    chalk.gray('  -sl                 Select language') + '\n' +
+    chalk.gray('  --offline           Generate from templates, no AI') + '\n' +
+    chalk.gray('  --offline-fallback  Use templates if AI fails') + '\n' +
+    chalk.gray('  --dry-run           Show diff, write nothing') + '\n' +
+    chalk.gray('  --stdout            Stream the README to stdout') + '\n' +
+    chalk.gray('  --resume            Continue an interrupted run') + '\n' +
+    chalk.gray('  --request-timeout <ms>  Timeout per model request') + '\n' +
+    chalk.gray('  --retries <n>       Retries for transient model errors') + '\n' +
+    chalk.gray('  --no-cache          Skip the response cache') + '\n' +
+    chalk.gray('  --record <dir>      Save raw model responses') + '\n' +
+    chalk.gray('  --replay <dir>      Answer from recorded responses') + '\n' +
+    chalk.gray('  --verify-examples   Run JS examples against the package') + '\n' +
+    chalk.gray('  --repair            Let the model fix failing examples') + '\n' +
+    chalk.gray('  --include <glob>    Only scan matching files (repeatable)') + '\n' +
+    chalk.gray('  --exclude <glob>    Skip matching files (repeatable)') + '\n' +
+    chalk.gray('  --context-budget <n>  Source tokens sent to the model') + '\n' +
+    chalk.gray('  --verbose           List the source files sent to the model') + '\n\n' +
+    chalk.bold.white('WORKSPACES') + '\n' +
+    chalk.gray('  -p, --package <n>   Target one workspace package') + '\n' +
+    chalk.gray('  --all-packages      Every package plus the root README') + '\n\n' +
+    chalk.bold.white('NON-INTERACTIVE') + '\n' +
+    chalk.gray('  -y, --yes           Never prompt, use defaults') + '\n' +
+    chalk.gray('  --mode <mode>       Update mode: full, selective, version') + '\n' +
+    chalk.gray('  --sections <list>   Sections for selective update') + '\n' +
+    chalk.gray('  --model <name>      Model to use') + '\n' +
+    chalk.gray('  --lang <code>       README language (any BCP-47 code)') + '\n\n' +
+    chalk.bold.white('CHECK') + '\n' +
+    chalk.gray('  --format <fmt>      Output format: text, json') + '\n' +
+    chalk.gray('  --fail-on <level>   Fail at severity: low, medium, high, none') + '\n' +
+    chalk.gray('  --fix               Correct contradicted facts in the README') + '\n\n' +
+    chalk.bold.white('LINKS') + '\n' +
+    chalk.gray('  --external          Also request http(s) links') + '\n' +
+    chalk.gray('  --concurrency <n>   Parallel requests (default 8)') + '\n' +
+    chalk.gray('  --link-timeout <ms> Per request timeout (default 10000)') + '\n' +
+    chalk.gray('  --fix               Point renamed anchors at their heading') + '\n\n' +
     chalk.bold.white('CONFIG') + '\n' +
     chalk.gray('  config -r           Remove API key') + '\n' +
     chalk.gray('  config -rm          Remove model') + '\n' +
     chalk.gray('  config -rl          Remove language') + '\n' +
     chalk.gray('  config -l           Set language') + '\n' +
-    chalk.gray('  config model        Select model') + '\n\n' +
+    chalk.gray('  config model        Select from the models your key can use') + '\n' +
+    chalk.gray('  config provider     Select AI provider') + '\n\n' +
     chalk.cyan('https://github.com/jayanithu/readmi') + '\n'
   );
   process.exit(0);
 }
 
-export function getLanguageMap() {
-  return {
-    'en': 'English',
-    'es': 'Spanish (Español)',
-    'fr': 'French (Français)',
-    'de': 'German (Deutsch)',
-    'zh': 'Chinese (中文)',
-    'ja': 'Japanese (日本語)',
-    'pt': 'Portuguese (Português)',
-    'ru': 'Russian (Русский)',
-    'hi': 'Hindi (हिन्दी)',
-    'ar': 'Arabic (العربية)'
-  };
+export function getBinEntries(projectInfo) {
+  if (!projectInfo.bin) return [];
+  if (typeof projectInfo.bin === 'string') {
+    const command = (projectInfo.name || '').replace(/^@[^/]+\//, '');
+    return command ? [[command, projectInfo.bin]] : [];
+  }
+  return Object.entries(projectInfo.bin);
 }
 
-export function getLanguageName(code) {
-  return getLanguageMap()[code] || code;
+// Install, test and run commands for the project's ecosystem
+export function getEcosystemCommands(projectInfo) {
+  const name = projectInfo.name || '<package>';
+  const isCli = getBinEntries(projectInfo).length > 0;
+  const scripts = projectInfo.scripts || {};
+  const deps = { ...projectInfo.dependencies, ...projectInfo.devDependencies };
+
+  switch (projectInfo.ecosystem) {
+    case 'python':
+      return {
+        label: 'Python',
+        install: `pip install ${name}`,
+        devInstall: projectInfo.packageManager === 'poetry'
+          ? 'poetry install'
+          : projectInfo.manifest === 'requirements.txt' ? 'pip install -r requirements.txt' : 'pip install -e .',
+        test: 'pytest',
+        run: isCli ? getBinEntries(projectInfo)[0][0] : 'python main.py',
+        codeLanguage: 'python'
+      };
+    case 'rust':
+      return {
+        label: 'Rust',
+        install: isCli ? `cargo install ${name}` : `cargo add ${name}`,
+        devInstall: 'cargo build',
+        test: 'cargo test',
+        run: 'cargo run',
+        codeLanguage: 'rust'
+      };
+    case 'go':
+      return {
+        label: 'Go',
+        install: isCli ? `go install ${name}@latest` : `go get ${name}`,
+        devInstall: 'go mod download',
+        test: 'go test ./...',
+        run: 'go run .',
+        codeLanguage: 'go'
+      };
+    case 'java': {
+      const gradle = projectInfo.packageManager === 'gradle';
+      return {
+        label: gradle ? 'Java (Gradle)' : 'Java (Maven)',
+        install: projectInfo.groupId && projectInfo.name
+          ? gradle
+            ? `implementation '${projectInfo.groupId}:${name}:${projectInfo.version || '<version>'}'`
+            : `<dependency><groupId>${projectInfo.groupId}</groupId><artifactId>${name}</artifactId><version>${projectInfo.version || '<version>'}</version></dependency>`
+          : null,
+        devInstall: gradle ? './gradlew build' : 'mvn install',
+        test: gradle ? './gradlew test' : 'mvn test',
+        run: gradle ? './gradlew run' : 'mvn exec:java',
+        codeLanguage: 'java'
+      };
+    }
+    case 'php':
+      return {
+        label: 'PHP',
+        install: `composer require ${name}`,
+        devInstall: 'composer install',
+        test: scripts.test ? 'composer test' : 'vendor/bin/phpunit',
+        runScript: script => `composer run-script ${script}`,
+        codeLanguage: 'php'
+      };
+    case 'ruby':
+      return {
+        label: 'Ruby',
+        install: `gem install ${name}`,
+        devInstall: 'bundle install',
+        test: deps.rspec || deps['rspec-core'] ? 'bundle exec rspec' : 'bundle exec rake test',
+        run: isCli ? getBinEntries(projectInfo)[0][0] : null,
+        codeLanguage: 'ruby'
+      };
+    default:
+      return {
+        label: 'Node.js',
+        install: isCli ? `npm install -g ${name}` : `npm install ${name}`,
+        devInstall: 'npm install',
+        test: 'npm test',
+        run: scripts.start ? 'npm start' : null,
+        runScript: script => `npm run ${script}`,
+        codeLanguage: 'javascript'
+      };
+  }
 }
 
 export function determineProjectType(projectInfo) {
   const projectType = [];
   
-  if (projectInfo.bin || Object.keys(projectInfo.bin || {}).length > 0) {
+  if (getBinEntries(projectInfo).length > 0) {
     projectType.push('- This is a command-line interface (CLI) tool');
   } else if (projectInfo.main) {
     projectType.push('- This is a library/package meant to be imported by other projects');
@@ -135,9 +321,18 @@ export function determineProjectType(projectInfo) {
 
 export function generateBadges(projectInfo) {
   const badges = [];
+  const ecosystem = projectInfo.ecosystem || 'node';
   
-  if (projectInfo.name && !projectInfo.name.startsWith('@')) {
+  if (ecosystem === 'node' && projectInfo.name && !projectInfo.name.startsWith('@') && !projectInfo.private) {
     badges.push(`[![npm version](https://img.shields.io/npm/v/${projectInfo.name})](https://www.npmjs.com/package/${projectInfo.name})`);
+  } else if (ecosystem === 'python' && projectInfo.name) {
+    badges.push(`[![PyPI version](https://img.shields.io/pypi/v/${projectInfo.name})](https://pypi.org/project/${projectInfo.name}/)`);
+  } else if (ecosystem === 'rust' && projectInfo.name) {
+    badges.push(`[![crates.io](https://img.shields.io/crates/v/${projectInfo.name})](https://crates.io/crates/${projectInfo.name})`);
+  } else if (ecosystem === 'php' && projectInfo.name) {
+    badges.push(`[![Packagist](https://img.shields.io/packagist/v/${projectInfo.name})](https://packagist.org/packages/${projectInfo.name})`);
+  } else if (ecosystem === 'ruby' && projectInfo.name) {
+    badges.push(`[![Gem Version](https://img.shields.io/gem/v/${projectInfo.name})](https://rubygems.org/gems/${projectInfo.name})`);
   }
   
   if (projectInfo.license) {
@@ -160,7 +355,25 @@ export function generateBadges(projectInfo) {
 }
 
 
-export function postProcessReadme(content) {
+export const DEFAULT_FOOTER = '**Made with ❤️ using [ReadMI](https://github.com/jayanithu/readmi) by jayanithu**';
+
+// The fence of a code block that is never closed, or null
+function openFence(content) {
+  let open = null;
+  for (const line of content.split('\n')) {
+    const match = line.match(/^ {0,3}(`{3,}|~{3,})(.*)$/);
+    if (!match) continue;
+    if (!open) {
+      open = match[1];
+    } else if (match[1][0] === open[0] && match[1].length >= open.length && !match[2].trim()) {
+      open = null;
+    }
+  }
+  return open;
+}
+
+// `footer` may be false to omit the footer or a markdown string to replace it
+export function postProcessReadme(content, { footer = true } = {}) {
   let processed = content.trim();
   
   processed = processed.replace(/```markdown/g, '```');
@@ -243,8 +456,14 @@ export function postProcessReadme(content) {
   
   processed = processed.trim();
 
-  processed += '\n\n---\n\n**Made with ❤️ using [ReadMI](https://github.com/jayanithu/readmi) by jayanithu**\n';
+  // A code block left open (cut-off output, or the fence stripping above) would swallow the footer
+  const fence = openFence(processed);
+  if (fence) processed += `\n${fence}`;
+
+  if (footer) {
+    processed += `\n\n---\n\n${footer === true ? DEFAULT_FOOTER : footer.trim()}`;
+  }
   
-  return processed;
+  return processed + '\n';
 }
 
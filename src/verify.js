@@ -0,0 +1,375 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { spawnSync } from 'child_process';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { parse as parseJs } from '@babel/parser';
+import { parseAllDocuments } from 'yaml';
+import { parseMarkdown, visitNodes } from './markdown.js';
+import { getBinEntries, isInteractive } from './utils.js';
+
+const SHELL_LANGS = ['bash', 'sh', 'shell', 'zsh', 'console', 'terminal', 'shellscript'];
+const JS_LANGS = ['js', 'javascript', 'mjs', 'cjs', 'node', 'jsx'];
+const TS_LANGS = ['ts', 'typescript', 'tsx', 'mts', 'cts'];
+const JSON_LANGS = ['json', 'jsonc'];
+const YAML_LANGS = ['yaml', 'yml'];
+
+// Package manager subcommands that are not scripts
+const MANAGER_COMMANDS = {
+  npm: ['install', 'i', 'add', 'ci', 'uninstall', 'remove', 'rm', 'update', 'init', 'publish', 'link', 'pack', 'exec', 'ls', 'list', 'audit', 'outdated', 'version', 'view', 'login', 'config', 'cache', 'create', 'help'],
+  yarn: ['install', 'add', 'remove', 'upgrade', 'up', 'init', 'global', 'dlx', 'create', 'exec', 'info', 'why', 'link', 'unlink', 'publish', 'version', 'cache', 'config', 'workspace', 'workspaces', 'set', 'plugin', 'node', 'bin', 'pack', 'help'],
+  pnpm: ['install', 'i', 'add', 'remove', 'rm', 'update', 'up', 'init', 'dlx', 'create', 'exec', 'link', 'unlink', 'publish', 'pack', 'store', 'why', 'list', 'ls', 'outdated', 'audit', 'setup', 'env', 'config', 'help'],
+  bun: ['install', 'i', 'add', 'remove', 'rm', 'update', 'init', 'create', 'x', 'link', 'unlink', 'pm', 'build', 'upgrade', 'help']
+};
+const INSTALL_COMMANDS = ['install', 'i', 'add', 'in'];
+const LIFECYCLE_SCRIPTS = { test: 'test', t: 'test', tst: 'test', start: 'start', stop: 'stop', restart: 'restart' };
+const RUN_TIMEOUT_MS = 10000;
+
+/**
+ * Fenced code blocks with their language and 1-based starting line
+ */
+export function extractCodeBlocks(content) {
+  const blocks = [];
+  visitNodes(parseMarkdown(content), node => {
+    if (node.type === 'code') {
+      blocks.push({ lang: (node.lang || '').toLowerCase(), code: node.value, line: node.position.start.line });
+    }
+  });
+  return blocks;
+}
+
+function packageNameOf(spec) {
+  if (/^(\.|\/|file:|git\+|https?:|github:)/.test(spec)) return null;
+  if (spec.startsWith('@')) {
+    const [scope, rest = ''] = spec.split('/');
+    return rest ? `${scope}/${rest.split('@')[0]}` : null;
+  }
+  return spec.includes('/') ? null : spec.split('@')[0];
+}
+
+// Logical commands of a shell block: continuations joined, prompts and output stripped
+function shellCommands(block) {
+  const commands = [];
+  const lines = block.code.replace(/\\\n/g, ' ').split('\n');
+  lines.forEach((rawLine, index) => {
+    let line = rawLine.trim();
+    if (block.lang === 'console' && !/^[$>]\s/.test(line)) return;
+    line = line.replace(/^[$>]\s+/, '');
+    if (!line || line.startsWith('#')) return;
+    for (const part of line.split(/&&|\|\||;|\|/)) {
+      const tokens = part.trim().replace(/\s+#.*$/, '').split(/\s+/).filter(Boolean);
+      if (tokens.length > 0) commands.push({ tokens, line: block.line + 1 + index });
+    }
+  });
+  return commands;
+}
+
+function knownPackages(projectInfo) {
+  return new Set([
+    projectInfo.name,
+    ...Object.keys(projectInfo.dependencies || {}),
+    ...Object.keys(projectInfo.devDependencies || {}),
+    ...Object.keys(projectInfo.peerDependencies || {}),
+    ...Object.keys(projectInfo.optionalDependencies || {})
+  ].filter(Boolean));
+}
+
+function binFlags(projectInfo, bin) {
+  const entry = projectInfo.cli?.bins.find(candidate => candidate.bin === bin);
+  if (!entry) return null;
+  const flags = new Set(['--help', '--version', '-h', '-v']);
+  for (const command of entry.commands) {
+    for (const option of command.options) option.flags.forEach(flag => flags.add(flag));
+  }
+  return flags;
+}
+
+function checkShellCommand({ tokens, line }, projectInfo, problems) {
+  const scripts = projectInfo.scripts || {};
+  const bins = getBinEntries(projectInfo).map(([bin]) => bin);
+  const packages = knownPackages(projectInfo);
+  const report = (severity, message) => problems.push({ line, lang: 'shell', severity, message });
+  let [runner, sub, ...rest] = tokens;
+
+  if (runner === 'sudo') [runner, sub, ...rest] = [sub, ...rest];
+  if (MANAGER_COMMANDS[runner]) {
+    if (sub === 'run' || sub === 'run-script') {
+      const script = rest[0];
+      if (script && !script.startsWith('-') && !scripts[script] && !(runner === 'bun' && /\.[cm]?[jt]s$/.test(script))) {
+        report('error', `\`${tokens.join(' ')}\`: no "${script}" script in ${projectInfo.manifest || 'package.json'}`);
+      }
+    } else if (INSTALL_COMMANDS.includes(sub)) {
+      for (const spec of rest.filter(arg => !arg.startsWith('-'))) {
+        const name = packageNameOf(spec);
+        if (name && !packages.has(name)) {
+          report('warning', `\`${tokens.join(' ')}\`: "${name}" is neither this package (${projectInfo.name}) nor one of its dependencies`);
+        }
+      }
+    } else if (sub && LIFECYCLE_SCRIPTS[sub] && runner !== 'bun') {
+      const script = LIFECYCLE_SCRIPTS[sub];
+      const serverFallback = script === 'start' && (projectInfo.files || []).includes('server.js');
+      if (!scripts[script] && !serverFallback) {
+        report('error', `\`${tokens.join(' ')}\`: no "${script}" script in ${projectInfo.manifest || 'package.json'}`);
+      }
+    } else if (sub && runner !== 'npm' && !sub.startsWith('-') && !MANAGER_COMMANDS[runner].includes(sub) && !scripts[sub] && !bins.includes(sub)) {
+      // `yarn build` and `pnpm build` run scripts, `bun file.ts` runs a file
+      if (!(runner === 'bun' && /\.[cm]?[jt]sx?$/.test(sub))) {
+        report('error', `\`${tokens.join(' ')}\`: no "${sub}" script in ${projectInfo.manifest || 'package.json'}`);
+      }
+    }
+    if (['dlx', 'exec', 'x'].includes(sub)) {
+      checkBinInvocation(rest, line, projectInfo, problems);
+    }
+    return;
+  }
+  if (runner === 'npx' || runner === 'bunx') {
+    const args = tokens.slice(1).filter(arg => !/^(-y|--yes|-p|--package)$/.test(arg));
+    const name = packageNameOf(args[0] || '');
+    if (name && bins.length > 0 && !bins.includes(name) && !packages.has(name)) {
+      report('warning', `\`${tokens.join(' ')}\`: "${name}" is not a command of ${projectInfo.name} or one of its dependencies`);
+    }
+    checkBinInvocation(args, line, projectInfo, problems);
+    return;
+  }
+  checkBinInvocation(tokens, line, projectInfo, problems);
+}
+
+function checkBinInvocation([bin, ...args], line, projectInfo, problems) {
+  const flags = binFlags(projectInfo, packageNameOf(bin || '') || bin);
+  if (!flags || flags.size <= 4) return;
+  for (const arg of args) {
+    const flag = arg.split('=')[0];
+    if (/^--?[a-zA-Z]/.test(flag) && !flags.has(flag)) {
+      problems.push({ line, lang: 'shell', severity: 'error', message: `\`${bin}\` has no ${flag} option` });
+    }
+  }
+}
+
+function parseScript(code, lang) {
+  const plugins = TS_LANGS.includes(lang) ? ['typescript', ...(lang === 'tsx' ? ['jsx'] : [])] : ['jsx'];
+  return parseJs(code, {
+    sourceType: 'unambiguous',
+    allowAwaitOutsideFunction: true,
+    allowReturnOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    plugins
+  });
+}
+
+// A lone `...` line is an accepted "more code here" placeholder
+function withoutPlaceholders(code) {
+  return code.replace(/^(\s*)\.\.\.\s*$/gm, '$1// ...');
+}
+
+function collectImports(ast) {
+  const imports = [];
+  const visit = node => {
+    if (!node || typeof node.type !== 'string') return;
+    if (node.type === 'ImportDeclaration') {
+      const names = node.specifiers.filter(spec => spec.type === 'ImportSpecifier').map(spec => spec.imported.name ?? spec.imported.value);
+      imports.push({ source: node.source.value, names, line: node.loc.start.line });
+    } else if (
+      node.type === 'VariableDeclarator' && node.id.type === 'ObjectPattern' &&
+      node.init?.type === 'CallExpression' && node.init.callee.name === 'require' && node.init.arguments[0]?.type === 'StringLiteral'
+    ) {
+      const names = node.id.properties.filter(prop => prop.type === 'ObjectProperty' && prop.key.type === 'Identifier').map(prop => prop.key.name);
+      imports.push({ source: node.init.arguments[0].value, names, line: node.loc.start.line });
+    }
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'start' || key === 'end') continue;
+      const value = node[key];
+      if (Array.isArray(value)) value.forEach(visit);
+      else if (value && typeof value === 'object') visit(value);
+    }
+  };
+  visit(ast.program);
+  return imports;
+}
+
+function checkScriptBlock(block, projectInfo, problems) {
+  let ast;
+  try {
+    ast = parseScript(withoutPlaceholders(block.code), block.lang);
+  } catch (error) {
+    const line = block.line + (error.loc?.line || 1);
+    problems.push({ line, lang: block.lang, severity: 'error', message: `Syntax error: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}` });
+    return null;
+  }
+
+  for (const { source, names, line } of collectImports(ast)) {
+    const entry = projectInfo.api?.entries.find(candidate => candidate.importPath === source);
+    if (!entry || entry.exports.length === 0) continue;
+    const exported = new Set(entry.exports.map(item => item.name));
+    for (const name of names.filter(name => !exported.has(name))) {
+      problems.push({ line: block.line + line, lang: block.lang, severity: 'error', message: `\`${name}\` is not exported by ${source}` });
+    }
+  }
+  return ast;
+}
+
+function checkDataBlock(block, problems) {
+  if (JSON_LANGS.includes(block.lang)) {
+    const code = block.lang === 'jsonc' ? block.code.replace(/^\s*\/\/.*$/gm, '') : block.code;
+    try {
+      JSON.parse(code);
+    } catch (error) {
+      problems.push({ line: block.line + 1, lang: block.lang, severity: 'error', message: `Invalid JSON: ${error.message}` });
+    }
+    return;
+  }
+  const failed = parseAllDocuments(block.code).flatMap(doc => doc.errors || [])[0];
+  if (failed) {
+    const line = block.line + (failed.linePos?.[0]?.line || 1);
+    problems.push({ line, lang: block.lang, severity: 'error', message: `Invalid YAML: ${failed.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')}` });
+  }
+}
+
+// The local package is linked into node_modules of a throwaway directory
+async function createSandbox(dir, projectInfo) {
+  const sandbox = await fs.mkdtemp(join(tmpdir(), 'readmi-verify-'));
+  if (projectInfo.name) {
+    const link = join(sandbox, 'node_modules', projectInfo.name);
+    await fs.mkdir(dirname(link), { recursive: true });
+    await fs.symlink(dir, link, 'dir');
+  }
+  return sandbox;
+}
+
+function runScriptBlock(block, ast, sandbox, index) {
+  const file = join(sandbox, `example-${index}.${ast.program.sourceType === 'module' ? 'mjs' : 'cjs'}`);
+  return fs.writeFile(file, block.code).then(() => {
+    const result = spawnSync(process.execPath, [file], { cwd: sandbox, timeout: RUN_TIMEOUT_MS, encoding: 'utf8', input: '' });
+    if (result.error?.code === 'ETIMEDOUT' || result.signal) {
+      return `Example did not finish within ${RUN_TIMEOUT_MS / 1000}s`;
+    }
+    if (result.status !== 0) {
+      const stderr = result.stderr.split('\n').map(line => line.trim());
+      return `Example failed: ${stderr.find(line => /^\w*Error\b/.test(line)) || stderr.find(Boolean) || `exit code ${result.status}`}`;
+    }
+    return null;
+  });
+}
+
+/**
+ * Check every fenced block: shell commands against scripts, bins, flags and the package name,
+ * JS/TS/JSON/YAML for syntax and package imports against the public API. With `run`, plain
+ * JavaScript examples are also executed against the local package in a temp sandbox
+ */
+export async function verifyReadme(content, projectInfo, { run = false, dir = process.cwd() } = {}) {
+  const blocks = extractCodeBlocks(content);
+  const problems = [];
+  const runnable = [];
+  const isNode = projectInfo.ecosystem === 'node';
+
+  for (const block of blocks) {
+    if (SHELL_LANGS.includes(block.lang)) {
+      if (isNode) shellCommands(block).forEach(command => checkShellCommand(command, projectInfo, problems));
+    } else if (JS_LANGS.includes(block.lang) || TS_LANGS.includes(block.lang)) {
+      const before = problems.length;
+      const ast = checkScriptBlock(block, projectInfo, problems);
+      const complete = !/^\s*\.\.\.\s*$/m.test(block.code);
+      if (ast && complete && problems.length === before && JS_LANGS.includes(block.lang) && block.lang !== 'jsx') {
+        runnable.push({ block, ast });
+      }
+    } else if (JSON_LANGS.includes(block.lang) || YAML_LANGS.includes(block.lang)) {
+      checkDataBlock(block, problems);
+    }
+  }
+
+  let ran = 0;
+  if (run && runnable.length > 0 && existsSync(dir)) {
+    const sandbox = await createSandbox(dir, projectInfo);
+    try {
+      for (const [index, { block, ast }] of runnable.entries()) {
+        const failure = await runScriptBlock(block, ast, sandbox, index);
+        ran++;
+        if (failure) problems.push({ line: block.line, lang: block.lang, severity: 'error', message: failure });
+      }
+    } finally {
+      await fs.rm(sandbox, { recursive: true, force: true });
+    }
+  }
+
+  problems.sort((a, b) => a.line - b.line);
+  return { blocks: blocks.length, ran, problems };
+}
+
+export function printVerification(result) {
+  if (result.problems.length === 0) {
+    console.log(chalk.green(`  ✓ ${result.blocks} code block${result.blocks === 1 ? '' : 's'} verified`) + (result.ran ? chalk.dim(` (${result.ran} run)`) : '') + '\n');
+    return;
+  }
+  console.log('\n' + chalk.yellow.bold('Example Verification') + '\n');
+  for (const problem of result.problems) {
+    const icon = problem.severity === 'error' ? chalk.red('•') : chalk.yellow('•');
+    console.log('  ' + icon + ' ' + chalk.dim(`line ${problem.line} `) + chalk.gray(problem.message));
+  }
+  console.log();
+}
+
+function buildRepairPrompt(content, problems, projectInfo) {
+  const scripts = Object.keys(projectInfo.scripts || {});
+  const bins = getBinEntries(projectInfo).map(([bin]) => bin);
+  return `The README below was generated for the package "${projectInfo.name || projectInfo.displayName}". Some of its code examples failed verification.
+
+=== PROBLEMS ===
+${problems.map(problem => `- line ${problem.line}: ${problem.message}`).join('\n')}
+
+=== FACTS ===
+Package name: ${projectInfo.name || 'N/A'}
+Scripts: ${scripts.join(', ') || 'none'}
+Commands: ${bins.join(', ') || 'none'}
+
+Fix ONLY the failing code blocks, using the facts above. If an example cannot be fixed, remove it. Keep every other line exactly as it is.
+Return the complete corrected README as plain markdown, without wrapping it in a code block.
+
+=== README ===
+${content}`;
+}
+
+/**
+ * Verify generated content and optionally give the model one round to repair the failures.
+ * `rebuild` post-processes raw model output the same way the original content was
+ */
+export async function verifyAndRepair(content, projectInfo, { model = null, spinner, run = false, repair, dir, rebuild = text => text } = {}) {
+  spinner.text = chalk.gray(run ? '  Running code examples...' : '  Verifying code examples...');
+  const result = await verifyReadme(content, projectInfo, { run, dir });
+  spinner.stop();
+  printVerification(result);
+  if (result.problems.length === 0 || !model) return content;
+
+  let shouldRepair = repair;
+  if (shouldRepair === undefined && isInteractive()) {
+    ({ shouldRepair } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'shouldRepair',
+        message: chalk.cyan(`  Ask the model to fix ${result.problems.length} problem${result.problems.length === 1 ? '' : 's'}?`),
+        default: true
+      }
+    ]));
+  }
+  if (!shouldRepair) return content;
+
+  spinner.start(chalk.gray('  Repairing code examples...'));
+  let repaired;
+  try {
+    repaired = rebuild(await model.generate(buildRepairPrompt(content, result.problems, projectInfo)));
+  } catch (error) {
+    if (error.kind === 'cancelled') throw error;
+    spinner.warn(chalk.yellow(`  Repair failed (${error.message}), keeping the original examples`));
+    return content;
+  }
+  const after = await verifyReadme(repaired, projectInfo, { run, dir });
+  spinner.stop();
+  if (after.problems.length >= result.problems.length) {
+    console.log(chalk.yellow('  Repair did not reduce the problems, keeping the original examples\n'));
+    return content;
+  }
+  console.log(chalk.green(`  ✓ Repaired ${result.problems.length - after.problems.length} of ${result.problems.length} problems`));
+  if (after.problems.length > 0) printVerification(after);
+  else console.log();
+  return repaired;
+}
@@ -0,0 +1,138 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, relative, sep } from 'path';
+import { parse as parseYaml } from 'yaml';
+import { analyzeProject } from './analyzer.js';
+import { matchesGlobs } from './glob.js';
+import { estimateTokens, DEFAULT_CONTEXT_BUDGET } from './context.js';
+import { ReadmiError, EXIT_CODES } from './utils.js';
+
+const MAX_WORKSPACE_DEPTH = 5;
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function getWorkspacePatterns(dir) {
+  const packageJson = await readJson(join(dir, 'package.json'));
+  const npmWorkspaces = Array.isArray(packageJson?.workspaces)
+    ? packageJson.workspaces
+    : packageJson?.workspaces?.packages;
+  if (npmWorkspaces?.length) {
+    return { tool: 'npm', patterns: npmWorkspaces };
+  }
+
+  try {
+    const pnpmWorkspace = parseYaml(await fs.readFile(join(dir, 'pnpm-workspace.yaml'), 'utf8'));
+    if (pnpmWorkspace?.packages?.length) {
+      return { tool: 'pnpm', patterns: pnpmWorkspace.packages };
+    }
+  } catch {}
+
+  const lernaJson = await readJson(join(dir, 'lerna.json'));
+  if (lernaJson) {
+    return { tool: 'lerna', patterns: lernaJson.packages || ['packages/*'] };
+  }
+  return null;
+}
+
+async function findPackageDirs(root, patterns, dir = root, depth = 0, found = []) {
+  if (depth >= MAX_WORKSPACE_DEPTH) return found;
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return found;
+  }
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+    const entryPath = join(dir, entry.name);
+    const relativeDir = relative(root, entryPath).split(sep).join('/');
+    if (matchesGlobs(relativeDir, patterns) && existsSync(join(entryPath, 'package.json'))) {
+      found.push(entryPath);
+    }
+    await findPackageDirs(root, patterns, entryPath, depth + 1, found);
+  }
+  return found;
+}
+
+/**
+ * Detect npm/yarn, pnpm or lerna workspaces and list their packages
+ */
+export async function detectWorkspaces(dir) {
+  const workspace = await getWorkspacePatterns(dir);
+  if (!workspace) return null;
+
+  const packageDirs = await findPackageDirs(dir, workspace.patterns);
+  const packages = [];
+  for (const packageDir of packageDirs.sort()) {
+    const packageJson = await readJson(join(packageDir, 'package.json'));
+    packages.push({
+      name: packageJson?.name || packageDir.split(sep).pop(),
+      description: packageJson?.description || '',
+      version: packageJson?.version || '',
+      private: Boolean(packageJson?.private),
+      dir: packageDir,
+      relativeDir: relative(dir, packageDir).split(sep).join('/')
+    });
+  }
+  return packages.length > 0 ? { tool: workspace.tool, packages } : null;
+}
+
+export function findWorkspacePackage(workspace, query) {
+  const match = workspace.packages.find(pkg =>
+    pkg.name === query ||
+    pkg.relativeDir === query.replace(/^\.\//, '').replace(/\/+$/, '') ||
+    pkg.relativeDir.split('/').pop() === query
+  );
+  if (!match) {
+    throw new ReadmiError(
+      `Package "${query}" not found in workspace. Available: ${workspace.packages.map(pkg => pkg.name).join(', ')}`,
+      EXIT_CODES.USAGE
+    );
+  }
+  return match;
+}
+
+// Root analysis with a source sample balanced across packages instead of walk order
+export async function analyzeWorkspaceRoot(dir, workspace, packageInfos = {}, scanOptions = {}) {
+  const rootInfo = await analyzeProject(dir, scanOptions);
+  rootInfo.workspaceTool = workspace.tool;
+  rootInfo.workspacePackages = workspace.packages.map(pkg => ({
+    name: pkg.name,
+    path: pkg.relativeDir,
+    version: pkg.version,
+    description: pkg.description || packageInfos[pkg.name]?.description || ''
+  }));
+
+  const samples = [];
+  for (const pkg of workspace.packages) {
+    const info = packageInfos[pkg.name] || await analyzeProject(pkg.dir, scanOptions);
+    samples.push(Object.entries(info.sourceCode).map(([file, content]) => {
+      const entry = info.sourceContext?.files.find(item => item.file === file);
+      return { ...entry, file: `${pkg.relativeDir}/${file}`, content, tokens: entry?.tokens ?? estimateTokens(content) };
+    }));
+  }
+  // Each package list is already ranked, take turns so every package gets a share of the budget
+  const budget = scanOptions.contextBudget || DEFAULT_CONTEXT_BUDGET;
+  const sourceCode = {};
+  const files = [];
+  let usedTokens = 0;
+  for (let round = 0; samples.some(list => list.length > round); round++) {
+    for (const list of samples) {
+      const entry = list[round];
+      if (entry && usedTokens + entry.tokens <= budget) {
+        sourceCode[entry.file] = entry.content;
+        files.push({ file: entry.file, mode: entry.mode || 'full', tokens: entry.tokens, score: entry.score || 0, reasons: entry.reasons || [] });
+        usedTokens += entry.tokens;
+      }
+    }
+  }
+  rootInfo.sourceContext = { budget, usedTokens, files };
+  rootInfo.sourceCode = sourceCode;
+  return rootInfo;
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, relative } from 'path';
+import { getAllFiles } from '../src/analyzer.js';
+
+async function fixture(files) {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'readmi-'));
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(join(dir, file, '..'), { recursive: true });
+    await fs.writeFile(join(dir, file), content);
+  }
+  return dir;
+}
+
+async function listFiles(dir, options) {
+  return (await getAllFiles(dir, [], options)).map(file => relative(dir, file).split('\\').join('/')).sort();
+}
+
+test('include rules select every file below a matching directory', async () => {
+  const dir = await fixture({
+    'src/index.js': '',
+    'src/lib/util.js': '',
+    'docs/guide.md': '',
+    'test/index.test.js': '',
+    'package.json': '{}'
+  });
+  try {
+    assert.deepEqual(await listFiles(dir, { include: ['src'] }), ['src/index.js', 'src/lib/util.js']);
+    assert.deepEqual(await listFiles(dir, { include: ['docs/', '*.json'] }), ['docs/guide.md', 'package.json']);
+    assert.deepEqual(await listFiles(dir, { include: ['src'], exclude: ['src/lib'] }), ['src/index.js']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('.gitignore rules apply inside included directories', async () => {
+  const dir = await fixture({
+    '.gitignore': 'generated/\n',
+    'src/index.js': '',
+    'src/generated/out.js': ''
+  });
+  try {
+    assert.deepEqual(await listFiles(dir, { include: ['src/'] }), ['src/index.js']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
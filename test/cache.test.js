@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { requestKey, setCacheOptions, readCachedResponse, writeCachedResponse } from '../src/cache.js';
+
+const request = { provider: 'openai', model: 'llama3', baseUrl: 'http://localhost:8000/v1', settings: { temperature: 0.7 }, prompt: 'Write a README' };
+
+test('the request key ignores setting order and the endpoint', () => {
+  const reordered = { ...request, settings: { temperature: 0.7, topP: undefined } };
+  assert.equal(requestKey(reordered), requestKey(request));
+  assert.equal(requestKey({ ...request, baseUrl: 'http://localhost:9000/v1' }), requestKey(request));
+  assert.notEqual(requestKey({ ...request, model: 'llama3.1' }), requestKey(request));
+  assert.notEqual(requestKey({ ...request, prompt: 'Write a README!' }), requestKey(request));
+});
+
+test('cached responses are kept apart per endpoint', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'readmi-cache-'));
+  setCacheOptions({ dir });
+  try {
+    await writeCachedResponse(request, '# From port 8000');
+    assert.equal(await readCachedResponse(request), '# From port 8000');
+    assert.equal(await readCachedResponse({ ...request, baseUrl: 'http://localhost:9000/v1' }), null);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkFacts, applyFactFixes } from '../src/facts.js';
+
+const project = { ecosystem: 'node', license: 'MIT', engines: { node: '>=18' } };
+
+const fix = (content, info = project) => applyFactFixes(content, checkFacts(content, info)).content;
+
+test('node versions inside the engines range are left alone', () => {
+  const readme = '# demo\n\nNode.js 22 is recommended.\n\nTested on Node 20 and Node 22.\n';
+  assert.deepEqual(checkFacts(readme, project).filter(finding => finding.type === 'node-version'), []);
+  assert.equal(fix(readme), readme);
+});
+
+test('node versions outside the engines range are fixed to the minimum', () => {
+  assert.equal(fix('# demo\n\nRequires Node.js 16 or higher.\n'), '# demo\n\nRequires Node.js 18 or higher.\n');
+  const info = { ...project, engines: { node: '^18.17 || >=20' } };
+  assert.deepEqual(checkFacts('# demo\n\nWorks with Node 19 and Node 21.\n', info).map(finding => finding.current), ['19']);
+  const bounded = { ...project, engines: { node: '>=16 <21' } };
+  assert.deepEqual(checkFacts('# demo\n\nUse Node 20, not Node 22.\n', bounded).map(finding => finding.current), ['22']);
+});
+
+test('licenses of dependencies are not claims about the project', () => {
+  const readme = '# demo\n\n## License\n\nMIT\n\nThe dependencies are under ISC and Apache 2.0.\n';
+  assert.deepEqual(checkFacts(readme, project), []);
+});
+
+test('a wrong project license is fixed', () => {
+  assert.equal(fix('# demo\n\n## License\n\nLicensed under the Apache License 2.0.\n'), '# demo\n\n## License\n\nLicensed under the MIT License.\n');
+});
+
+test('a line naming several licenses is reported without a fix', () => {
+  const readme = '# demo\n\n## License\n\nDual licensed under GPL-3.0 and MIT.\n';
+  const findings = checkFacts(readme, project);
+  assert.deepEqual(findings.map(finding => [finding.current, finding.fix]), [['GPL-3.0', null]]);
+  assert.equal(fix(readme), readme);
+});
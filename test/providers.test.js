@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createProvider } from '../src/providers.js';
+import { setCacheOptions } from '../src/cache.js';
+
+// An OpenAI-compatible endpoint that stops at the token limit, each continuation repeats the cut line
+let answers;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    const { messages, stream } = JSON.parse(body);
+    const continuing = messages[0].content.includes('=== PARTIAL OUTPUT ===');
+    const { text, finish } = continuing ? answers.next : answers.first;
+    if (!stream) {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ choices: [{ message: { content: text }, finish_reason: finish }] }));
+      return;
+    }
+    res.setHeader('Content-Type', 'text/event-stream');
+    for (const chunk of text.match(/[\s\S]{1,4}/g)) res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: chunk } }] })}\n\n`);
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: finish }] })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  });
+});
+
+let provider;
+let cacheDir;
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  cacheDir = await fs.mkdtemp(join(tmpdir(), 'readmi-cache-'));
+  setCacheOptions({ dir: cacheDir });
+  provider = createProvider('openai', { apiKey: 'test', model: 'test', baseUrl: `http://127.0.0.1:${server.address().port}/v1` });
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+async function streamed(prompt) {
+  let text = '';
+  for await (const chunk of provider.stream(prompt)) text += chunk;
+  return text;
+}
+
+const expected = "# demo\n\n```js\nconst f = require('demo');\n```\n";
+
+test('a short repeat at the start of a continued line is dropped', async () => {
+  answers = {
+    first: { text: '# demo\n\n```js\nconst f = require(', finish: 'length' },
+    next: { text: "const f = require('demo');\n```\n", finish: 'stop' }
+  };
+  assert.equal(await provider.generate('short overlap'), expected);
+  assert.equal(await streamed('short overlap, streamed'), expected);
+  assert.equal((await fs.readdir(cacheDir)).length, 2);
+});
+
+test('a short match inside a line is not taken for a repeat', async () => {
+  answers = {
+    first: { text: 'Builds take 10', finish: 'length' },
+    next: { text: '0 seconds.', finish: 'stop' }
+  };
+  assert.equal(await provider.generate('mid-line'), 'Builds take 100 seconds.');
+});
+
+test('output still cut short after every continuation is not cached', async () => {
+  await fs.rm(cacheDir, { recursive: true, force: true });
+  answers = {
+    first: { text: 'Run npm', finish: 'length' },
+    next: { text: 'Run npm start', finish: 'length' }
+  };
+  await provider.generate('always truncated');
+  await streamed('always truncated, streamed');
+  assert.deepEqual(await fs.readdir(cacheDir).catch(() => []), []);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeReadmeContent } from '../src/readmeUpdater.js';
+
+const generated = [
+  '# demo',
+  '',
+  'A demo.',
+  '',
+  '## Installation',
+  '',
+  'npm install demo',
+  '',
+  '## Usage',
+  '',
+  '### CLI',
+  '',
+  'Run demo.',
+  '',
+  '## License',
+  '',
+  'MIT',
+  '',
+  '---',
+  '',
+  '**Made with ReadMI**',
+  ''
+].join('\n');
+
+const headings = content => content.split('\n').filter(line => /^#|^---$/.test(line));
+
+test('custom sections keep their place and stay above the footer', () => {
+  const existing = [
+    '# demo',
+    '',
+    '## Motivation',
+    '',
+    'Why.',
+    '',
+    '## Installation',
+    '',
+    'Old steps.',
+    '',
+    '## Usage',
+    '',
+    '## Benchmarks',
+    '',
+    'Fast.',
+    '',
+    '## License',
+    '',
+    'MIT',
+    '',
+    '## Sponsors',
+    '',
+    'Thanks.',
+    ''
+  ].join('\n');
+  const merged = mergeReadmeContent(existing, generated);
+  assert.deepEqual(headings(merged), ['# demo', '## Motivation', '## Installation', '## Usage', '### CLI', '## Benchmarks', '## License', '## Sponsors', '---']);
+  assert.match(merged, /Thanks\.\n\n---\n\n\*\*Made with ReadMI\*\*\n$/);
+});
+
+test('a merge without custom sections keeps the generated README as is', () => {
+  assert.equal(mergeReadmeContent('# demo\n\n## Usage\n\nOld.\n', generated), generated);
+});